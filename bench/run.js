@@ -0,0 +1,52 @@
+/**
+ * Parser benchmark: `node bench/run.js [parser]`.
+ *
+ * Parses each fixture to HTML until it has run for a second (at least 3 and at most 50 times, after a
+ * warm-up run) and prints the median time. `parser` is another build of dokuparserjs.js to measure instead,
+ * e.g. an older version saved with `git show <commit>:dokuparserjs.js > /tmp/old.js`.
+ *
+ * Fixtures:
+ * - page-5kb: `fixtures/page-5kb.txt`, a page mixing headings, lists, tables, links, code and footnotes.
+ * - page-200kb: the same page repeated to about 200KB.
+ * - links-5000: one paragraph with 5000 internal and external links.
+ * - unclosed-20kb: about 20KB of bold, italic, underline and link markup that is never closed.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DokuParserJS = require(path.resolve(process.argv[2] || path.join(__dirname, '..', 'dokuparserjs.js')));
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'page-5kb.txt'), 'utf8');
+const fixtures = {
+  'page-5kb': page,
+  'page-200kb': page.repeat(Math.round((200 * 1024) / page.length)),
+  'links-5000': Array.from({ length: 5000 }, (_, i) => (i % 2 ? `[[wiki:page${i}|Page ${i}]]` : `https://example.com/${i}`)).join(' ') + '\n',
+  'unclosed-20kb': '**bold //italic __under [[link '.repeat(Math.round((20 * 1024) / 32)) + '\n'
+};
+
+/**
+ * Measures the median time to parse a text.
+ *
+ * @param {string} text - DokuWiki markup.
+ * @returns {Object} - `{ median, runs }`: median time in milliseconds and the number of timed runs.
+ */
+function measure(text) {
+  const parse = () => new DokuParserJS({ currentNamespace: 'wiki' }).parse(text);
+  parse();
+  const times = [];
+  const started = Date.now();
+  while (times.length < 3 || (times.length < 50 && Date.now() - started < 1000)) {
+    const start = process.hrtime.bigint();
+    parse();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return { median: times[Math.floor(times.length / 2)], runs: times.length };
+}
+
+console.log(`Node.js ${process.version}`);
+Object.entries(fixtures).forEach(([name, text]) => {
+  const { median, runs } = measure(text);
+  const size = `${(Buffer.byteLength(text) / 1024).toFixed(0)}KB`;
+  console.log(`${name.padEnd(14)} ${size.padStart(6)} ${median.toFixed(1).padStart(10)}ms  (median of ${runs})`);
+});
@@ -4,48 +4,139 @@
  * Purpose:
  * - Converts DokuWiki syntax (e.g., headers, links, tables) into HTML for web rendering.
  * - Designed to be lightweight, dependency-free, and extensible for web and Node.js environments.
- * - Processes input line-by-line using a state machine for block elements (headers, lists, tables)
- *   and regex-based rules for inline elements (bold, links, images).
+ * - Parses input into a document tree (AST) first: a line-based state machine builds block nodes
+ *   (sections, lists, tables) and an inline scanner builds inline nodes (bold, links, images).
+ * - Renders the tree with a pluggable renderer (HTML by default, or GitHub Flavored Markdown),
+ *   so tools can inspect or transform a page before rendering.
  *
  * Usage:
  * - Instantiate with options to configure namespace, paths, and features.
  * - Call `parse()` with DokuWiki markup to get HTML output.
- * - Supports CLI for processing files or stdin in Node.js.
+ * - Call `parseToAST()` to get the document tree, and `renderHTML()` or `renderMarkdown()` to render it.
+ * - Call `stringify()` to convert HTML or Markdown back to DokuWiki markup.
+ * - Call `getSection()` and `replaceSection()` to edit a single section of a page.
+ * - Call `createDocument()` for a live preview: `doc.update(edit)` re-parses only the blocks around an edit
+ *   and returns the changed parts of the HTML.
+ * - Call `DokuParserJS.createStream()` or `DokuParserJS.parseStream()` to render huge pages block by block.
+ * - Supports a CLI (`node dokuparserjs.js --help`) for converting files or stdin to HTML, Markdown, text or
+ *   a JSON document tree, and `build` for rendering a pages directory to a static site.
  *
  * @example
  * const parser = new DokuParserJS({
  *   currentNamespace: 'wiki',
- *   interwikiMap: { wp: 'https://en.wikipedia.org/wiki/' }
+ *   interwikiMap: { wp: 'https://en.wikipedia.org/wiki/{NAME}' }
  * });
  * const html = parser.parse('**bold** [[link]]');
+ * const ast = parser.parseToAST('**bold** [[link]]');
  *
  * Key Features:
  * - Handles core DokuWiki syntax: headers, lists, tables, links, images, code blocks, footnotes, etc.
- * - Namespace-aware link resolution (relative, absolute, interwiki).
- * - Configurable paths for pages and media.
+ * - Namespace-aware link resolution (relative, absolute, interwiki) following DokuWiki's `resolve_id()` and `cleanID()`.
+ * - Interwiki links with DokuWiki's interwiki.conf URL templates (`{URL}`, `{NAME}`, ...), its default
+ *   shortcuts, `DokuParserJS.parseInterwikiConf()` and `readInterwikiConf()`.
+ * - Configurable paths for pages and media, DokuWiki URL schemes (`userewrite`, `useslash`) or custom URL builders.
+ * - Media by file type: images, `<video>`/`<audio>` players, download links for other files, and media handlers
+ *   for embeds (`{{youtube>ID}}`, `{{vimeo>ID}}`).
+ * - Responsive images from a media manifest (`DokuParserJS.buildMediaManifest()`): intrinsic sizes, `srcset` of
+ *   renditions and placeholders for missing images.
  * - Supports emoji or SVG smileys, HTML/PHP embedding, and typography.
+ * - Full-text search over page text with `DokuParserJS.SearchIndex`.
+ * - Dependency-free syntax highlighting of code blocks with GeSHi class names, line numbers and
+ *   highlighted lines; add languages to `DokuParserJS.highlightLanguages`.
+ * - Numbered sections with source line ranges, `getSection()` / `replaceSection()` and optional
+ *   edit-button hooks for section editing.
+ * - Code and file blocks with a file name get a download link (a `data:` URL or a codeblock endpoint).
+ * - Table export: `extractTables()` / `exportTable()` to CSV, TSV or JSON and `tableFromRows()` back to markup.
+ *
+ * Document tree:
+ * - Every node is `{ type, ..., position: { start: { line, column }, end: { line, column } } }`
+ *   with 1-based lines and columns; `end` points just past the node.
+ * - Sections carry a `number` (1-based, in document order) and span the source lines up to the next heading.
+ * - Block nodes: document, section, heading, paragraph, list, listitem, table, tablerow,
+ *   tablecell, code, html, php, blockquote, hr.
+ * - Inline nodes: text, strong, emphasis, underline, monospace, subscript, superscript, deleted,
+ *   link, media, rss, footnote, nowiki, unformatted, html, php, linebreak, entity,
+ *   multiplyentity, smiley, macro.
  *
  * Limitations:
- * - Basic rowspan/colspan support; complex table merging not implemented.
  * - RSS feeds are not parsed (pass-through only).
- * - No `<file>` download functionality.
- * - Limited plugin system (extend via `this.rules` for inline, `parse()` for blocks).
+ * - Plugin blocks must start at the beginning of a line.
  *
  * Extensibility:
- * - Add new inline syntax by extending `this.rules` with `{ pattern: RegExp, replace: string|function }`.
- * - Add block-level syntax by modifying `parse()` state machine.
- * - Use `applyRules()` for nested parsing within blocks (e.g., table cells).
+ * - Register syntax plugins with `use(plugin)`: inline rules ordered by priority or relative to
+ *   built-in rules, block rules with start and end (or continue) matchers, and render hooks per
+ *   output format (see `use()`).
+ * - Inline rules have the shape `{ name, pattern: RegExp, node: function }`; `node(match)` returns the
+ *   node for a match (or null to decline it). Rules pushed onto `this.rules` directly still work, and
+ *   rules written as `{ pattern, replace: string|function }` produce raw `html` nodes.
+ * - Use `parseInline()` for nested parsing within blocks (e.g., table cells).
+ * - Add output formats by subclassing `DokuParserJS.Renderer` (or extending `HTMLRenderer` /
+ *   `MarkdownRenderer`) and registering the class in `DokuParserJS.renderers`.
  *
  * @param {Object} [options] - Configuration options for the parser.
  * @param {string} [options.currentNamespace=''] - Current namespace for relative link resolution (e.g., 'wiki').
- * @param {Object} [options.interwikiMap={}] - Map of interwiki prefixes to base URLs (e.g., { wp: 'https://en.wikipedia.org/wiki/' }).
+ * @param {string} [options.startPage='start'] - Page name that namespace links (e.g., '[[wiki:]]') resolve to.
+ * @param {boolean} [options.deaccent=true] - Transliterate accented letters in page IDs ('Ärger' → 'aerger'),
+ *   like DokuWiki's `deaccent` setting; other letters and digits are kept in any script.
+ * @param {Object|string} [options.interwikiMap=DokuParserJS.defaultInterwiki] - Map of interwiki shortcuts to
+ *   URL templates (e.g., { wp: 'https://en.wikipedia.org/wiki/{NAME}' }) or interwiki.conf text; defaults to
+ *   DokuWiki's shortcuts. Templates without a placeholder get the encoded page name appended.
  * @param {boolean} [options.htmlok=true] - Enable raw HTML embedding; if false, HTML is escaped as code.
+ * @param {Function} [options.pageExists] - Called with a resolved page ID; returns whether the page exists.
+ *   Links to missing pages get class `wikilink2` and `rel="nofollow"` and are listed in `missingLinks`.
+ * @param {Array|Set} [options.knownPages] - IDs of existing pages (e.g., from `DokuParserJS.listPages()`),
+ *   used when no `pageExists` callback is given.
+ * @param {Function} [options.mediaExists] - Called with a resolved media ID; returns whether the file exists.
+ *   Links to missing files get class `wikilink2`, and video and audio list the alternative formats that exist.
+ * @param {Array|Set} [options.knownMedia] - IDs of existing media files, used when no `mediaExists` callback is given.
+ * @param {Object} [options.mediaManifest] - Media manifest from `DokuParserJS.buildMediaManifest()`: intrinsic
+ *   image sizes give images `width`/`height` attributes, renditions a `srcset`, and files missing from it count
+ *   as missing when neither `mediaExists` nor `knownMedia` is given.
+ * @param {string} [options.mediaPlaceholder] - URL of an image shown instead of missing images; without it,
+ *   missing images render as a `<span class="mediamissing">` with their title or file name.
+ * @param {Object} [options.mimeTypes] - MIME types by file extension (e.g., `{ flac: 'audio/flac' }`), added to
+ *   `DokuParserJS.mimeTypes`; they decide whether media render as images, players or download links.
+ * @param {boolean} [options.safeMode=false] - Sanitize embedded HTML with `htmlAllowlist` and drop links and
+ *   media whose URL scheme is not in `allowedSchemes` (for rendering untrusted pages via `innerHTML`).
+ * @param {Array} [options.allowedSchemes=['http', 'https', 'ftp', 'mailto', 'file']] - URL schemes allowed in safe mode.
+ * @param {Object} [options.htmlAllowlist] - Tags and attributes kept by `sanitizeHTML()`, as
+ *   `{ tag: [attributes] }`; attributes under `'*'` are allowed on every tag. Defaults to common formatting tags.
  * @param {boolean} [options.typography=true] - Enable typography conversions (e.g., arrows, copyright).
  * @param {boolean} [options.useTxtExtension=true] - Append '.txt' to internal links for local file access.
  * @param {string} [options.pagesBasePath='/'] - Base path for wiki pages (e.g., '/data/pages/').
  * @param {string} [options.mediaBasePath='/data/media/'] - Base path for media files (e.g., images).
+ * @param {number} [options.userewrite] - Link a DokuWiki installation below `basedir` instead of page and media
+ *   files, with DokuWiki's URL rewriting mode: 0 ('doku.php?id=ns:page'), 1 ('ns:page', '_media/ns:file') or
+ *   2 ('doku.php/ns:page'). Unset, links point to files below `pagesBasePath` and `mediaBasePath`.
+ * @param {boolean} [options.useslash=false] - Separate namespaces with '/' in rewritten URLs (`userewrite` 1 or 2);
+ *   as in DokuWiki, '/' in page and media IDs then also separates namespaces (`[[wiki/syntax]]` is 'wiki:syntax').
+ * @param {string} [options.basedir='/'] - Path of the DokuWiki installation (e.g., '/dokuwiki/') for `userewrite`.
+ * @param {Function} [options.buildPageUrl] - `(id, { section, parser })` returning the URL of a page (e.g.,
+ *   for a client-side router), or null to use the built-in URLs.
+ * @param {Function} [options.buildMediaUrl] - `(id, { width, height, cache, detail, parser })` returning the URL
+ *   of a media file or its detail page, or null to use the built-in URLs.
  * @param {string} [options.smileyBasePath='/dokuwiki/lib/exe/fetch.php?media=lib:images:smileys:'] - Base path for SVG smileys.
  * @param {boolean} [options.useEmoji=true] - Use Unicode emojis instead of SVG images for smileys.
+ * @param {boolean} [options.toc=false] - Generate a table of contents before the first heading; suppressed by `~~NOTOC~~`.
+ * @param {number} [options.tocMinHeadings=4] - Minimum number of headings a page needs before a TOC is generated; 0 shows it on every page with headings.
+ * @param {number} [options.tocMaxLevel=3] - Deepest heading level (1-5) listed in the TOC.
+ * @param {string|Function|Object} [options.renderer='html'] - Output format of `parse()`: 'html', 'markdown', 'text',
+ *   another name registered in `DokuParserJS.renderers`, a Renderer subclass or a renderer instance.
+ * @param {Object} [options.rendererOptions={}] - Options passed to renderers created by name or class
+ *   (e.g., `{ pageExtension: '.md' }` for Markdown).
+ * @param {boolean} [options.sectionEdit=false] - Add `<div class="secedit" data-section="n" data-range="start-end">`
+ *   after each section of the HTML output, as a hook for edit buttons (see `getSection()` and `replaceSection()`).
+ * @param {boolean|Function} [options.highlight=true] - Syntax highlighting of `<code lang>` and `<file lang>`
+ *   blocks: true for the built-in highlighter, false to disable it, or a function `(code, lang, node)` returning
+ *   highlighted HTML (or null to fall back to the built-in highlighter), e.g., to plug in highlight.js.
+ * @param {string|Function|boolean} [options.codeDownload='data'] - Download link of `<file lang name>` and
+ *   `<code lang name>` blocks: 'data' for a `data:` URL, 'blob' for a Blob URL in the browser (a `data:` URL
+ *   elsewhere; see `blobUrl()`), an endpoint
+ *   template with `{id}` and `{codeblock}` placeholders (e.g., '/doku.php?do=export_code&id={id}&codeblock={codeblock}'),
+ *   a function `(node, index, parser)` returning the URL, or false for no download header.
+ * @param {string} [options.pageId=''] - ID of the page being rendered (e.g., 'wiki:syntax'), used for `{id}` in
+ *   `codeDownload` templates.
+ * @param {Array} [options.plugins=[]] - Syntax plugins to register with `use()`.
  * @returns {DokuParserJS} - Initialized parser instance.
  */
 class DokuParserJS {
@@ -53,15 +144,42 @@ class DokuParserJS {
     // Initialize namespace for resolving relative links (e.g., 'wiki' for 'wiki:syntax')
     this.currentNamespace = options.currentNamespace || '';
 
-    // Map interwiki prefixes to URLs (e.g., 'wp' -> Wikipedia)
-    this.interwikiMap = options.interwikiMap || {
-      wp: 'https://en.wikipedia.org/wiki/',
-      doku: 'https://www.dokuwiki.org/'
-    };
+    // Page IDs: start page of namespaces and transliteration of accented letters, as in DokuWiki's config
+    this.startPage = options.startPage || 'start';
+    this.deaccent = options.deaccent !== false;
+
+    // Map interwiki shortcuts to URL templates (e.g., 'wp' -> Wikipedia), given as a map or interwiki.conf text
+    const interwiki = options.interwikiMap || DokuParserJS.defaultInterwiki;
+    this.interwikiMap = typeof interwiki === 'string'
+      ? DokuParserJS.parseInterwikiConf(interwiki)
+      : Object.fromEntries(Object.entries(interwiki).map(([name, url]) => [name.toLowerCase(), url]));
 
     // Enable/disable raw HTML embedding; if false, HTML is shown as code
     this.htmlok = options.htmlok !== false;
 
+    // Page existence: a callback or a list of known page IDs; without either, all pages exist
+    this.pageExistsCallback = typeof options.pageExists === 'function' ? options.pageExists : null;
+    this.knownPages = options.knownPages ? new Set([...options.knownPages].map(id => String(id).toLowerCase())) : null;
+
+    // Media existence: a callback or a list of known media IDs; without either, all media exist and
+    // video and audio have no alternative sources
+    this.mediaExistsCallback = typeof options.mediaExists === 'function' ? options.mediaExists : null;
+    this.knownMedia = options.knownMedia ? new Set([...options.knownMedia].map(id => String(id).toLowerCase())) : null;
+
+    // Media manifest: sizes and renditions of media files (see DokuParserJS.buildMediaManifest()), and the
+    // image shown for missing images
+    this.mediaManifest = options.mediaManifest || null;
+    this.mediaPlaceholder = options.mediaPlaceholder || null;
+
+    // File types of media by extension (DokuWiki's mime.conf), on top of DokuParserJS.mimeTypes
+    this.mimeTypes = { ...DokuParserJS.mimeTypes, ...options.mimeTypes };
+
+    // Safe mode: embedded HTML passes through the allowlist sanitizer, and links and media
+    // are only rendered for allowed URL schemes
+    this.safeMode = options.safeMode === true;
+    this.allowedSchemes = (options.allowedSchemes || ['http', 'https', 'ftp', 'mailto', 'file']).map(scheme => scheme.toLowerCase());
+    this.htmlAllowlist = options.htmlAllowlist || defaultHtmlAllowlist;
+
     // Enable/disable typography (e.g., arrows, copyright symbols)
     this.typography = options.typography !== false;
 
@@ -72,22 +190,46 @@ class DokuParserJS {
     this.pagesBasePath = options.pagesBasePath || '/';
     this.mediaBasePath = options.mediaBasePath || '/data/media/';
 
+    // URLs of a DokuWiki installation instead of files (userewrite 0, 1 or 2), or custom URL builders
+    this.userewrite = [0, 1, 2].includes(options.userewrite) ? options.userewrite : null;
+    this.useslash = options.useslash === true;
+    this.basedir = options.basedir || '/';
+    this.buildPageUrl = typeof options.buildPageUrl === 'function' ? options.buildPageUrl : null;
+    this.buildMediaUrl = typeof options.buildMediaUrl === 'function' ? options.buildMediaUrl : null;
+
     // Base path for SVG smileys; used when useEmoji is false
     this.smileyBasePath = options.smileyBasePath || '/dokuwiki/lib/exe/fetch.php?media=lib:images:smileys:';
 
     // Use Unicode emojis (true) or SVG images (false) for smileys
     this.useEmoji = options.useEmoji !== false;
 
+    // Table of contents: disabled by default, shown for pages with enough headings
+    this.toc = options.toc === true;
+    this.tocMinHeadings = options.tocMinHeadings ?? 4;
+    this.tocMaxLevel = options.tocMaxLevel ?? 3;
+
+    // Output format used by parse(): a name from DokuParserJS.renderers, a Renderer subclass or instance
+    this.renderer = options.renderer || 'html';
+    this.rendererOptions = options.rendererOptions || {};
+
+    // Section editing: an empty edit-button hook after each section of the HTML output
+    this.sectionEdit = options.sectionEdit === true;
+
+    // Syntax highlighting of code blocks: built in (true), disabled (false) or a function tried first
+    this.highlight = options.highlight === undefined ? true : options.highlight;
+
+    // Download links of code and file blocks with a file name: 'data', 'blob', an endpoint or false
+    this.codeDownload = options.codeDownload === undefined ? 'data' : options.codeDownload;
+    this.pageId = options.pageId || '';
+    this.blobUrls = new Map(); // Blob URLs of code blocks by block index, as { text, url }
+
     // State tracking for parsing
-    this.footnotes = []; // Array to track footnote references
-    this.footnoteContent = new Map(); // Map of footnote content to indices
-    this.linkPlaceholders = []; // Store link HTML for later replacement
-    this.nowikiPlaceholders = []; // Store <nowiki> content
-    this.listStack = []; // Track nested lists (ul/ol) and their depths
-    this.currentIndent = -1; // Current list indentation level
-    this.currentType = null; // Current list type (ul/ol)
-    this.currentSectionLevel = 0; // Current header level (1-6)
-    this.currentSection = ''; // Current section title for context-sensitive parsing
+    this.footnotes = []; // Footnote nodes in order of first reference
+    this.footnoteContent = new Map(); // Map of footnote source text to footnote nodes
+    this.macros = { notoc: false, nocache: false }; // Control macros found in the document
+    this.missingLinks = []; // IDs of linked pages that do not exist, in order of first link
+    this.sectionCount = 0; // Number of the last section started
+    this.headingIds = new Set(); // Heading IDs used so far, to keep anchors unique
 
     // Smiley mappings: emoji or SVG file names
     this.smileyMap = this.useEmoji ? {
@@ -134,979 +276,6599 @@ class DokuParserJS {
       'DELETEME': 'delete.svg'
     };
 
-    // Inline parsing rules: Array of { pattern, replace } for regex-based replacements
-    this.rules = [
-      // Remove control macros (NOTOC, NOCACHE) outside noformat sections
-      { pattern: /~~NOTOC~~|~~NOCACHE~~/g, replace: '' },
 
-      // External links (http:// or https://)
+    // Typography entities: source text -> HTML entity
+    this.entityMap = {
+      '<->': '&harr;',
+      '<=>': '&hArr;',
+      '->': '&rarr;',
+      '<-': '&larr;',
+      '=>': '&rArr;',
+      '<=': '&lArr;',
+      '>>': '&raquo;',
+      '<<': '&laquo;',
+      '---': '&mdash;',
+      '--': '&ndash;',
+      '(c)': '&copy;',
+      '(tm)': '&trade;',
+      '(r)': '&reg;',
+      '...': '&hellip;'
+    };
+
+    // Inline parsing rules, tried in order at each position of the text.
+    // `trigger` lists the characters a match can start with; `boundary` requires a non-word character before it.
+    // `closer` is text that must follow the start for a match, so unclosed markup is skipped without a scan.
+    // `priority` orders the rules; plugin rules added with use() are placed by it.
+    this.rules = [
+      // <nowiki> content (kept verbatim)
       {
-        pattern: /(^|\s)(https?:\/\/[^\s<>\[\]]+)(?=\s|$)/g,
-        replace: (match, prefix, url) => {
-          // Skip links in "Links" or "RSS" sections to preserve examples
-          if (this.currentSection.match(/^(Links|RSS\/ATOM Feed Aggregation)$/i)) {
-            return match;
-          }
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${url}" class="urlextern" rel="nofollow">${url}</a>`);
-          return `${prefix}${placeholder}`;
-        }
+        name: 'nowiki',
+        priority: 10,
+        trigger: '<',
+        closer: '</nowiki>',
+        pattern: /<nowiki>([\s\S]*?)<\/nowiki>/,
+        node: (match) => ({ type: 'nowiki', value: match[1] })
       },
 
-      // WWW links (e.g., www.google.com)
+      // %%content%% (kept verbatim)
       {
-        pattern: /(^|\s)(www\.[^\s<>\[\]]+)(?=\s|$)/g,
-        replace: (match, prefix, url) => {
-          if (this.currentSection.match(/^(Links|RSS\/ATOM Feed Aggregation)$/i)) {
-            return match;
-          }
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="http://${url}" class="urlextern" rel="nofollow">${url}</a>`);
-          return `${prefix}${placeholder}`;
-        }
+        name: 'unformatted',
+        priority: 20,
+        trigger: '%',
+        closer: '%%',
+        pattern: /%%([\s\S]*?)%%/,
+        node: (match) => ({ type: 'unformatted', value: match[1] })
       },
 
-      // Email links
+      // HTML embedding
       {
-        pattern: /(^|\s)<([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})>(?=\s|$)/g,
-        replace: (match, prefix, email) => {
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="mailto:${email}" class="mail" title="${email.replace(/ /g, ' [at] ').replace(/\./g, ' [dot] ')}">${email}</a>`);
-          return `${prefix}${placeholder}`;
-        }
+        name: 'html',
+        priority: 30,
+        trigger: '<',
+        closer: '</',
+        pattern: /<(html|HTML)>([\s\S]*?)<\/\1>/,
+        node: (match) => ({ type: 'html', value: match[2] })
       },
 
-      // Interwiki links (e.g., [[wp>Wiki]])
+      // PHP code (always displayed as code)
       {
-        pattern: /\[\[([a-zA-Z]+>[\w:-]+(?:#[\w:-]*)?)(?:\|([^\]]*))?\]\]/g,
-        replace: (match, full, text) => {
-          full = full.trim();
-          text = text ? text.trim() : '';
-          const [wiki, rest] = full.split('>');
-          const [page, section] = rest.includes('#') ? rest.split('#') : [rest, ''];
-          let display = text || page;
-          // Handle nested images in link text
-          if (text.match(/\{\{[^}]+?\}\}/)) {
-            display = this.applyRules(text).replace(/<a\s+[^>]*class\s*=\s*"media"[^>]*>([\s\S]*?)<\/a>/g, '$1');
-          }
-          const href = this.interwikiMap[wiki] ? `${this.interwikiMap[wiki]}${encodeURIComponent(page)}${section ? '#' + section : ''}` : match;
-          const className = `interwiki iw_${wiki}`;
-          const attrs = ` title="${this.interwikiMap[wiki] || ''}${page}${section ? '#' + section : ''}" data-wiki-id="${full}"`;
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${href}" class="${className}"${attrs}>${display}</a>`);
-          return placeholder;
-        }
+        name: 'php',
+        priority: 40,
+        trigger: '<',
+        closer: '</',
+        pattern: /<(php|PHP)>([\s\S]*?)<\/\1>/,
+        node: (match) => ({ type: 'php', value: match[2] })
       },
 
-      // External links with custom text (e.g., [[http://example.com|Text]])
+      // Control macros (NOTOC, NOCACHE) and ~~INFO:syntaxplugins~~; render nothing
       {
-        pattern: /\[\[(https?:\/\/[^\]|#]+)(?:#([^|]*))?(?:\|([^\]]*))?\]\]/g,
-        replace: (match, target, section, text) => {
-          target = target.trim();
-          text = text ? text.trim() : target.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '');
-          if (text.match(/\{\{[^}]+?\}\}/)) {
-            text = this.applyRules(text).replace(/<a\s+[^>]*class\s*=\s*"media"[^>]*>([\s\S]*?)<\/a>/g, '$1');
-          }
-          const href = section ? `${target}#${section}` : target;
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${href}" class="urlextern" title="${href}" rel="nofollow">${text}</a>`);
-          return placeholder;
+        name: 'macro',
+        priority: 50,
+        trigger: '~',
+        pattern: /~~(NOTOC|NOCACHE|INFO:\w+)~~/,
+        node: (match) => {
+          if (match[1] === 'NOTOC') this.macros.notoc = true;
+          if (match[1] === 'NOCACHE') this.macros.nocache = true;
+          return { type: 'macro', name: match[1] };
         }
       },
 
-      // Internal links (e.g., [[pagename]] or [[pagename|Text]])
+      // Footnotes (e.g., ((note)))
       {
-        pattern: /\[\[([^\]|#]+)(?:#([^|]*))?(?:\|([^\]]*))?\]\]/g,
-        replace: (match, target, section, text) => {
-          target = target.trim();
-          text = text ? text.trim() : target;
-          if (text.match(/\{\{[^}]+?\}\}/)) {
-            text = this.applyRules(text).replace(/<a\s+[^>]*class\s*=\s*"media"[^>]*>([\s\S]*?)<\/a>/g, '$1');
+        name: 'footnote',
+        priority: 60,
+        trigger: '(',
+        match: (text, pos, ctx) => {
+          const result = this.matchContainer(text, pos, ctx, '((', '))', 'footnote');
+          if (!result) return null;
+          const source = text.slice(pos + 2, result.end - 2).trim();
+          let note = this.footnoteContent.get(source);
+          if (!note) {
+            note = { type: 'footnote', id: this.footnotes.length + 1, children: result.node.children };
+            this.footnoteContent.set(source, note);
+            this.footnotes.push(note);
           }
-          let path = this.resolveNamespace(target);
-          let href = `${this.pagesBasePath}${path.replace(/:/g, '/')}${this.useTxtExtension ? '.txt' : ''}`;
-          let className = 'wikilink1';
-          let attrs = ` data-wiki-id="${target}"`;
-          if (section) {
-            href += `#${section}`;
-            className = 'wikilink2';
-            attrs = ` title="${target}#${section}" data-wiki-id="${target}#${section}"`;
-          } else if (path.endsWith(':start')) {
-            className = 'wikilink1 curid';
-            attrs = ` title="${target}" data-wiki-id="${target}"`;
-          }
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${href}" class="${className}"${attrs}>${text}</a>`);
-          return placeholder;
+          result.node.id = note.id;
+          return result;
         }
       },
 
-      // RSS feeds (pass-through; not parsed)
+      // Forced line breaks (\\ followed by whitespace or end of line)
       {
-        pattern: /\{\{rss>[\s\S]*?\}\}/g,
-        replace: (match) => match
+        name: 'linebreak',
+        priority: 70,
+        trigger: '\\',
+        pattern: /\\\\(?:[ \t]|(?=\n|$))/,
+        node: () => ({ type: 'linebreak' })
       },
 
-      // Images (e.g., {{wiki:image.png?200x100|Alt}})
+      // RSS feeds (pass-through; not parsed)
       {
-        pattern: /(^|\s)\{\{([^}]+?)(?:\?([^}]*))?(?:\|([ ^}]*))?}}(?:\s|$)/g,
-        replace: (fullMatch, prefix, full, params, alt) => {
-          full = full.trim();
-          params = params ? params.trim() : '';
-          alt = alt ? alt.trim() : '';
-          let alignClass = 'media';
-          const beforeSpace = fullMatch.startsWith(' ');
-          const afterSpace = fullMatch.endsWith(' ');
-          if (beforeSpace && afterSpace) alignClass += ' mediacenter';
-          else if (beforeSpace) alignClass += ' medialeft';
-          else if (afterSpace) alignClass += ' mediaright';
-          const nsFile = full.includes(':') ? full : `${this.currentNamespace}:${full}`;
-          const href = full.match(/^https?:\/\//) ? full : `${this.mediaBasePath}${nsFile.replace(/:/g, '/')}`;
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          let img = `<img src="${href}" class="${alignClass}" alt="${alt}" loading="lazy"`;
-          if (params && params !== 'linkonly' && params !== 'nolink') {
-            const w = params.match(/(\d+)(?=$|x)/)?.[1];
-            const h = params.match(/x(\d+)$/)?.[1];
-            if (w) img += ` width="${w}"`;
-            if (h) img += ` height="${h}"`;
-          }
-          img += ' />';
-          if (params === 'linkonly') {
-            this.linkPlaceholders.push(`<a href="${href}" class="media" title="${alt}">${alt || href}</a>`);
-          } else if (params === 'nolink') {
-            this.linkPlaceholders.push(img);
-          } else if (full.includes('doku>') || full.includes('wp>')) {
-            this.linkPlaceholders.push(img);
-          } else {
-            this.linkPlaceholders.push(`<a href="${href}" class="media" title="${alt}">${img}</a>`);
-          }
-          return `${prefix}${placeholder}`;
-        }
+        name: 'rss',
+        priority: 80,
+        trigger: '{',
+        closer: '}}',
+        pattern: /\{\{rss>([^\s}]+)([^}]*)\}\}/,
+        node: (match) => ({ type: 'rss', url: match[1], params: match[2].trim() })
       },
 
-      // <nowiki> content (escaped)
+      // Images and other media (e.g., {{wiki:image.png?200x100|Alt}})
       {
-        pattern: /<nowiki>([\s\S]*?)<\/nowiki>/g,
-        replace: (match, content) => {
-          const ph = `[NOWIKI_${this.nowikiPlaceholders.length}]`;
-          this.nowikiPlaceholders.push(content);
-          return ph;
-        }
+        name: 'media',
+        priority: 90,
+        trigger: '{',
+        closer: '}}',
+        pattern: /\{\{((?:[^}]|\}(?!\}))+)\}\}/,
+        node: (match) => this.mediaNode(match[1])
       },
 
-      // %%content%% (escaped content)
+      // Internal, interwiki, external, email and Windows share links (e.g., [[target|Text]])
       {
-        pattern: /%%([\s\S]*?)%%/g,
-        replace: (match, content) => {
-          content = content.trim();
-          return this.escapeEntities(content);
-        }
+        name: 'link',
+        priority: 100,
+        trigger: '[',
+        closer: ']]',
+        pattern: /\[\[(.+?)\]\](?!\])/,
+        node: (match, ctx) => this.linkNode(match[1], ctx, match.index + 2)
       },
 
-      // Inline formatting
-      { pattern: /\*\*(.+?)\*\*/g, replace: '<strong>$1</strong>' },
-      { pattern: /\/\/(.+?)\/\//g, replace: '<em>$1</em>' },
-      { pattern: /__(.+?)__/g, replace: '<u>$1</u>' },
-      { pattern: /''(.+?)''/g, replace: '<tt>$1</tt>' },
-      { pattern: /<sub>(.+?)<\/sub>/g, replace: '<sub>$1</sub>' },
-      { pattern: /<sup>(.+?)<\/sup>/g, replace: '<sup>$1</sup>' },
-      { pattern: /<del>(.+?)<\/del>/g, replace: '<del>$1</del>' },
-
-      // HTML embedding
+      // Email links (e.g., <user@example.com>)
       {
-        pattern: /<(?:html|HTML)>([\s\S]*?)<\/(?:html|HTML)>/g,
-        replace: (match, content) => this.htmlok ? content : `<pre class="code html">${this.escapeEntities(content)}</pre>`
+        name: 'email',
+        priority: 110,
+        trigger: '<',
+        pattern: /<([\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-zA-Z]{2,})>/,
+        node: (match) => ({ type: 'link', linkType: 'email', target: match[1], children: [] })
       },
 
-      // PHP code (always displayed as code)
+      // External links (http://, https://, ftp://, www.)
       {
-        pattern: /<(?:php|PHP)>([\s\S]*?)<\/(?:php|PHP)>/g,
-        replace: (match, content) => `<pre class="code php">${this.escapeEntities(content)}</pre>`
+        name: 'url',
+        priority: 120,
+        trigger: 'hfw',
+        boundary: true,
+        pattern: /(?:(?:https?|ftp):\/\/|www\.|ftp\.)[\w/#~:.?+=&%@!\-;,]+?(?=[.:?\-;,]*(?:[^\w/#~:.?+=&%@!\-;,]|$))/,
+        node: (match) => {
+          const url = match[0];
+          const target = url.startsWith('www.') ? `http://${url}` : url.startsWith('ftp.') ? `ftp://${url}` : url;
+          return { type: 'link', linkType: 'external', target, children: [{ type: 'text', value: url }] };
+        }
       },
 
-      // Remove ~~INFO:syntaxplugins~~
-      {
-        pattern: /~~INFO:syntaxplugins~~/g,
-        replace: () => ''
-      },
+      // Inline formatting
+      ...[
+        ['strong', '**', '**'],
+        ['emphasis', '//', '//'],
+        ['underline', '__', '__'],
+        ['monospace', "''", "''"],
+        ['subscript', '<sub>', '</sub>'],
+        ['superscript', '<sup>', '</sup>'],
+        ['deleted', '<del>', '</del>']
+      ].map(([type, open, close], index) => ({
+        name: type,
+        priority: 130 + index * 10,
+        trigger: open[0],
+        match: (text, pos, ctx) => this.matchContainer(text, pos, ctx, open, close, type)
+      })),
 
       // Typography rules (optional)
       ...(this.typography ? [
-        { pattern: /\s->(?=\s)/g, replace: ' &rarr; ' },
-        { pattern: /\s<-(?=\s)/g, replace: ' &larr; ' },
-        { pattern: /\s<->(?=\s)/g, replace: ' &harr; ' },
-        { pattern: /\s=>(?=\s)/g, replace: ' &rArr; ' },
-        { pattern: /\s<=(?=\s)/g, replace: ' &lArr; ' },
-        { pattern: /\s<=>(?=\s)/g, replace: ' &hArr; ' },
-        { pattern: /\s>>(?=\s)/g, replace: ' &raquo; ' },
-        { pattern: /\s<<(?=\s)/g, replace: ' &laquo; ' },
-        { pattern: /\s---(?=\s)/g, replace: ' &mdash; ' },
-        { pattern: /\s--(?=\s)/g, replace: ' &ndash; ' },
-        { pattern: /\(c\)/gi, replace: '&copy;' },
-        { pattern: /\(tm\)/gi, replace: '&trade;' },
-        { pattern: /\(r\)/gi, replace: '&reg;' },
-        { pattern: /\(\.\.\.\)/g, replace: '&hellip;' },
-        { pattern: /(\d+)x(\d+)/g, replace: '$1&times;$2' }
+        {
+          name: 'entity',
+          priority: 200,
+          trigger: '-<=>(.',
+          pattern: /<->|<=>|->|<-|=>|<=|>>|<<|---|--|\((?:c|tm|r)\)|\.\.\./i,
+          node: (match, ctx) => {
+            // Arrows and dashes only convert when surrounded by whitespace
+            if (/^[-<=>]/.test(match[0])) {
+              const before = ctx.text[match.index - 1];
+              const after = ctx.text[match.index + match[0].length];
+              if ((before && !/\s/.test(before)) || (after && !/\s/.test(after))) return null;
+            }
+            return { type: 'entity', value: match[0] };
+          }
+        },
+        {
+          name: 'multiplyentity',
+          priority: 210,
+          trigger: '0123456789',
+          boundary: true,
+          pattern: /(\d+)x(\d+)(?!\w)/,
+          node: (match) => ({ type: 'multiplyentity', x: match[1], y: match[2] })
+        }
       ] : []),
 
       // Smiley replacement
       {
-        pattern: new RegExp(Object.keys(this.smileyMap).map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g'),
-        replace: (match) => {
-          const icon = this.smileyMap[match];
-          if (icon) {
-            if (this.useEmoji) {
-              return icon;
-            } else {
-              return `<img src="${this.smileyBasePath}${icon}" class="icon smiley" alt="${match}">`;
-            }
-          }
-          return match;
-        }
+        name: 'smiley',
+        priority: 220,
+        trigger: Object.keys(this.smileyMap).map(k => k[0]).join(''),
+        boundary: true,
+        pattern: new RegExp(`(?:${Object.keys(this.smileyMap).sort((a, b) => b.length - a.length).map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?!\\w)`),
+        node: (match) => ({ type: 'smiley', value: match[0] })
       }
     ];
+
+    // Syntax plugins registered with use(): block rules, and render hooks by renderer name and node type
+    this.plugins = [];
+    this.blockRules = [];
+    this.renderHooks = {};
+    // Media handlers by name: embeds for media sources such as 'youtube>ID', checked in this order
+    this.mediaHandlers = { ...DokuParserJS.mediaHandlers };
+    (options.plugins || []).forEach(plugin => this.use(plugin));
   }
 
   /**
-   * Resolves DokuWiki namespace paths for internal links.
+   * Resolves a page ID the way DokuWiki resolves link targets (`resolve_id()` and its start page rules).
    *
-   * @param {string} target - The link target (e.g., ':page', '..:page', '.:page').
-   * @returns {string} - Resolved namespace path.
+   * @param {string} id - Page ID as written in a link, without the `#section` part (e.g., 'syntax',
+   *   '..:playground', '.:sub:', '~notes', ':').
+   * @param {string} [contextNs=this.currentNamespace] - Namespace the ID is relative to.
+   * @returns {string} - Clean, absolute page ID (e.g., 'wiki:syntax'); an empty ID is the current page
+   *   (`pageId`), or the start page of `contextNs` without one.
+   *
+   * Logic:
+   * - Relative parts are resolved by `resolveRelativeId()`; the result goes through `cleanID()`.
+   * - A namespace link ending in ':' resolves to the first existing page of `ns:start` (the `startPage`
+   *   option), `ns:ns` (a page named like the namespace inside it) and `ns`, falling back to `ns:start`.
+   */
+  resolvePageId(id, contextNs = this.currentNamespace) {
+    const target = String(id).trim() ? id : this.pageId || `${contextNs || ''}:`;
+    let resolved = this.resolveRelativeId(target, contextNs);
+    if (resolved.endsWith(':') || !resolved) {
+      const namespace = resolved.replace(/:$/, '');
+      const start = `${namespace ? namespace + ':' : ''}${this.startPage}`;
+      const name = cleanID(namespace, this.deaccent, this.useslash).split(':').pop();
+      const candidates = namespace ? [start, `${namespace}:${name}`, namespace] : [start];
+      resolved = candidates.find(candidate => this.pageExists(cleanID(candidate, this.deaccent, this.useslash))) || start;
+    }
+    return cleanID(resolved, this.deaccent, this.useslash);
+  }
+
+  /**
+   * Resolves a media ID like DokuWiki's `resolve_mediaid()`.
+   *
+   * @param {string} id - Media ID as written in `{{...}}` (e.g., 'logo.png', '..:images:logo.png').
+   * @param {string} [contextNs=this.currentNamespace] - Namespace the ID is relative to.
+   * @returns {string} - Clean, absolute media ID (e.g., 'wiki:logo.png').
+   */
+  resolveMediaId(id, contextNs = this.currentNamespace) {
+    return cleanID(this.resolveRelativeId(id, contextNs), this.deaccent, this.useslash);
+  }
+
+  /**
+   * Makes a page or media ID absolute, without cleaning it.
+   *
+   * @param {string} id - ID as written in the markup.
+   * @param {string} [contextNs=this.currentNamespace] - Namespace the ID is relative to.
+   * @returns {string} - Absolute ID without leading colon; a trailing ':' (namespace link) is kept.
    *
    * Logic:
-   * - Handles absolute (:page), relative (.:page, ..:page), and start page (:) links.
-   * - Sanitizes output by replacing invalid characters with underscores.
-   * - Appends 'start' for namespace-only links (e.g., 'namespace:').
+   * - IDs without a namespace are placed in `contextNs`; `.` and `..` segments are relative to it, and `~`
+   *   is relative to the current page (`pageId`, or `contextNs` without one), which becomes a namespace.
+   * - `;` separates namespaces like ':'; empty segments and `..` beyond the root are dropped.
+   */
+  resolveRelativeId(id, contextNs = this.currentNamespace) {
+    const namespace = contextNs || '';
+    let target = String(id).trim().replace(/;/g, ':');
+    if (target[0] === '~') target = `${this.pageId || namespace}:${target.slice(1)}`;
+    if (target[0] === '.') {
+      // Initial dots without a colon ('..page') get one
+      target = `${namespace}:${target.replace(/^((?:\.+:)*)(\.+)(?=[^:.])/, '$1$2:')}`;
+    } else if (!target.includes(':')) {
+      target = `${namespace}:${target}`;
+    }
+    const parts = [];
+    target.split(':').forEach(part => {
+      if (part === '..') parts.pop();
+      else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join(':') + (target.endsWith(':') && parts.length ? ':' : '');
+  }
+
+  /**
+   * Resolves the target of an internal link in the current namespace.
+   *
+   * @param {string} target - The link target (e.g., ':page', '..:page', '.:page').
+   * @returns {string} - Resolved page ID; same as `resolvePageId(target)`, kept for existing callers.
    */
   resolveNamespace(target) {
-    const originalTarget = target;
-    let isStartPage = originalTarget.endsWith(':');
-    if (isStartPage) {
-      target = target.slice(0, -1);
-    }
-    let resolved;
-    if (target.startsWith(':')) {
-      // Absolute link: remove leading colon
-      resolved = target.substring(1);
-    } else if (target.startsWith('..')) {
-      // Parent namespace navigation
-      let tempTarget = target;
-      let levels = 0;
-      while (tempTarget.startsWith('..')) {
-        if (tempTarget.startsWith('..:')) {
-          tempTarget = tempTarget.substring(3);
-          levels++;
-        } else {
-          tempTarget = tempTarget.substring(2);
-          levels++;
-        }
+    return this.resolvePageId(target);
+  }
+
+  /**
+   * Registers a syntax plugin.
+   *
+   * @param {Object|Function} plugin - Plugin object, or a function called with the parser that returns one:
+   *   `{ name, inline: [rules], block: [rules], media: [handlers], render: { html: { nodeType: hook }, markdown: {...}, ... } }`.
+   * @returns {DokuParserJS} - This parser, for chaining.
+   * @throws {Error} - If a rule or media handler is incomplete, or a rule refers to an unknown rule.
+   *
+   * Logic:
+   * - Inline rules have the shape of `this.rules` entries (`pattern` and `node`, or `match`, with optional
+   *   `trigger`, `boundary` and `closer` hints that let the scanner skip them cheaply). They are placed
+   *   `before` or `after` a named rule (e.g., 'link', 'nowiki', 'strong'), or by `priority`; built-in rules
+   *   run from nowiki (10) over media (90), link (100) and formatting (130-190) to smileys (220). Rules
+   *   without either run after the built-in rules.
+   * - Block rules `{ name, start, end | continue, content, node }` are checked at the start of each line,
+   *   before the built-in block syntax, in the order they were added:
+   *   - `start` is a RegExp (or function returning a match) that must match at the start of the line.
+   *   - With `end` (a RegExp or function finding the closing marker), the block runs to the end marker;
+   *     text after the start marker belongs to the block and text after the end marker is parsed normally.
+   *     Start markers inside the block nest, so the same construct can contain itself.
+   *   - Without `end`, `continue(text, block)` is asked for each following line; the start line is included.
+   *   - `content` is 'raw' (default), 'inline' (parsed as a paragraph) or 'blocks' (parsed like a page).
+   *   - `node({ match, lines, text, children })` returns the node; its position is set by the parser.
+   * - Render hooks `(node, renderer, context) => string` are keyed by renderer name (as in
+   *   `DokuParserJS.renderers`) and node type; they also override built-in node types. Without a
+   *   hook, renderers treat plugin nodes like unknown nodes and mostly leave them out, so plugins that
+   *   must survive `stringify()` need a `dokuwiki` hook.
+   * - Media handlers `{ name, match, url, render }` turn `{{...}}` sources into embeds:
+   *   - `match` is a RegExp tested against the source without parameters (e.g., /^youtube>(?<id>[\w-]+)$/),
+   *     whose named groups become the node's `embed`, or a function `(src, node)` returning the `embed` object.
+   *   - Matching media nodes get `handler` (the handler name) and `embed`, and count as external.
+   *   - `render` holds `(node, renderer, context) => string` functions by renderer name; renderers without one
+   *     link to `url(embed, node)`, or show the title or source when there is no `url`.
+   *   - Handlers replace handlers of the same name (e.g., the built-in 'youtube' and 'vimeo').
+   */
+  use(plugin) {
+    if (typeof plugin === 'function') plugin = plugin(this);
+    if (!plugin || typeof plugin !== 'object') throw new Error('A plugin must be an object or a function returning one');
+    const label = plugin.name ? `Plugin ${plugin.name}` : 'Plugin';
+    (plugin.inline || []).forEach(rule => {
+      if (!rule.match && !(rule.pattern instanceof RegExp && rule.node)) {
+        throw new Error(`${label}: inline rule ${rule.name || ''} needs a match function or a pattern and node`);
       }
-      let nsParts = this.currentNamespace ? this.currentNamespace.split(':') : [];
-      while (levels > 0 && nsParts.length > 0) {
-        nsParts.pop();
-        levels--;
-      }
-      let parentNs = nsParts.join(':');
-      resolved = (parentNs ? parentNs + ':' : '') + tempTarget;
-    } else if (target.startsWith('.')) {
-      // Current namespace relative link
-      let tempTarget = target;
-      if (tempTarget.startsWith('.:')) {
-        tempTarget = tempTarget.substring(2);
-      } else {
-        tempTarget = tempTarget.substring(1);
+      let priority = rule.priority;
+      const anchor = rule.before || rule.after;
+      if (anchor) {
+        const target = this.rules.find(existing => existing.name === anchor);
+        if (!target) throw new Error(`${label}: unknown inline rule ${anchor}`);
+        // Halfway to the neighbour, so rules anchored to the same rule keep their registration order
+        priority = target.priority + (rule.before ? -0.5 : 0.5);
       }
-      let currNs = this.currentNamespace || '';
-      resolved = currNs + (currNs ? ':' : '') + tempTarget;
-    } else {
-      // Default: append to current namespace
-      resolved = target;
-    }
-    // Clean up multiple colons and sanitize
-    resolved = resolved.replace(/:+/g, ':').replace(/^:/, '').replace(/:$/, '');
-    resolved = resolved.replace(/[^a-z0-9:-_]/gi, '_');
-    if (isStartPage) {
-      resolved += ':start';
-    }
-    if (!resolved) resolved = 'start';
-    return resolved;
+      if (priority === undefined) priority = Infinity;
+      const index = this.rules.findIndex(existing => existing.priority > priority);
+      const entry = { ...rule, priority };
+      if (index === -1) this.rules.push(entry);
+      else this.rules.splice(index, 0, entry);
+    });
+    (plugin.block || []).forEach(rule => {
+      if (!rule.start || !(rule.end || rule.continue) || typeof rule.node !== 'function') {
+        throw new Error(`${label}: block rule ${rule.name || ''} needs start, end or continue, and node`);
+      }
+      // Patterns are matched once per line, so a global flag would only carry state between lines
+      const single = pattern => (pattern instanceof RegExp ? new RegExp(pattern.source, pattern.flags.replace('g', '')) : pattern);
+      this.blockRules.push({ content: 'raw', ...rule, start: single(rule.start), end: single(rule.end) });
+    });
+    (plugin.media || []).forEach(handler => {
+      if (!handler.name || !(handler.match instanceof RegExp || typeof handler.match === 'function')) {
+        throw new Error(`${label}: media handler ${handler.name || ''} needs a name and a match RegExp or function`);
+      }
+      this.mediaHandlers[handler.name] = handler;
+    });
+    Object.entries(plugin.render || {}).forEach(([format, hooks]) => {
+      this.renderHooks[format] = { ...this.renderHooks[format], ...hooks };
+    });
+    this.plugins.push(plugin);
+    return this;
   }
 
   /**
-   * Main parsing function: converts DokuWiki markup to HTML.
+   * Main parsing function: converts DokuWiki markup to HTML (or another renderer format).
    *
    * @param {string} doku - DokuWiki markup input.
-   * @returns {string} - HTML output wrapped in <div class="page group">.
+   * @returns {string} - Rendered output; HTML is wrapped in <div class="page group">.
    *
    * Logic:
-   * - Processes input line-by-line using a state machine.
-   * - Handles block-level elements: headers, lists, tables, quotes, code blocks, HR.
-   * - Uses `applyRules()` for inline parsing within blocks.
-   * - Tracks state (e.g., list depth, quote level) to manage nesting.
-   * - Wraps output in a div for consistent styling.
+   * - Builds the document tree with `parseToAST()`.
+   * - Renders it with the configured renderer (HTML unless `options.renderer` says otherwise).
    */
   parse(doku) {
-    let result = []; // Accumulates HTML fragments
-    let lines = doku.split('\n'); // Split input into lines
-    let tableLines = []; // Buffer for table rows
-    let quoteLevel = 0; // Tracks blockquote nesting
-    let paragraphBuffer = []; // Buffer for paragraph content
-    let inCodeBlock = false; // Flag for <code> or <file> block
-    let codeBlockBuffer = []; // Buffer for code block content
-    let inPre = false; // Flag for indented code block
-    let preBuffer = []; // Buffer for indented code
-    let codeLang = 'code'; // Language for code blocks
-    let inTable = false; // Flag for table parsing
-    let inCodeSection = false; // Flag for sections where content is escaped
-    let codeBlockIndent = -1; // Indent level for code blocks
-    let inHtml = false; // Flag for HTML block
-    let htmlBuffer = []; // Buffer for HTML content
-    let htmlTag = ''; // Tracks HTML tag (html/HTML)
-    let inPhp = false; // Flag for PHP block
-    let phpBuffer = []; // Buffer for PHP content
-    let phpTag = ''; // Tracks PHP tag (php/PHP)
-    let outerCodeLang = null; // Preserves outer code language
+    return this.render(this.parseToAST(doku));
+  }
+
+  /**
+   * Creates a document that can be edited and re-rendered incrementally (e.g., for a live preview).
+   *
+   * @param {string} [doku=''] - DokuWiki markup input.
+   * @returns {DokuDocument} - Document whose `update()` re-parses only the blocks around an edit.
+   */
+  createDocument(doku = '') {
+    return new DokuDocument(this, doku);
+  }
+
+  /**
+   * Parses DokuWiki markup into a document tree.
+   *
+   * @param {string} doku - DokuWiki markup input.
+   * @returns {Object} - Document node: `{ type: 'document', children, footnotes, macros, position }`.
+   *
+   * Logic:
+   * - Processes input line-by-line using a state machine that collects lines into blocks
+   *   (paragraphs, lists, tables, quotes, preformatted text, code and HTML/PHP blocks).
+   * - Each heading starts a new `section` node; later blocks are appended to that section. Sections are
+   *   numbered from 1 in document order, and span the source lines up to the next heading.
+   * - `<code>`, `<file>`, `<HTML>` and `<PHP>` may open mid-line; the text before the tag
+   *   is handled as its own line.
+   * - Paragraphs with an unclosed `<nowiki>`, `%%`, `<html>` or `<php>` absorb following lines.
+   * - Block content is parsed with `parseInline()`; footnotes and control macros are
+   *   collected on the document node.
+   * - Block rules of plugins (see `use()`) are tried before the built-in block syntax.
+   */
+  parseToAST(doku) {
+    const lines = String(doku).replace(/\r\n?/g, '\n').split('\n');
+    const doc = {
+      type: 'document',
+      children: [],
+      footnotes: [],
+      macros: { notoc: false, nocache: false },
+      position: {
+        start: { line: 1, column: 1 },
+        end: { line: lines.length, column: lines[lines.length - 1].length + 1 }
+      }
+    };
 
     // Reset parser state
-    this.footnotes = [];
+    this.footnotes = doc.footnotes;
     this.footnoteContent = new Map();
-    this.linkPlaceholders = [];
-    this.nowikiPlaceholders = [];
-    this.listStack = [];
-    this.currentIndent = -1;
-    this.currentType = null;
-    this.currentSectionLevel = 0;
-    this.currentSection = '';
-
-    // Process each line
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-      let trimmed = line.trim();
+    this.macros = doc.macros;
+    this.missingLinks = [];
+    this.sectionCount = 0;
+    this.headingIds = new Set();
 
-      // Skip empty lines, but include in buffers if in HTML/PHP
-      if (!trimmed) {
-        if (inHtml) {
-          htmlBuffer.push('');
-          continue;
-        }
-        if (inPhp) {
-          phpBuffer.push('');
-          continue;
-        }
-        if (inTable) {
-          // End table if empty line encountered
-          const tableHtml = tableParser({
-            lines: tableLines,
-            inCode: inCodeSection && codeBlockIndent >= 2,
-            nestedParse: (text) => this.replacePlaceholders(this.applyRules(text))
-          });
-          if (tableHtml.trim()) result.push(tableHtml);
-          inTable = false;
-          tableLines = [];
-          codeBlockIndent = -1;
-        } else if (inCodeBlock) {
-          codeBlockBuffer.push(line);
-          continue;
-        } else if (inPre) {
-          preBuffer.push(line);
-          continue;
-        } else if (quoteLevel > 0 || paragraphBuffer.length > 0 || this.listStack.length > 0) {
-          // Flush blocks if no list follows
-          if (i + 1 >= lines.length || !lines[i + 1].match(/^ {2,}[* -]\s/)) {
-            this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-            quoteLevel = 0;
-          }
-        }
-        continue;
+    // Lines are queued as { text, line, column } so mid-line block tags can split them
+    doc.children = this.parseBlocks(lines.map((text, index) => ({ text, line: index + 1, column: 1 })), lines);
+    return doc;
+  }
+
+  /**
+   * Runs the block state machine over queued source lines.
+   *
+   * @param {Array} queue - Lines as `{ text, line, column }`; entries are split in place when a block tag
+   *   opens or closes mid-line.
+   * @param {Array} lines - Source lines of the document (for end positions).
+   * @returns {Array} - Block nodes; each heading starts a `section` node holding the blocks after it.
+   */
+  parseBlocks(queue, lines) {
+    const nodes = [];
+    let container = nodes; // Blocks go into the top level or the current section
+    let section = null; // Current section node
+    let block = null; // Block being collected: { type, entries, ... }
+
+    const closeBlock = () => {
+      if (block) {
+        container.push(...this.finishBlock(block));
+        block = null;
+      }
+    };
+    const addToBlock = (type, entry) => {
+      if (!block || block.type !== type) {
+        closeBlock();
+        block = { type, entries: [] };
       }
+      block.entries.push(entry);
+    };
 
-      // Handle HTML blocks
-      if (inHtml) {
-        if (trimmed.endsWith(`</${htmlTag}>`)) {
-          const endTag = `</${htmlTag}>`;
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag));
-          htmlBuffer.push(beforeClose);
-          const htmlContent = htmlBuffer.join('\n');
-          if (this.htmlok) {
-            result.push(htmlContent);
-          } else {
-            const content = htmlContent.trim();
-            if (content) result.push(`<pre class="code html">${this.escapeEntities(content)}</pre>`);
+    for (let k = 0; k < queue.length; k++) {
+      let entry = queue[k];
+
+      // Plugin blocks collect lines until their end marker, or while `continue` accepts them
+      if (block && block.rule) {
+        const rule = block.rule;
+        if (!rule.end) {
+          if (rule.continue.call(this, entry.text, block)) {
+            block.entries.push(entry);
+            continue;
           }
-          inHtml = false;
-          htmlBuffer = [];
-          htmlTag = '';
+          closeBlock();
         } else {
-          htmlBuffer.push(line);
+          if (this.matchBlockPattern(rule.start, entry.text, true)) block.depth++;
+          const end = this.matchBlockPattern(rule.end, entry.text, false);
+          if (!end || --block.depth > 0) {
+            block.entries.push(entry);
+            continue;
+          }
+          const before = entry.text.slice(0, end.index);
+          if (before.trim()) block.entries.push({ ...entry, text: before });
+          const afterColumn = end.index + end[0].length;
+          const after = entry.text.slice(afterColumn);
+          if (after.trim()) queue.splice(k + 1, 0, { text: after, line: entry.line, column: entry.column + afterColumn });
+          block.end = { line: entry.line, column: entry.column + afterColumn };
+          closeBlock();
+          continue;
         }
-        continue;
       }
 
-      // Handle PHP blocks
-      if (inPhp) {
-        if (trimmed.endsWith(`</${phpTag}>`)) {
-          const endTag = `</${phpTag}>`;
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag));
-          phpBuffer.push(beforeClose);
-          const phpContent = phpBuffer.join('\n');
-          const content = phpContent.trim();
-          if (content) result.push(`<pre class="code php">${this.escapeEntities(content)}</pre>`);
-          inPhp = false;
-          phpBuffer = [];
-          phpTag = '';
-        } else {
-          phpBuffer.push(line);
+      // Raw blocks collect lines until their closing tag
+      if (block && block.endTag) {
+        const end = entry.text.indexOf(block.endTag);
+        if (end === -1) {
+          block.entries.push(entry);
+          continue;
         }
+        const before = entry.text.slice(0, end);
+        if (before.trim()) block.entries.push({ ...entry, text: before });
+        const afterColumn = end + block.endTag.length;
+        const after = entry.text.slice(afterColumn);
+        if (after.trim()) queue.splice(k + 1, 0, { text: after, line: entry.line, column: entry.column + afterColumn });
+        block.end = { line: entry.line, column: entry.column + afterColumn };
+        closeBlock();
         continue;
       }
 
-      // Start HTML or PHP block
-      if (trimmed.match(/^<(html|HTML|php|PHP)>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        const match = trimmed.match(/^<(html|HTML|php|PHP)>/i);
-        const tag = match[1].toLowerCase();
-        const isUpper = match[1] === match[1].toUpperCase();
-        const startIdx = line.indexOf(`<${match[1]}>`);
-        const contentAfter = line.substring(startIdx + match[0].length).trim();
-        if (tag === 'html') {
-          inHtml = true;
-          htmlTag = isUpper ? 'HTML' : 'html';
-          htmlBuffer = [contentAfter];
-        } else if (tag === 'php') {
-          inPhp = true;
-          phpTag = isUpper ? 'PHP' : 'php';
-          phpBuffer = [contentAfter];
-        }
-        if (line.includes(`</${match[1]}>`)) {
-          const endTag = `</${match[1]}>`;
-          const beforeClose = contentAfter.substring(0, contentAfter.lastIndexOf(endTag));
-          if (tag === 'html') {
-            htmlBuffer[0] = beforeClose;
-            const htmlContent = htmlBuffer.join('\n');
-            if (this.htmlok) {
-              result.push(htmlContent);
-            } else {
-              const content = htmlContent.trim();
-              if (content) result.push(`<pre class="code html">${this.escapeEntities(content)}</pre>`);
-            }
-            inHtml = false;
-            htmlBuffer = [];
-            htmlTag = '';
-          } else if (tag === 'php') {
-            phpBuffer[0] = beforeClose;
-            const phpContent = phpBuffer.join('\n');
-            const content = phpContent.trim();
-            if (content) result.push(`<pre class="code php">${this.escapeEntities(content)}</pre>`);
-            inPhp = false;
-            phpBuffer = [];
-            phpTag = '';
-          }
-        }
+      // Paragraphs with unclosed <nowiki>, %%, <html> or <php> absorb following lines
+      if (block && block.type === 'paragraph' && block.waiting) {
+        block.entries.push(entry);
+        block.waiting = this.scanProtected(entry.text, block.waiting);
         continue;
       }
 
-      // Handle table start
-      if (!inTable && trimmed.match(/^\s{0,1}[\^|]/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        inTable = true;
-        tableLines = [line];
-        codeBlockIndent = line.match(/^(\s*)/)[1].length;
+      // Empty lines end the current block
+      if (!entry.text.trim()) {
+        closeBlock();
         continue;
       }
 
-      // Handle table continuation or end
-      if (inTable) {
-        if (!trimmed.match(/^\s{0,1}[\^|]/)) {
-          const tableHtml = tableParser({
-            lines: tableLines,
-            inCode: inCodeSection && codeBlockIndent >= 2,
-            nestedParse: (text) => this.replacePlaceholders(this.applyRules(text))
-          });
-          if (tableHtml.trim()) result.push(tableHtml);
-          inTable = false;
-          tableLines = [];
-          codeBlockIndent = -1;
+      // Plugin blocks
+      const plugin = this.blockRules.reduce((found, rule) => found || this.startBlockRule(rule, entry.text), null);
+      if (plugin) {
+        closeBlock();
+        const { rule, match } = plugin;
+        block = { type: 'plugin', rule, match, lines, entries: [], depth: 1, start: { line: entry.line, column: entry.column } };
+        if (rule.end) {
+          const afterColumn = match[0].length;
+          const after = entry.text.slice(afterColumn);
+          if (after.trim()) queue.splice(k + 1, 0, { text: after, line: entry.line, column: entry.column + afterColumn });
+          block.end = { line: entry.line, column: entry.column + afterColumn };
         } else {
-          tableLines.push(line);
-          continue;
-        }
-      }
-
-      // Handle code/file blocks
-      if (trimmed.match(/^<code(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        outerCodeLang = inCodeBlock ? outerCodeLang : 'code';
-        inCodeBlock = true;
-        inCodeSection = this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
-        codeBlockBuffer = [];
-        const match = trimmed.match(/^<code(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/);
-        codeLang = match[1] ? `code ${match[1]}` : 'code';
-        codeBlockIndent = line.match(/^(\s*)/)[1].length;
-        const startIdx = line.indexOf('<code');
-        const contentAfter = line.substring(startIdx + match[0].length).trim();
-        if (contentAfter) codeBlockBuffer.push(contentAfter);
-        if (line.includes('</code>')) {
-          const endTag = '</code>';
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag)).trim();
-          if (beforeClose) codeBlockBuffer.push(beforeClose);
-          const fullContent = codeBlockBuffer.join('\n');
-          if (fullContent.trim()) {
-            result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
-          }
-          inCodeBlock = false;
-          codeBlockBuffer = [];
-          codeLang = '';
-          inCodeSection = false;
-          codeBlockIndent = -1;
-          outerCodeLang = null;
-        }
-        continue;
-      } else if (trimmed.match(/^<file(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        outerCodeLang = inCodeBlock ? outerCodeLang : 'file';
-        inCodeBlock = true;
-        inCodeSection = this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
-        codeBlockBuffer = [];
-        const match = trimmed.match(/^<file(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/);
-        codeLang = match[1] ? `file ${match[1]}` : 'file';
-        codeBlockIndent = line.match(/^(\s*)/)[1].length;
-        const startIdx = line.indexOf('<file');
-        const contentAfter = line.substring(startIdx + match[0].length).trim();
-        if (contentAfter) codeBlockBuffer.push(contentAfter);
-        if (line.includes('</file>')) {
-          const endTag = '</file>';
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag)).trim();
-          if (beforeClose) codeBlockBuffer.push(beforeClose);
-          const fullContent = codeBlockBuffer.join('\n');
-          if (fullContent.trim()) {
-            result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
-          }
-          inCodeBlock = false;
-          codeBlockBuffer = [];
-          codeLang = '';
-          inCodeSection = false;
-          codeBlockIndent = -1;
-          outerCodeLang = null;
+          block.entries.push(entry);
         }
         continue;
-      } else if (inCodeBlock && (trimmed.endsWith('</code>') || trimmed.endsWith('</file>'))) {
-        const endTag = trimmed.endsWith('</code>') ? '</code>' : '</file>';
-        const beforeClose = line.substring(0, line.lastIndexOf(endTag)).trim();
-        if (beforeClose) codeBlockBuffer.push(beforeClose);
-        const fullContent = codeBlockBuffer.join('\n');
-        if (fullContent.trim()) {
-          result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
-        }
-        inCodeBlock = false;
-        codeBlockBuffer = [];
-        codeLang = outerCodeLang || 'code';
-        outerCodeLang = null;
-        inCodeSection = false;
-        codeBlockIndent = -1;
-        continue;
-      } else if (inCodeBlock) {
-        codeBlockBuffer.push(line);
-        continue;
       }
 
-      // Handle lists
-      if (line.match(/^ {2,}[* -]\s/)) {
-        const match = line.match(/^ {2,}([* -])\s(.*)/);
-        if (match) {
-          const typeChar = match[1];
-          let content = match[2].trim();
-          content = content.replace(/\\\\\s*$/, '');
-          content = content.replace(/\\\\\s+/g, '<br />');
-          content = inCodeSection ? this.escapeEntities(content) : this.replacePlaceholders(this.applyRules(content));
-          const listType = typeChar === '*' ? 'ul' : 'ol';
-          const indent = line.match(/^(\s*)/)[1].length;
-          const depth = Math.floor((indent - 2) / 2) + 1;
-          while (this.currentIndent > depth && this.listStack.length > 0) {
-            result.push('</li>');
-            result.push(`</${this.listStack.pop().type}>`);
-            this.currentIndent = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].indent : -1;
-            this.currentType = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].type : null;
-          }
-          if (this.currentIndent === -1 || depth > this.currentIndent) {
-            result.push(`<${listType}>`);
-            this.listStack.push({ type: listType, indent: depth });
-            this.currentType = listType;
-            this.currentIndent = depth;
-          } else if (depth === this.currentIndent && this.currentType !== listType) {
-            result.push('</li>');
-            result.push(`</${this.listStack.pop().type}>`);
-            result.push(`<${listType}>`);
-            this.listStack.push({ type: listType, indent: depth });
-            this.currentType = listType;
-          } else if (depth === this.currentIndent) {
-            result.push('</li>');
-          }
-          result.push(`<li class="level${depth}"><div class="li">${content || ''}</div>`);
-          if (i + 1 < lines.length) {
-            const nextLine = lines[i + 1];
-            const nextIndent = nextLine.match(/^(\s*)/)[1].length;
-            const nextDepth = Math.floor((nextIndent - 2) / 2) + 1;
-            if (nextLine.match(/^ {2,}[* -]\s/) && nextIndent >= indent) {
-              continue;
-            } else {
-              result.push('</li>');
-              if (nextIndent < 2 || nextDepth < depth) {
-                while (this.listStack.length > 0 && this.currentIndent > (nextLine.trim() ? nextDepth : -1)) {
-                  result.push(`</${this.listStack.pop().type}>`);
-                  this.currentIndent = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].indent : -1;
-                  this.currentType = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].type : null;
-                }
-              }
-            }
-          } else {
-            result.push('</li>');
-            while (this.listStack.length > 0) {
-              result.push(`</${this.listStack.pop().type}>`);
-              this.currentIndent = -1;
-              this.currentType = null;
-            }
-          }
-          continue;
+      // Lists
+      const listMatch = entry.text.match(/^( {2,}|\t+)([*-])/);
+      if (listMatch) {
+        const opener = this.findBlockOpener(entry.text);
+        if (opener) {
+          queue.splice(k + 1, 0, { text: entry.text.slice(opener.index), line: entry.line, column: entry.column + opener.index });
+          entry = { ...entry, text: entry.text.slice(0, opener.index) };
         }
+        addToBlock('list', entry);
+        continue;
       }
 
-      // Handle indented code blocks
-      const indent = line.match(/^(\s*)/)[1].length;
-      if (indent >= 2 && !inCodeBlock && !inTable && !line.match(/^ {2,}[* -]\s/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        inPre = true;
-        inCodeSection = this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
-        preBuffer = [line];
-        codeBlockIndent = indent;
+      // Indented (preformatted) text
+      if (/^( {2,}|\t)/.test(entry.text)) {
+        addToBlock('preformatted', entry);
         continue;
       }
 
-      // Handle indented code continuation or end
-      if (inPre) {
-        if (indent >= codeBlockIndent && trimmed && !line.match(/^(?:>|={2,6}.*={2,6}|[\^|]|-{4,}| {2,}[* -]\s)/)) {
-          preBuffer.push(line);
-          continue;
-        } else {
-          let preContent = preBuffer.map(l => l.replace(/^ {2,}/, '')).join('\n');
-          const fullContent = preContent;
-          if (fullContent.trim()) {
-            result.push(`<pre class="code">${this.escapeEntities(fullContent)}</pre>`);
-          }
-          inPre = false;
-          preBuffer = [];
-          inCodeSection = false;
-          codeBlockIndent = -1;
-        }
+      // Tables
+      if (/^ ?[\^|]/.test(entry.text)) {
+        addToBlock('table', entry);
+        continue;
       }
 
-      // Handle end of indented code at EOF
-      if (i === lines.length - 1 && inPre) {
-        let preContent = preBuffer.map(l => l.replace(/^ {2,}/, '')).join('\n');
-        const fullContent = preContent;
-        if (fullContent.trim()) {
-          result.push(`<pre class="code">${this.escapeEntities(fullContent)}</pre>`);
-        }
-        inPre = false;
-        inCodeSection = false;
-        codeBlockIndent = -1;
+      // Code, file, HTML and PHP blocks
+      const opener = this.findBlockOpener(entry.text);
+      if (opener && entry.text.slice(0, opener.index).trim()) {
+        queue.splice(k + 1, 0, { text: entry.text.slice(opener.index), line: entry.line, column: entry.column + opener.index });
+        entry = { ...entry, text: entry.text.slice(0, opener.index) };
+      } else if (opener) {
+        closeBlock();
+        const start = { line: entry.line, column: entry.column + opener.index };
+        block = { ...opener.block, entries: [], start };
+        const afterColumn = opener.index + opener.length;
+        const after = entry.text.slice(afterColumn);
+        if (after.trim()) queue.splice(k + 1, 0, { text: after, line: entry.line, column: entry.column + afterColumn });
+        block.end = { line: entry.line, column: entry.column + afterColumn };
         continue;
       }
+      const text = entry.text;
 
-      // Handle blockquotes
-      const quoteMatch = line.match(/^(>+)\s*(.*)/);
-      if (quoteMatch) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        const newLevel = quoteMatch[1].length;
-        const content = quoteMatch[2];
-        let formattedContent = content.trim();
-        formattedContent = formattedContent.replace(/\\\\\s*$/, '');
-        formattedContent = formattedContent.replace(/\\\\\s+/g, '<br />');
-        formattedContent = inCodeSection ? this.escapeEntities(formattedContent) : this.replacePlaceholders(this.applyRules(formattedContent));
-        while (quoteLevel > newLevel) {
-          result.push('</div></blockquote>');
-          quoteLevel--;
-        }
-        while (quoteLevel < newLevel) {
-          result.push('<blockquote><div class="no">');
-          quoteLevel++;
-        }
-        if (formattedContent) {
-          result.push(formattedContent);
-        }
-        if (i === lines.length - 1 && quoteLevel > 0) {
-          while (quoteLevel > 0) {
-            result.push('</div></blockquote>');
-            quoteLevel--;
-          }
-        }
-        continue;
-      } else if (quoteLevel > 0) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        quoteLevel = 0;
-      }
-
-      // Handle headers
-      if (trimmed.match(/^={2,6}.*={2,6}$/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        const equals = trimmed.match(/^={2,6}/)[0];
-        const equalsCount = equals.length;
-        let content = trimmed.replace(/^={2,6}/, '').replace(/={2,6}$/, '').trim();
-        content = this.replacePlaceholders(this.applyRules(content));
-        const level = 7 - equalsCount;
-        const id = content.toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+ /g, '_').replace(/^_|_$/g, '');
-        const sectionEditNum = level;
-        result.push(`<h${level} class="sectionedit${sectionEditNum}" id="${id}">${content}</h${level}>`);
-        this.currentSectionLevel = level;
-        this.currentSection = content;
-        inCodeSection = content.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
+      // Headings start a new section
+      const headingMatch = text.match(/^[ \t]*(={2,})[ \t]*(.+?)[ \t]*={2,}[ \t]*$/);
+      if (headingMatch) {
+        closeBlock();
+        const level = Math.max(1, 7 - headingMatch[1].length);
+        const titleIndex = text.indexOf(headingMatch[2], headingMatch[1].length);
+        const children = this.parseInline(headingMatch[2], this.createLocator([{ offset: 0, line: entry.line, column: entry.column + titleIndex }]));
+        const position = {
+          start: { line: entry.line, column: entry.column },
+          end: { line: entry.line, column: entry.column + text.length }
+        };
+        const heading = { type: 'heading', level, id: this.headingId(this.plainText(children), this.headingIds), children, position };
+        if (section) section.position.end = this.endOfLine(lines, entry.line - 1);
+        section = { type: 'section', level, number: ++this.sectionCount, children: [heading], position: { start: position.start, end: position.end } };
+        nodes.push(section);
+        container = section.children;
         continue;
       }
 
-      // Handle horizontal rules
-      if (trimmed.match(/^-{4,}$/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        result.push('<hr />');
-        inCodeSection = false;
+      // Horizontal rules
+      if (/^[ \t]*-{4,}[ \t]*$/.test(text)) {
+        closeBlock();
+        container.push({
+          type: 'hr',
+          position: { start: { line: entry.line, column: entry.column }, end: { line: entry.line, column: entry.column + text.length } }
+        });
         continue;
       }
 
-      // Handle standalone images
-      if (trimmed.match(/^\s*\{\{[^}]+?\}\}/) && !trimmed.match(/^\s*\{\{rss>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        let content = this.replacePlaceholders(this.applyRules(line));
-        result.push(content);
+      // Blockquotes
+      if (/^>/.test(text)) {
+        addToBlock('blockquote', entry);
         continue;
       }
 
-      // Handle paragraphs
-      let content = trimmed;
-      content = content.replace(/\\\\\s*$/, '');
-      content = content.replace(/\\\\\s+/g, '<br />');
-      content = inCodeSection ? this.escapeEntities(content) : this.replacePlaceholders(this.applyRules(content));
-      paragraphBuffer.push(content);
-      if (i === lines.length - 1) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-      }
+      // Paragraphs
+      addToBlock('paragraph', entry);
+      block.waiting = this.scanProtected(text, null);
     }
 
     // Flush any remaining blocks
-    this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
+    const lastLine = queue.length ? queue[queue.length - 1].line : lines.length;
+    if (block && (block.endTag || (block.rule && block.rule.end))) block.end = this.endOfLine(lines, lastLine);
+    closeBlock();
+    if (section) section.position.end = this.endOfLine(lines, lastLine);
+    return nodes;
+  }
+
+  /**
+   * Checks whether a plugin block rule starts at the beginning of a line.
+   *
+   * @param {Object} rule - Block rule registered with `use()`.
+   * @param {string} text - Line text.
+   * @returns {Object|null} - `{ rule, match }`, or null.
+   */
+  startBlockRule(rule, text) {
+    const match = this.matchBlockPattern(rule.start, text, true);
+    return match ? { rule, match } : null;
+  }
+
+  /**
+   * Matches a block rule pattern against a line.
+   *
+   * @param {RegExp|Function} pattern - Pattern, or function returning a match (array-like with `index`) or null.
+   * @param {string} text - Line text.
+   * @param {boolean} atStart - Only accept a match at the start of the line.
+   * @returns {Array|null} - Match with `index` (0 if the function left it out), or null.
+   */
+  matchBlockPattern(pattern, text, atStart) {
+    const match = typeof pattern === 'function' ? pattern.call(this, text) : pattern.exec(text);
+    if (!match) return null;
+    if (match.index === undefined) match.index = 0;
+    return atStart && match.index !== 0 ? null : match;
+  }
+
+  /**
+   * Converts collected block lines into block nodes.
+   *
+   * @param {Object} block - Block state: `{ type, entries, ... }` where entries are `{ text, line, column }`.
+   * @returns {Array} - Block nodes (lists may produce several when the list type changes).
+   */
+  finishBlock(block) {
+    const entries = block.entries;
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const position = first ? {
+      start: { line: first.line, column: first.column },
+      end: { line: last.line, column: last.column + last.text.length }
+    } : null;
 
-    // Handle remaining indented code
-    if (inPre) {
-      let preContent = preBuffer.map(l => l.replace(/^ {2,}/, '')).join('\n');
-      const fullContent = preContent;
-      if (fullContent.trim()) {
-        result.push(`<pre class="code">${this.escapeEntities(fullContent)}</pre>`);
+    switch (block.type) {
+      case 'paragraph': {
+        const children = this.parseInlineEntries(entries);
+        return children.length ? [{ type: 'paragraph', children, position }] : [];
       }
-    }
 
-    // Add footnotes
-    if (this.footnoteContent.size > 0) {
-      result.push('<div class="footnotes">');
-      Array.from(this.footnoteContent.entries()).forEach(([note, index]) => {
-        if (!note.trim()) return;
-        let formattedNote = this.replacePlaceholders(this.applyRules(note));
-        result.push(`<div class="fn"><sup><a href="#fnt__${index + 1}" id="fn__${index + 1}" class="fn_bot">[${index + 1})</a></sup> <div class="content">${formattedNote}</div></div>`);
-      });
-      result.push('</div>');
-    }
+      case 'plugin': {
+        const rule = block.rule;
+        const lines = entries.map(entry => entry.text);
+        let children = [];
+        if (rule.content === 'inline') children = this.parseInlineEntries(entries);
+        else if (rule.content === 'blocks') children = this.parseBlocks([...entries], block.lines);
+        const node = rule.node.call(this, { match: block.match, lines, text: lines.join('\n'), children });
+        if (!node) return [];
+        node.position = {
+          start: block.start,
+          end: block.end || (position ? position.end : { line: block.start.line, column: block.start.column + block.match[0].length })
+        };
+        return [node];
+      }
+
+      case 'list':
+        return this.buildLists(entries);
+
+      case 'blockquote':
+        return [this.buildQuote(entries, position)];
+
+      case 'table': {
+        const rows = tableParser({ lines: entries.map(entry => entry.text) }).map(row => {
+          const entry = entries[row.index];
+          return {
+            type: 'tablerow',
+            head: row.head,
+            children: row.cells.map(cell => {
+              const locate = this.createLocator([{ offset: 0, line: entry.line, column: entry.column + cell.offset }]);
+              return {
+                type: 'tablecell',
+                header: cell.type === 'th',
+                align: cell.align ? cell.align.replace(/align$/, '') : null,
+                colspan: cell.colspan,
+                rowspan: cell.rowspan,
+                col: cell.col,
+                children: this.parseInline(cell.content, locate),
+                position: { start: locate(0), end: locate(cell.content.length) }
+              };
+            }),
+            position: {
+              start: { line: entry.line, column: entry.column },
+              end: { line: entry.line, column: entry.column + entry.text.length }
+            }
+          };
+        });
+        return rows.length ? [{ type: 'table', children: rows, position }] : [];
+      }
+
+      case 'preformatted': {
+        const value = entries.map(entry => entry.text.replace(/^(?: {2}|\t)/, '')).join('\n');
+        return [{ type: 'code', kind: 'preformatted', lang: null, filename: null, options: null, value, position }];
+      }
+
+      case 'code':
+      case 'html':
+      case 'php': {
+        const lines = entries.map(entry => entry.text);
+        while (lines.length && !lines[0].trim()) lines.shift();
+        while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+        const node = block.type === 'code'
+          ? { type: 'code', kind: block.kind, lang: block.lang, filename: block.filename, options: block.options }
+          : { type: block.type, block: true };
+        node.value = lines.join('\n');
+        node.position = { start: block.start, end: block.end };
+        return [node];
+      }
 
-    // Join and wrap result
-    let finalResult = result.join('\n');
-    finalResult = this.replacePlaceholders(finalResult);
-    if (finalResult.includes('[LINK_') || finalResult.includes('[MEDIA_') || finalResult.includes('[RSS_')) {
-      console.warn('Warning: Unresolved placeholders in output');
+      default:
+        return [];
     }
-    // Clear placeholders to prevent memory leaks
-    this.linkPlaceholders = [];
-    this.nowikiPlaceholders = [];
-    return `<div class="page group">${finalResult}</div>`;
   }
 
   /**
-   * Replaces placeholders with their corresponding HTML content.
+   * Parses block lines as one run of inline content, like a paragraph.
    *
-   * @param {string} str - Input string with placeholders.
-   * @returns {string} - String with placeholders replaced.
+   * @param {Array} entries - Lines as `{ text, line, column }`.
+   * @returns {Array} - Inline nodes; lines are trimmed and joined with newlines.
    */
-  replacePlaceholders(str) {
-    this.linkPlaceholders.forEach((link, index) => {
-      str = str.replace(new RegExp(`\\[(?:LINK|RSS|MEDIA)_${index}\\]`, 'g'), link);
+  parseInlineEntries(entries) {
+    const segments = [];
+    const parts = [];
+    let offset = 0;
+    entries.forEach(entry => {
+      const lead = entry.text.match(/^\s*/)[0].length;
+      const content = entry.text.trim();
+      segments.push({ offset, line: entry.line, column: entry.column + lead });
+      parts.push(content);
+      offset += content.length + 1;
     });
-    this.nowikiPlaceholders.forEach((raw, idx) => {
-      str = str.replace(new RegExp(`\\[NOWIKI_${idx}\\]`, 'g'), this.escapeEntities(raw));
-    });
-    return str;
+    return this.parseInline(parts.join('\n'), this.createLocator(segments));
   }
 
   /**
-   * Applies inline parsing rules to content.
+   * Builds nested list nodes from list lines.
    *
-   * @param {string} content - Input content.
-   * @returns {string} - Processed content with inline rules applied.
+   * @param {Array} entries - List lines as `{ text, line, column }`.
+   * @returns {Array} - Top-level list nodes.
+   *
+   * Logic:
+   * - Depth is the indentation divided by two (tabs count as two spaces).
+   * - Deeper items open a nested list inside the previous item.
+   * - A different list type at the same depth closes the list and opens a new one.
    */
-  applyRules(content) {
-    let result = content;
-    this.nowikiPlaceholders = [];
-    this.rules.forEach(rule => {
-      result = result.replace(rule.pattern, typeof rule.replace === 'function' ? (...args) => rule.replace.apply(this, args) : rule.replace);
+  buildLists(entries) {
+    const roots = [];
+    const stack = []; // Open lists as { list, depth }
+    entries.forEach(entry => {
+      const match = entry.text.match(/^(\s*)([*-])\s*(.*)$/);
+      const indent = match[1].replace(/\t/g, '  ').length;
+      const depth = Math.max(1, Math.floor(indent / 2));
+      const ordered = match[2] === '-';
+      const content = match[3].trim();
+      const column = entry.column + entry.text.indexOf(content, match[1].length + 1);
+      const item = {
+        type: 'listitem',
+        level: depth,
+        children: this.parseInline(content, this.createLocator([{ offset: 0, line: entry.line, column }])),
+        position: {
+          start: { line: entry.line, column: entry.column },
+          end: { line: entry.line, column: entry.column + entry.text.length }
+        }
+      };
+
+      while (stack.length && stack[stack.length - 1].depth > depth) stack.pop();
+      let top = stack[stack.length - 1];
+      if (top && top.depth === depth && top.list.ordered !== ordered) {
+        stack.pop();
+        top = null;
+      }
+      if (!top || top.depth < depth) {
+        const list = { type: 'list', ordered, children: [], position: { start: item.position.start, end: item.position.end } };
+        const parent = stack[stack.length - 1];
+        if (parent) {
+          parent.list.children[parent.list.children.length - 1].children.push(list);
+        } else {
+          roots.push(list);
+        }
+        top = { list, depth };
+        stack.push(top);
+      }
+      top.list.children.push(item);
+      stack.forEach(open => {
+        open.list.position.end = item.position.end;
+        const lastItem = open.list.children[open.list.children.length - 1];
+        if (lastItem !== item) lastItem.position.end = item.position.end;
+      });
     });
-    result = this.parseFootnotes(result);
-    return result;
+    return roots;
   }
 
   /**
-   * Parses footnotes in content.
+   * Builds a (nested) blockquote node from quote lines.
    *
-   * @param {string} content - Input content.
-   * @returns {string} - Content with footnotes converted to HTML.
+   * @param {Array} entries - Quote lines as `{ text, line, column }`.
+   * @param {Object} position - Position of the whole quote block.
+   * @returns {Object} - Outermost blockquote node.
    */
-  parseFootnotes(content) {
-    return content.replace(/\(\((.+?)\)\)/g, (match, note) => {
-      if (!note.trim()) return match;
-      let index = this.footnoteContent.get(note);
-      if (index === undefined) {
-        index = this.footnoteContent.size;
-        this.footnoteContent.set(note, index);
+  buildQuote(entries, position) {
+    const root = { type: 'blockquote', children: [], position };
+    const stack = [root];
+    entries.forEach(entry => {
+      const match = entry.text.match(/^(>+)\s*(.*?)\s*$/);
+      const level = match[1].length;
+      while (stack.length > level) stack.pop();
+      while (stack.length < level) {
+        const quote = {
+          type: 'blockquote',
+          children: [],
+          position: { start: { line: entry.line, column: entry.column }, end: position.end }
+        };
+        stack[stack.length - 1].children.push(quote);
+        stack.push(quote);
       }
-      return `<sup><a href="#fn__${index + 1}" id="fnt__${index + 1}" class="fn_top">[${index + 1})</a></sup>`;
+      const quote = stack[stack.length - 1];
+      if (quote.children.length) quote.children.push({ type: 'text', value: '\n' });
+      const column = entry.column + match[1].length + (entry.text.slice(match[1].length).length - entry.text.slice(match[1].length).trimStart().length);
+      quote.children.push(...this.parseInline(match[2], this.createLocator([{ offset: 0, line: entry.line, column }])));
     });
+    return root;
   }
 
   /**
-   * Escapes HTML entities in content.
+   * Finds a `<code>`, `<file>`, `<HTML>` or `<PHP>` opening tag outside `<nowiki>` and `%%`.
    *
-   * @param {string} content - Input content.
-   * @returns {string} - Escaped content.
+   * @param {string} text - Line content.
+   * @returns {Object|null} - `{ index, length, block }` where `block` holds the raw block state.
    */
-  escapeEntities(content) {
-    return content
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
+  findBlockOpener(text) {
+    const re = /<nowiki>|%%|<(code|file)(?:\s([^>]*))?>|<(HTML|PHP)>/g;
+    let match;
+    while ((match = re.exec(text))) {
+      if (match[0] === '<nowiki>' || match[0] === '%%') {
+        const close = match[0] === '%%' ? '%%' : '</nowiki>';
+        const end = text.indexOf(close, re.lastIndex);
+        if (end === -1) return null;
+        re.lastIndex = end + close.length;
+        continue;
+      }
+      let block;
+      if (match[1]) {
+        // <code lang filename [options]>
+        let args = match[2] || '';
+        let options = null;
+        args = args.replace(/\[(.*)\]/, (all, inner) => {
+          options = inner.trim();
+          return '';
+        });
+        const [lang, filename] = args.trim().split(/\s+/);
+        block = {
+          type: 'code',
+          kind: match[1],
+          lang: lang && lang !== '-' ? lang : null,
+          filename: filename || null,
+          options,
+          endTag: `</${match[1]}>`
+        };
+      } else {
+        block = { type: match[3].toLowerCase(), endTag: `</${match[3]}>` };
+      }
+      return { index: match.index, length: match[0].length, block };
+    }
+    return null;
   }
 
   /**
-   * Flushes buffered content (lists, tables, quotes, paragraphs, code).
+   * Tracks `<nowiki>`, `%%`, `<html>` and `<php>` spans that stay open across lines.
    *
-   * @param {Array} result - Array to push HTML to.
-   * @param {Array} tableLines - Buffered table lines.
-   * @param {number} quoteLevel - Current blockquote nesting level.
-   * @param {Array} paragraphBuffer - Buffered paragraph content.
-   * @param {Array} codeBlockBuffer - Buffered code block content.
-   * @param {string} codeLang - Language for code block.
+   * @param {string} text - Line content.
+   * @param {string|null} waiting - Closing tag still expected from previous lines.
+   * @returns {string|null} - Closing tag still expected after this line.
    */
-  flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang) {
-    if (this.listStack.length > 0) {
-      while (this.listStack.length > 0) {
-        result.push('</li>');
-        result.push(`</${this.listStack.pop().type}>`);
-        this.currentIndent = -1;
-        this.currentType = null;
-      }
-    }
-    if (tableLines.length > 0) {
-      const tableHtml = tableParser({
-        lines: tableLines,
-        inCode: this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i) && tableLines[0].match(/^\s{2,}/),
-        nestedParse: (text) => this.replacePlaceholders(this.applyRules(text))
-      });
-      if (tableHtml.trim()) result.push(tableHtml);
-      tableLines.length = 0;
-    }
-    if (quoteLevel > 0) {
-      while (quoteLevel > 0) {
-        result.push('</div></blockquote>');
-        quoteLevel--;
-      }
-    }
-    if (paragraphBuffer.length > 0) {
-      // Process each line to preserve line breaks
-      let paraContent = paragraphBuffer
-        .map((line, index) => {
-          // Apply line break rules
-          let processed = line.trim() ? this.replacePlaceholders(line) : '';
-          // Add <br /> for lines ending with \\ when not the last line
-          if (line.match(/\\\\\s*$/) && index < paragraphBuffer.length - 1) {
-            processed += '<br />';
-          }
-          return processed;
-        })
-        .filter(line => line.trim())
-        .join('\n');
-      if (paraContent.trim()) {
-        result.push(`<p>${paraContent}</p>`);
-      }
-      paragraphBuffer.length = 0;
-    }
-    if (codeBlockBuffer.length > 0) {
-      const fullContent = codeBlockBuffer.join('\n');
-      if (fullContent.trim()) {
-        result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
+  scanProtected(text, waiting) {
+    const closers = { '<nowiki>': '</nowiki>', '%%': '%%', '<html>': '</html>', '<HTML>': '</HTML>', '<php>': '</php>', '<PHP>': '</PHP>' };
+    const re = /<nowiki>|%%|<html>|<HTML>|<php>|<PHP>/g;
+    let pos = 0;
+    for (;;) {
+      if (waiting) {
+        const end = text.indexOf(waiting, pos);
+        if (end === -1) return waiting;
+        pos = end + waiting.length;
+        waiting = null;
       }
-      codeBlockBuffer.length = 0;
+      re.lastIndex = pos;
+      const match = re.exec(text);
+      if (!match) return null;
+      waiting = closers[match[0]];
+      pos = re.lastIndex;
     }
   }
 
   /**
-   * CLI interface for parsing DokuWiki markup from stdin.
+   * Creates a function mapping offsets in joined block text back to source positions.
+   *
+   * @param {Array} segments - Sorted `{ offset, line, column }` entries, one per source line.
+   * @returns {Function} - `(offset) => { line, column }`.
    */
-  static parseCLI() {
-    const fs = require('fs');
-    const stdin = process.stdin;
-    let input = '';
-    stdin.setEncoding('utf8');
-    stdin.on('readable', () => {
-      let chunk;
-      while ((chunk = stdin.read())) {
-        input += chunk;
-      }
-    });
-    stdin.on('end', () => {
-      if (!input.trim()) {
-        console.error('Usage: node dokuparserjs.js < input.txt');
-        process.exit(1);
-      }
-      try {
-        const parser = new DokuParserJS({
-          currentNamespace: process.env.DOKU_NAMESPACE || 'wiki',
-          useTxtExtension: process.env.DOKU_USE_TXT_EXTENSION !== 'false',
-          pagesBasePath: process.env.DOKU_PAGES_BASE_PATH || '/',
-          mediaBasePath: process.env.DOKU_MEDIA_BASE_PATH || '/data/media/',
-          smileyBasePath: process.env.DOKU_SMILEY_BASE_PATH || '/dokuwiki/lib/exe/fetch.php?media=lib:images:smileys:',
-          useEmoji: process.env.DOKU_USE_EMOJI !== 'false'
-        });
-        const html = parser.parse(input);
-        console.log(html);
-        process.exit(0);
-      } catch (e) {
-        console.error('Error parsing input:', e.message);
-        process.exit(1);
+  createLocator(segments) {
+    return (offset) => {
+      // Binary search for the last segment starting at or before the offset
+      let low = 0;
+      let high = segments.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (segments[middle].offset > offset) high = middle - 1;
+        else low = middle;
       }
-    });
+      const segment = segments[low];
+      return { line: segment.line, column: segment.column + offset - segment.offset };
+    };
+  }
+
+  /**
+   * Returns the position just past the end of a source line.
+   *
+   * @param {Array} lines - Source lines.
+   * @param {number} line - 1-based line number.
+   * @returns {Object} - `{ line, column }`.
+   */
+  endOfLine(lines, line) {
+    const index = Math.min(Math.max(line, 1), lines.length) - 1;
+    return { line: index + 1, column: lines[index].length + 1 };
+  }
+
+  /**
+   * Parses inline markup into inline nodes.
+   *
+   * @param {string} text - Inline content (may span several lines).
+   * @param {Function} [locate] - Maps offsets in `text` to `{ line, column }`; defaults to positions within `text`.
+   * @returns {Array} - Inline nodes.
+   */
+  parseInline(text, locate) {
+    if (!locate) {
+      const segments = [];
+      let offset = 0;
+      text.split('\n').forEach((line, index) => {
+        segments.push({ offset, line: index + 1, column: 1 });
+        offset += line.length + 1;
+      });
+      locate = this.createLocator(segments);
+    }
+    const ctx = { text, locate, inside: [] };
+    return this.parseInlineRange(ctx, 0, null).nodes;
+  }
+
+  /**
+   * Scans inline content from a position until the end or a closing delimiter.
+   *
+   * @param {Object} ctx - Scan context: `{ text, locate, inside }` where `inside` lists open container types.
+   * @param {number} pos - Start offset.
+   * @param {string|null} stop - Closing delimiter that ends the scan.
+   * @returns {Object} - `{ nodes, end, closed }`; `closed` is false if `stop` was never found.
+   */
+  parseInlineRange(ctx, pos, stop) {
+    const text = ctx.text;
+    const nodes = [];
+    let buffer = '';
+    let bufferStart = pos;
+    const flush = (end) => {
+      if (buffer) {
+        nodes.push({ type: 'text', value: buffer, position: { start: ctx.locate(bufferStart), end: ctx.locate(end) } });
+        buffer = '';
+      }
+    };
+    while (pos < text.length) {
+      if (stop && text.startsWith(stop, pos)) {
+        flush(pos);
+        return { nodes, end: pos + stop.length, closed: true };
+      }
+      const result = this.matchInline(ctx, pos);
+      if (result) {
+        flush(pos);
+        if (result.node) {
+          result.node.position = { start: ctx.locate(pos), end: ctx.locate(result.end) };
+          nodes.push(result.node);
+        }
+        pos = result.end;
+        continue;
+      }
+      if (!buffer) bufferStart = pos;
+      buffer += text[pos];
+      pos++;
+    }
+    flush(pos);
+    return { nodes, end: pos, closed: !stop };
+  }
+
+  /**
+   * Tries each inline rule at a position.
+   *
+   * @param {Object} ctx - Scan context.
+   * @param {number} pos - Offset in `ctx.text`.
+   * @returns {Object|null} - `{ node, end }` for the first matching rule.
+   */
+  matchInline(ctx, pos) {
+    const text = ctx.text;
+    const char = text[pos];
+    for (const rule of this.rules) {
+      if (rule.trigger && !rule.trigger.includes(char)) continue;
+      if (rule.boundary && pos > 0 && /\w/.test(text[pos - 1])) continue;
+      if (rule.closer && !this.hasCloser(ctx, rule.closer, pos + 1)) continue;
+      if (rule.match) {
+        const result = rule.match.call(this, text, pos, ctx);
+        if (result) return result;
+        continue;
+      }
+      const re = stickyPattern(rule.pattern);
+      re.lastIndex = pos;
+      const match = re.exec(text);
+      if (!match || !match[0]) continue;
+      // The cached sticky pattern is reused for the replacement; it matches the whole text from index 0
+      if (!rule.node) re.lastIndex = 0;
+      const node = rule.node
+        ? rule.node.call(this, match, ctx)
+        : { type: 'html', value: match[0].replace(re, rule.replace) };
+      if (node) return { node, end: pos + match[0].length };
+    }
+    return null;
+  }
+
+  /**
+   * Matches a delimited container (e.g., **bold**) and parses its content.
+   *
+   * @param {string} text - Inline content.
+   * @param {number} pos - Offset of the opening delimiter.
+   * @param {Object} ctx - Scan context.
+   * @param {string} open - Opening delimiter.
+   * @param {string} close - Closing delimiter.
+   * @param {string} type - Node type.
+   * @returns {Object|null} - `{ node, end }`, or null if unclosed, empty or nested in itself.
+   */
+  matchContainer(text, pos, ctx, open, close, type) {
+    if (!text.startsWith(open, pos) || ctx.inside.includes(type)) return null;
+    const start = pos + open.length;
+    if (!this.hasCloser(ctx, close, start + 1)) return null;
+    ctx.inside.push(type);
+    const inner = this.parseInlineRange(ctx, start, close);
+    ctx.inside.pop();
+    if (!inner.closed || inner.nodes.length === 0) return null;
+    return { node: { type, children: inner.nodes }, end: inner.end };
+  }
+
+  /**
+   * Checks whether a closing delimiter occurs in the scanned text after an offset.
+   *
+   * @param {Object} ctx - Scan context.
+   * @param {string} close - Closing delimiter (e.g., '**', ']]').
+   * @param {number} from - First offset the delimiter may start at.
+   * @returns {boolean} - True if `close` starts at or after `from`.
+   *
+   * Logic:
+   * - The last occurrence of each delimiter is looked up once per scan context, so checking every
+   *   opening delimiter of a long paragraph stays linear.
+   */
+  hasCloser(ctx, close, from) {
+    if (!ctx.closers) ctx.closers = new Map();
+    if (!ctx.closers.has(close)) ctx.closers.set(close, ctx.text.lastIndexOf(close));
+    return ctx.closers.get(close) >= from;
+  }
+
+  /**
+   * Builds a link node from the content of `[[...]]`.
+   *
+   * @param {string} raw - Link content (target and optional `|title`).
+   * @param {Object} ctx - Scan context of the surrounding text.
+   * @param {number} offset - Offset of `raw` in `ctx.text`.
+   * @returns {Object} - Link node with `linkType` internal, interwiki, external, email, windowsshare or local.
+   */
+  linkNode(raw, ctx, offset) {
+    const bar = raw.indexOf('|');
+    const target = (bar === -1 ? raw : raw.slice(0, bar)).trim();
+    let children = [];
+    if (bar !== -1 && raw.slice(bar + 1).trim()) {
+      // Only images are parsed in link titles; other markup is kept as text
+      const title = raw.slice(bar + 1);
+      const titleOffset = offset + bar + 1 + (title.length - title.trimStart().length);
+      const locate = (o) => ctx.locate(titleOffset + o);
+      children = /\{\{.+\}\}/.test(title)
+        ? this.parseInline(title.trim(), locate).filter(node => node.type !== 'text' || node.value.trim())
+        : [{ type: 'text', value: title.trim(), position: { start: locate(0), end: locate(title.trim().length) } }];
+    }
+    const [page, section] = target.includes('#') ? [target.slice(0, target.indexOf('#')), target.slice(target.indexOf('#') + 1)] : [target, ''];
+
+    if (/^[a-zA-Z0-9.]+>/.test(target)) {
+      // Shortcuts are case-insensitive, as in DokuWiki
+      const wiki = target.slice(0, target.indexOf('>')).toLowerCase();
+      const rest = target.slice(wiki.length + 1);
+      const hash = rest.indexOf('#');
+      return {
+        type: 'link',
+        linkType: 'interwiki',
+        target,
+        wiki,
+        page: hash === -1 ? rest : rest.slice(0, hash),
+        section: hash === -1 ? '' : rest.slice(hash + 1),
+        children
+      };
+    }
+    if (/^\\\\[^\\]+?\\/.test(target)) {
+      return { type: 'link', linkType: 'windowsshare', target, children };
+    }
+    if (/^[a-z0-9\-.+]+?:\/\//i.test(target)) {
+      return { type: 'link', linkType: 'external', target, children };
+    }
+    if (/^<?[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-zA-Z]{2,}>?$/.test(target)) {
+      return { type: 'link', linkType: 'email', target: target.replace(/^<|>$/g, ''), children };
+    }
+    if (!page) {
+      return { type: 'link', linkType: 'local', target, section, children };
+    }
+    const id = this.resolveNamespace(page);
+    const exists = this.pageExists(id);
+    // Only links found while parsing are recorded (not nodes built by the serializer)
+    if (!exists && ctx && !this.missingLinks.includes(id)) this.missingLinks.push(id);
+    return { type: 'link', linkType: 'internal', target, page, section, id, exists, children };
+  }
+
+  /**
+   * Builds a media node from the content of `{{...}}`.
+   *
+   * @param {string} raw - Media content (e.g., ' wiki:image.png?200x100|Title').
+   * @returns {Object} - Media node with source, alignment, size, linking and title; media matched by a
+   *   media handler also carry `handler` and `embed`.
+   *
+   * Logic:
+   * - Whitespace before the source aligns right, after it aligns left, on both sides centers.
+   * - Parameters follow the last `?` and are read like DokuWiki does, in any order and combination (e.g.,
+   *   '?200&nolink'): the first `W` or `WxH` is the size, then the linking mode (nolink before direct before
+   *   linkonly, 'details' by default) and the cache mode.
+   */
+  mediaNode(raw) {
+    const bar = raw.indexOf('|');
+    let src = bar === -1 ? raw : raw.slice(0, bar);
+    const title = bar === -1 ? '' : raw.slice(bar + 1).trim();
+    const spaceBefore = /^\s/.test(src);
+    const spaceAfter = /\s$/.test(src);
+    const align = spaceBefore && spaceAfter ? 'center' : spaceBefore ? 'right' : spaceAfter ? 'left' : null;
+    src = src.trim();
+    const query = src.lastIndexOf('?');
+    const params = query === -1 ? '' : src.slice(query + 1);
+    if (query !== -1) src = src.slice(0, query);
+    const size = params.match(/(\d+)(?:x(\d+))?/i);
+    const cache = params.match(/nocache|recache/i);
+    const node = {
+      type: 'media',
+      src,
+      external: /^[a-z0-9\-.+]+?:\/\//i.test(src),
+      align,
+      title,
+      width: size ? Number(size[1]) || null : null,
+      height: size && size[2] ? Number(size[2]) || null : null,
+      linking: ['nolink', 'direct', 'linkonly'].find(mode => params.toLowerCase().includes(mode)) || 'details',
+      cache: cache ? cache[0].toLowerCase() : 'cache'
+    };
+    for (const handler of Object.values(this.mediaHandlers)) {
+      const match = handler.match instanceof RegExp ? src.match(handler.match) : handler.match(src, node);
+      if (match) {
+        node.handler = handler.name;
+        node.embed = handler.match instanceof RegExp ? { ...match.groups } : match;
+        node.external = true;
+        break;
+      }
+    }
+    if (!node.external) {
+      node.id = this.resolveMediaId(src);
+    }
+    return node;
+  }
+
+  /**
+   * Builds a heading anchor ID from plain heading text, like DokuWiki's `sectionID()`.
+   *
+   * @param {string} text - Heading text (e.g., 'Überblick', or the part after '#' in a link).
+   * @param {Set} [used] - IDs already taken on the page; the returned ID is made unique and added.
+   * @returns {string} - Anchor ID (e.g., 'ueberblick').
+   *
+   * Logic:
+   * - Lowercases the text and transliterates accented Latin letters (ä → ae, é → e); letters and digits
+   *   of other scripts are kept.
+   * - Runs of other characters become '_'; leading digits, '_' and '-' are removed, and IDs left empty
+   *   become 'section' plus the digits (e.g., '2024' → 'section2024').
+   * - Duplicates get '_1', '_2', ... appended.
+   */
+  headingId(text, used) {
+    let id = deaccent(String(text).toLowerCase())
+      .replace(/[^\p{L}\p{N}\p{M}_-]+/gu, '_')
+      .replace(/_+/g, '_')
+      .replace(/^[_-]+|[_-]+$/g, '');
+    id = id.replace(/^[\d_-]+/, '') || `section${id.replace(/\D+/g, '')}`;
+    if (used) {
+      let unique = id;
+      for (let n = 1; used.has(unique); n++) unique = `${id}_${n}`;
+      used.add(unique);
+      id = unique;
+    }
+    return id;
+  }
+
+  /**
+   * Extracts the plain text of inline nodes (markup, footnotes and macros are dropped).
+   *
+   * @param {Array} nodes - Inline nodes.
+   * @returns {string} - Plain text.
+   */
+  plainText(nodes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+        case 'nowiki':
+        case 'unformatted':
+        case 'entity':
+        case 'smiley':
+          return node.value;
+        case 'multiplyentity':
+          return `${node.x}x${node.y}`;
+        case 'linebreak':
+          return ' ';
+        case 'media':
+          return node.title;
+        case 'link':
+          return node.children.length ? this.plainText(node.children) : node.target;
+        case 'footnote':
+        case 'macro':
+          return '';
+        default:
+          return node.children ? this.plainText(node.children) : '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Lists the links and media a page refers to.
+   *
+   * @param {string} doku - DokuWiki markup.
+   * @returns {Array} - References in document order, each with the `line` it appears on:
+   *   `{ type: 'page', id, section, target, exists }`, `{ type: 'interwiki', wiki, page, url, target }`,
+   *   `{ type: 'external', url }`, `{ type: 'email', address }`, `{ type: 'windowsshare', target }`
+   *   or `{ type: 'media', id, url, external }`.
+   *
+   * Logic:
+   * - Page IDs are resolved against `currentNamespace` like links in the HTML output.
+   * - Links inside footnotes, tables and link titles (images) are included; `[[#section]]` links are not.
+   * - RSS feeds are listed as external URLs.
+   * - Video and audio list every source and poster their player uses (see `mediaAlternatives()`); embeds
+   *   of media handlers list their `url`. Images list the renditions of their `srcset` (see `mediaManifest`).
+   */
+  extractReferences(doku) {
+    const references = [];
+    const visit = node => {
+      const line = node.position ? node.position.start.line : null;
+      if (node.type === 'link') {
+        switch (node.linkType) {
+          case 'internal':
+            references.push({ type: 'page', id: node.id, section: node.section, target: node.target, exists: node.exists, line });
+            break;
+          case 'interwiki': {
+            const url = this.resolveInterwiki(node.wiki, node.target.slice(node.target.indexOf('>') + 1)).url || null;
+            references.push({ type: 'interwiki', wiki: node.wiki, page: node.page, url, target: node.target, line });
+            break;
+          }
+          case 'external':
+            references.push({ type: 'external', url: node.target, line });
+            break;
+          case 'email':
+            references.push({ type: 'email', address: node.target, line });
+            break;
+          case 'windowsshare':
+            references.push({ type: 'windowsshare', target: node.target, line });
+            break;
+        }
+      } else if (node.type === 'media') {
+        const kind = this.mediaType(node.src).kind;
+        if (node.external) {
+          references.push({ type: 'media', id: null, url: (node.handler && this.embedUrl(node)) || node.src, external: true, line });
+        } else if ((kind === 'video' || kind === 'audio') && node.linking !== 'linkonly') {
+          const { sources, poster } = this.mediaAlternatives(node.id);
+          [...sources.map(source => source.id), ...(poster ? [poster] : [])].forEach(id => {
+            references.push({ type: 'media', id, url: this.mediaUrl(id), external: false, line });
+          });
+        } else {
+          const info = kind === 'image' && node.linking !== 'linkonly' ? this.mediaInfo(node.id) : null;
+          [node.id, ...((info && info.renditions) || []).map(rendition => rendition.id)].forEach(id => {
+            references.push({ type: 'media', id, url: this.mediaUrl(id), external: false, line });
+          });
+        }
+      } else if (node.type === 'rss') {
+        references.push({ type: 'external', url: node.url, line });
+      }
+      if (node.children) node.children.forEach(visit);
+    };
+    visit(this.parseToAST(doku));
+    return references;
+  }
+
+  /**
+   * Lists the sections of a page with the source lines they cover.
+   *
+   * @param {string} doku - DokuWiki markup.
+   * @returns {Array} - Sections in document order as `{ number, level, title, id, start, end }`, where
+   *   `start` is the heading's line and `end` the last line before the next heading (1-based, inclusive).
+   */
+  listSections(doku) {
+    const sections = [];
+    const visit = node => {
+      if (node.type === 'section') {
+        const heading = node.children[0];
+        sections.push({
+          number: node.number,
+          level: node.level,
+          title: this.plainText(heading.children),
+          id: heading.id,
+          start: node.position.start.line,
+          end: node.position.end.line
+        });
+      }
+      if (node.children) node.children.forEach(visit);
+    };
+    visit(this.parseToAST(doku));
+    return sections;
+  }
+
+  /**
+   * Finds the source lines of a section.
+   *
+   * @param {string} doku - DokuWiki markup.
+   * @param {number} number - Section number from `listSections()`; 0 is the text before the first heading.
+   * @returns {Object|null} - `{ lines, start, end }` with the page's lines and the section's 1-based,
+   *   inclusive line range (`end` is `start - 1` for an empty section 0), or null if there is no such section.
+   */
+  sectionRange(doku, number) {
+    const lines = String(doku).replace(/\r\n?/g, '\n').split('\n');
+    const sections = this.listSections(doku);
+    if (number === 0) return { lines, start: 1, end: sections.length ? sections[0].start - 1 : lines.length };
+    const section = sections.find(item => item.number === number);
+    return section ? { lines, start: section.start, end: section.end } : null;
+  }
+
+  /**
+   * Extracts the source of a section, e.g., to edit it on its own.
+   *
+   * @param {string} doku - DokuWiki markup.
+   * @param {number} number - Section number (see `listSections()`); 0 is the text before the first heading.
+   * @returns {string|null} - Markup from the section's heading up to the next heading, or null if there is
+   *   no such section.
+   */
+  getSection(doku, number) {
+    const range = this.sectionRange(doku, number);
+    return range ? range.lines.slice(range.start - 1, range.end).join('\n') : null;
+  }
+
+  /**
+   * Replaces the source of a section.
+   *
+   * @param {string} doku - DokuWiki markup.
+   * @param {number} number - Section number (see `listSections()`); 0 is the text before the first heading.
+   * @param {string} text - New markup for the section (an empty string removes it).
+   * @returns {string} - Updated markup; line breaks are normalized to '\n'.
+   * @throws {Error} - If there is no such section.
+   *
+   * Logic:
+   * - The lines from the section's heading up to the next heading are replaced, so
+   *   `replaceSection(doku, n, getSection(doku, n))` returns `doku` unchanged.
+   */
+  replaceSection(doku, number, text) {
+    const range = this.sectionRange(doku, number);
+    if (!range) throw new Error(`Section ${number} does not exist`);
+    const { lines, start, end } = range;
+    const parts = [];
+    if (start > 1) parts.push(lines.slice(0, start - 1).join('\n'));
+    if (text) parts.push(String(text).replace(/\r\n?/g, '\n'));
+    if (end < lines.length) parts.push(lines.slice(end).join('\n'));
+    return parts.join('\n');
+  }
+
+  /**
+   * Extracts the tables of a page as data, e.g., to sync them with a spreadsheet.
+   *
+   * @param {string} doku - DokuWiki markup.
+   * @param {Object} [options] - Extraction options.
+   * @param {string} [options.spans='expand'] - 'expand' copies the value of a spanning cell into every
+   *   grid position it covers; 'keep' puts it in the first position only and leaves the others null.
+   * @param {string} [options.content='text'] - 'text' gives the plain text of cells, 'markup' their
+   *   DokuWiki markup (links, formatting and media are kept).
+   * @returns {Array} - Tables in document order as `{ line, end, section, head, headers, rows, spans,
+   *   align }`: `line`/`end` are the table's first and last source lines, `section` is the enclosing
+   *   section (`{ number, title }`) or null, `rows` is the grid of cell values (head rows included),
+   *   `head` counts its head rows and `headers` is the last head row (or null).
+   * @throws {Error} - If `spans` or `content` is not one of the values above.
+   *
+   * Logic:
+   * - Rows are padded to the widest row with '' (or null for grid positions no cell covers).
+   * - `spans` lists the cells spanning several positions as `{ row, col, rowspan, colspan }` and
+   *   `align` the alignment of each column, taken from its first body cell with content.
+   */
+  extractTables(doku, { spans = 'expand', content = 'text' } = {}) {
+    if (spans !== 'expand' && spans !== 'keep') throw new Error(`Unknown spans option: ${spans}`);
+    if (content !== 'text' && content !== 'markup') throw new Error(`Unknown content option: ${content}`);
+    const serializer = content === 'markup' ? new DokuSerializer(this, this.rendererOptions) : null;
+    const cellValue = cell => (serializer
+      ? serializer.render({ type: 'document', children: [{ type: 'paragraph', children: cell.children }] }).trim()
+      : this.plainText(cell.children).trim());
+    const tables = [];
+    const visit = (node, section) => {
+      if (node.type === 'section') {
+        section = { number: node.number, title: this.plainText(node.children[0].children) };
+      }
+      if (node.type !== 'table') {
+        if (node.children) node.children.forEach(child => visit(child, section));
+        return;
+      }
+      const grid = node.children.map(() => []);
+      const alignRow = [];
+      const spanList = [];
+      let width = 0;
+      node.children.forEach((row, r) => {
+        row.children.forEach(cell => {
+          const value = cellValue(cell);
+          width = Math.max(width, cell.col + cell.colspan);
+          if (cell.rowspan > 1 || cell.colspan > 1) {
+            spanList.push({ row: r, col: cell.col, rowspan: cell.rowspan, colspan: cell.colspan });
+          }
+          for (let k = 0; k < cell.rowspan && r + k < grid.length; k++) {
+            for (let c = 0; c < cell.colspan; c++) {
+              // DokuWiki lets some spans overlap; the cell that starts in a position keeps it
+              if (k || c) {
+                if (grid[r + k][cell.col + c] === undefined) grid[r + k][cell.col + c] = spans === 'keep' ? null : value;
+              } else {
+                grid[r][cell.col] = value;
+              }
+            }
+          }
+          if (!row.head && cell.colspan === 1 && value && alignRow[cell.col] === undefined) alignRow[cell.col] = cell.align;
+        });
+      });
+      const rows = grid.map(cells => Array.from({ length: width }, (_, c) => (cells[c] === undefined ? '' : cells[c])));
+      const head = node.children.filter(row => row.head).length;
+      tables.push({
+        line: node.position.start.line,
+        end: node.position.end.line,
+        section,
+        head,
+        headers: head ? rows[head - 1] : null,
+        rows,
+        spans: spanList,
+        align: Array.from({ length: width }, (_, c) => alignRow[c] || null)
+      });
+    };
+    visit(this.parseToAST(doku), null);
+    return tables;
+  }
+
+  /**
+   * Formats a table from `extractTables()` as CSV, TSV or JSON.
+   *
+   * @param {Object} table - Table from `extractTables()`.
+   * @param {string} [format='csv'] - 'csv', 'tsv' or 'json'.
+   * @returns {string} - CSV or TSV with one line per row (head rows first), or JSON of the table.
+   * @throws {Error} - If the format is unknown.
+   *
+   * Logic:
+   * - CSV quotes values containing commas, quotes or line breaks (RFC 4180); TSV has no quoting, so
+   *   tabs and line breaks in values become spaces. Null values are written as empty fields.
+   */
+  exportTable(table, format = 'csv') {
+    switch (format) {
+      case 'csv':
+        return formatDelimited(table.rows, ',');
+      case 'tsv':
+        return formatDelimited(table.rows, '\t');
+      case 'json':
+        return JSON.stringify(table, null, 2);
+      default:
+        throw new Error(`Unknown table format: ${format}`);
+    }
+  }
+
+  /**
+   * Builds DokuWiki table markup from rows of values, e.g., from a spreadsheet.
+   *
+   * @param {Array} rows - Rows as arrays of values; null and undefined values are empty cells.
+   * @param {Object} [options] - Table options.
+   * @param {number} [options.head=1] - Number of leading rows written as header rows (`^`).
+   * @param {Array} [options.align] - Alignment of each column: 'left', 'right', 'center' or null.
+   * @param {Array} [options.spans] - Spanning cells as `{ row, col, rowspan, colspan }` (as returned by
+   *   `extractTables()`); the values of the positions they cover are ignored.
+   * @param {boolean} [options.markup=false] - Take values as DokuWiki markup instead of plain text.
+   * @param {boolean} [options.pad=true] - Pad cells so the delimiters of every row line up.
+   * @returns {string} - Table markup, one line per row, without a trailing line break.
+   *
+   * Logic:
+   * - Plain text values are trimmed and escaped like text in `stringify()`; `|`, `^` and a lone `:::`
+   *   are wrapped in `%%...%%` so they stay part of the cell.
+   * - Alignment uses DokuWiki's whitespace rule (two spaces before the value align right, after it
+   *   left, on both sides center). Cells of unaligned columns and empty cells keep single spaces, since
+   *   padding would align them, so delimiters line up only where every column has an alignment.
+   * - Covered positions become colspan delimiters or `:::` cells; a spanning cell is as wide as the
+   *   columns it covers.
+   */
+  tableFromRows(rows, { head = 1, align = [], spans = [], markup = false, pad = true } = {}) {
+    const serializer = new DokuSerializer(this, this.rendererOptions);
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value).replace(/\s*\n\s*/g, ' ').trim();
+      if (markup) return text;
+      if (text === ':::') return '%%:::%%';
+      return text.split(/([|^]+)/).map((part, i) => (i % 2 ? `%%${part}%%` : serializer.escapeText(part))).join('');
+    };
+    const spanList = spans.map(({ row, col, rowspan = 1, colspan = 1 }) => ({ row, col, rowspan, colspan }));
+    const width = Math.max(0, ...rows.map(row => row.length), ...spanList.map(span => span.col + span.colspan));
+    const grid = rows.map(row => Array.from({ length: width }, (_, c) => ({ text: escape(row[c]), colspan: 1 })));
+    spanList.forEach(({ row, col, rowspan, colspan }) => {
+      if (!grid[row] || !grid[row][col] || !grid[row][col].colspan) return;
+      for (let k = 0; k < rowspan && row + k < grid.length; k++) {
+        for (let c = 0; c < colspan && col + c < width; c++) {
+          if (k || c) grid[row + k][col + c] = { text: c ? null : ':::', colspan: c ? 0 : 1 };
+        }
+        if (k) grid[row + k][col].colspan = Math.min(colspan, width - col);
+      }
+      grid[row][col].colspan = Math.min(colspan, width - col);
+    });
+
+    // Column widths come from the cells that span one column; aligned cells need two spaces on their side
+    const spacing = alignment => (alignment === 'center' ? [2, 2] : alignment === 'right' ? [2, 1] : alignment === 'left' ? [1, 2] : [1, 1]);
+    const cellSpacing = (cell, c) => (cell.text ? spacing(cell.text !== ':::' ? align[c] : null) : [1, 0]);
+    const widths = Array.from({ length: width }, (_, c) => spacing(align[c])[0] + spacing(align[c])[1]);
+    grid.forEach(cells => cells.forEach((cell, c) => {
+      if (cell.colspan === 1) widths[c] = Math.max(widths[c], cell.text.length + spacing(align[c])[0] + spacing(align[c])[1]);
+    }));
+    // Spanning cells wider than their columns widen the last one, so every row keeps the table's width
+    grid.forEach(cells => cells.forEach((cell, c) => {
+      if (cell.colspan < 2) return;
+      const inner = widths.slice(c, c + cell.colspan).reduce((sum, w) => sum + w, 0);
+      const [minBefore, minAfter] = cellSpacing(cell, c);
+      widths[c + cell.colspan - 1] += Math.max(0, cell.text.length + minBefore + minAfter - inner);
+    }));
+    return grid.map((cells, r) => {
+      const delimiter = r < head ? '^' : '|';
+      return cells.map((cell, c) => {
+        if (!cell.colspan) return '';
+        const text = cell.text;
+        const alignment = text && text !== ':::' ? align[c] : null;
+        const [minBefore, minAfter] = cellSpacing(cell, c);
+        const padded = pad && (alignment || text === ':::');
+        const inner = padded ? widths.slice(c, c + cell.colspan).reduce((sum, w) => sum + w, 0) : 0;
+        const fill = Math.max(inner - text.length, minBefore + minAfter);
+        let before = minBefore;
+        if (alignment === 'right') before = fill - minAfter;
+        else if (alignment === 'center') before = Math.floor(fill / 2);
+        return `${delimiter}${' '.repeat(before)}${text}${' '.repeat(fill - before)}${delimiter.repeat(cell.colspan - 1)}`;
+      }).join('') + delimiter;
+    }).join('\n');
+  }
+
+  /**
+   * Renders a document tree with a renderer.
+   *
+   * @param {Object} ast - Document node from `parseToAST()`.
+   * @param {string|Function|Object} [renderer=this.renderer] - Renderer name registered in
+   *   `DokuParserJS.renderers` (e.g., 'html', 'markdown'), a Renderer subclass, or a renderer instance.
+   * @returns {string} - Rendered output.
+   * @throws {Error} - If the renderer name is not registered.
+   */
+  render(ast, renderer = this.renderer) {
+    if (typeof renderer === 'string') {
+      const RendererClass = DokuParserJS.renderers[renderer];
+      if (!RendererClass) throw new Error(`Unknown renderer: ${renderer}`);
+      renderer = new RendererClass(this, this.rendererOptions);
+    } else if (typeof renderer === 'function') {
+      renderer = new renderer(this, this.rendererOptions);
+    }
+    return renderer.render(ast);
+  }
+
+  /**
+   * Renders a document tree as HTML.
+   *
+   * @param {Object} ast - Document node from `parseToAST()`.
+   * @returns {string} - HTML output wrapped in <div class="page group">.
+   */
+  renderHTML(ast) {
+    return this.render(ast, 'html');
+  }
+
+  /**
+   * Renders a document tree as GitHub Flavored Markdown.
+   *
+   * @param {Object} ast - Document node from `parseToAST()`.
+   * @returns {string} - Markdown output.
+   */
+  renderMarkdown(ast) {
+    return this.render(ast, 'markdown');
+  }
+
+  /**
+   * Converts HTML, Markdown or a document tree back to DokuWiki markup.
+   *
+   * @param {string|Object} input - HTML (e.g., `parse()` output), Markdown, or a document node.
+   * @param {string} [from='html'] - Input format of text input: 'html' or 'markdown'.
+   * @returns {string} - DokuWiki markup.
+   */
+  stringify(input, from = 'html') {
+    return new DokuSerializer(this, this.rendererOptions).serialize(input, from);
+  }
+
+  /**
+   * Parses and renders inline content.
+   *
+   * @param {string} content - Input content.
+   * @returns {string} - HTML for the inline content.
+   */
+  applyRules(content) {
+    return new HTMLRenderer(this).renderInline(this.parseInline(content));
+  }
+
+  /**
+   * Builds the URL of a wiki page.
+   *
+   * @param {string} id - Resolved page ID (e.g., 'wiki:syntax').
+   * @param {Object} [options] - URL options.
+   * @param {string} [options.section=''] - Anchor ID appended after '#'.
+   * @param {string} [options.extension] - Extension of page file URLs (without `userewrite`); defaults to
+   *   '.txt' with `useTxtExtension`, otherwise none.
+   * @returns {string} - Page URL (not HTML-escaped).
+   *
+   * Logic:
+   * - A `buildPageUrl` callback decides first; when it returns null or undefined, the URL is built here.
+   * - Without `userewrite`, pages are files below `pagesBasePath` (e.g., '/wiki/syntax.txt').
+   * - With `userewrite`, URLs follow DokuWiki's `wl()` below `basedir`: 0 gives 'doku.php?id=wiki:syntax',
+   *   1 'wiki:syntax' and 2 'doku.php/wiki:syntax'; `useslash` writes namespaces with '/' for 1 and 2.
+   */
+  pageUrl(id, { section = '', extension } = {}) {
+    const custom = this.buildPageUrl ? this.buildPageUrl(id, { section, parser: this }) : null;
+    if (custom !== null && custom !== undefined) return custom;
+    const hash = section ? `#${section}` : '';
+    if (this.userewrite === null) {
+      const ext = extension !== undefined ? extension : (this.useTxtExtension ? '.txt' : '');
+      return `${this.pagesBasePath}${id.replace(/:/g, '/')}${ext}${hash}`;
+    }
+    const path = this.urlId(id);
+    if (this.userewrite === 2) return `${this.basedir}doku.php/${path}${hash}`;
+    if (this.userewrite === 1) return `${this.basedir}${path}${hash}`;
+    return `${this.basedir}doku.php?id=${path}${hash}`;
+  }
+
+  /**
+   * Builds the URL of a media file or of its detail page.
+   *
+   * @param {string} id - Resolved media ID (e.g., 'wiki:logo.png').
+   * @param {Object} [options] - URL options.
+   * @param {number} [options.width] - Requested width (`w` parameter).
+   * @param {number} [options.height] - Requested height (`h` parameter).
+   * @param {string} [options.cache='cache'] - Cache mode; 'nocache' and 'recache' are passed on.
+   * @param {boolean} [options.detail=false] - Link the media's detail page instead of the file.
+   * @returns {string} - Media URL (not HTML-escaped).
+   *
+   * Logic:
+   * - A `buildMediaUrl` callback decides first; when it returns null or undefined, the URL is built here.
+   * - Without `userewrite`, media are files below `mediaBasePath` and have no detail page.
+   * - With `userewrite`, URLs follow DokuWiki's `ml()` below `basedir`: 'lib/exe/fetch.php?w=200&media=wiki:logo.png'
+   *   and 'lib/exe/detail.php?id=page&media=...' (0), '_media/wiki:logo.png?w=200' and '_detail/...' (1), or
+   *   'lib/exe/fetch.php/wiki:logo.png?w=200' (2). Detail pages get the current `pageId` as `id`.
+   */
+  mediaUrl(id, { width = null, height = null, cache = 'cache', detail = false } = {}) {
+    const custom = this.buildMediaUrl ? this.buildMediaUrl(id, { width, height, cache, detail, parser: this }) : null;
+    if (custom !== null && custom !== undefined) return custom;
+    if (this.userewrite === null) return `${this.mediaBasePath}${id.replace(/:/g, '/')}`;
+    const params = detail
+      ? [['id', this.pageId], ['cache', cache === 'cache' ? '' : cache]]
+      : [['w', width], ['h', height], ['cache', cache === 'cache' ? '' : cache]];
+    const query = params.filter(([, value]) => value).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+    const script = detail ? 'detail' : 'fetch';
+    if (this.userewrite === 0) {
+      return `${this.basedir}lib/exe/${script}.php?${query ? query + '&' : ''}media=${this.urlId(id)}`;
+    }
+    const prefix = this.userewrite === 1 ? `_${detail ? 'detail' : 'media'}` : `lib/exe/${script}.php`;
+    return `${this.basedir}${prefix}/${this.urlId(id)}${query ? '?' + query : ''}`;
+  }
+
+  /**
+   * Encodes an ID for a DokuWiki URL, like DokuWiki's `idfilter()`.
+   *
+   * @param {string} id - Page or media ID.
+   * @returns {string} - URL-encoded ID; ':' is kept, or becomes '/' with `useslash` and URL rewriting.
+   */
+  urlId(id) {
+    const path = this.useslash && this.userewrite ? id.replace(/:/g, '/') : id;
+    return encodeURIComponent(path).replace(/%3A/gi, ':').replace(/%3B/gi, ';').replace(/%2F/gi, '/');
+  }
+
+  /**
+   * Resolves an interwiki link to its URL, like DokuWiki's `_resolveInterWiki()`.
+   *
+   * @param {string} wiki - Interwiki shortcut (e.g., 'wp'); case-insensitive.
+   * @param {string} reference - Part after '>', with an optional '#hash' (e.g., 'DokuWiki#History').
+   * @param {Object} [options] - URL options.
+   * @param {string} [options.extension] - Page file extension for shortcuts pointing to wiki pages (see `pageUrl()`).
+   * @returns {Object} - `{ wiki, url, exists }`: the shortcut used ('default' after falling back to the
+   *   `default` entry), the URL ('' when the shortcut is unknown) and, for shortcuts pointing to wiki pages
+   *   (e.g., `user :user:{NAME}`), whether the page exists (otherwise null).
+   *
+   * Logic:
+   * - Unknown shortcuts use the `default` entry of `interwikiMap` if there is one.
+   * - The hash is split off at the last '#' and appended URL-encoded.
+   * - `{URL}` inserts the reference URL-encoded, `{NAME}` with only `[\]^\`{|}#%` encoded (unencoded for
+   *   wiki pages), and `{SCHEME}`, `{HOST}`, `{PORT}`, `{PATH}` and `{QUERY}` the parts of the reference
+   *   parsed as a URL. All placeholders are replaced in one pass, so templates may mix them
+   *   (e.g., `https://example.com/{NAME}?from={URL}`); without placeholders, the encoded reference is appended.
+   * - Templates starting with ':' are page IDs (with optional '?query') and link through `pageUrl()`.
+   */
+  resolveInterwiki(wiki, reference, { extension } = {}) {
+    let name = wiki.toLowerCase();
+    let template = this.interwikiMap[name];
+    if (!template) {
+      if (!this.interwikiMap.default) return { wiki: name, url: '', exists: null };
+      name = 'default';
+      template = this.interwikiMap.default;
+    }
+    const hashAt = reference.lastIndexOf('#');
+    const hash = hashAt === -1 ? '' : reference.slice(hashAt + 1);
+    if (hashAt !== -1) reference = reference.slice(0, hashAt);
+    const internal = template.startsWith(':');
+    let url;
+    if (/\{(URL|NAME|SCHEME|HOST|PORT|PATH|QUERY)\}/.test(template)) {
+      const parts = reference.match(/^(?:([a-z][a-z0-9+.-]*):)?(?:\/\/([^/:?#]*)(?::(\d+))?)?([^?#]*)(?:\?([^#]*))?/i);
+      const values = {
+        URL: encodeURIComponent(reference),
+        NAME: internal ? reference : reference.replace(/[[\\\]^`{|}#%]/g, char => encodeURIComponent(char)),
+        SCHEME: parts[1] || '',
+        HOST: parts[2] || '',
+        PORT: parts[3] || '80',
+        PATH: parts[4] || '',
+        QUERY: parts[5] || ''
+      };
+      url = template.replace(/\{(URL|NAME|SCHEME|HOST|PORT|PATH|QUERY)\}/g, (placeholder, key) => values[key]);
+    } else {
+      url = template + encodeURIComponent(reference);
+    }
+    let exists = null;
+    if (internal) {
+      const query = url.indexOf('?');
+      const id = cleanID(query === -1 ? url : url.slice(0, query), this.deaccent, this.useslash);
+      const page = this.pageUrl(id, { extension });
+      url = query === -1 ? page : `${page}${page.includes('?') ? '&' : '?'}${url.slice(query + 1)}`;
+      exists = this.pageExists(id);
+    }
+    if (hash) url += `#${encodeURIComponent(hash)}`;
+    return { wiki: name, url, exists };
+  }
+
+  /**
+   * Checks whether a wiki page exists.
+   *
+   * @param {string} id - Resolved page ID (e.g., 'wiki:syntax').
+   * @returns {boolean} - Result of the `pageExists` callback, membership in `knownPages`
+   *   (case-insensitive), or true when neither option is set.
+   */
+  pageExists(id) {
+    if (this.pageExistsCallback) return Boolean(this.pageExistsCallback(id));
+    if (this.knownPages) return this.knownPages.has(id.toLowerCase());
+    return true;
+  }
+
+  /**
+   * Checks whether a media file exists.
+   *
+   * @param {string} id - Resolved media ID (e.g., 'wiki:logo.png').
+   * @returns {boolean} - Result of the `mediaExists` callback, membership in `knownMedia`
+   *   (case-insensitive) or in `mediaManifest`, or true when none of them is set.
+   */
+  mediaExists(id) {
+    if (this.mediaExistsCallback) return Boolean(this.mediaExistsCallback(id));
+    if (this.knownMedia) return this.knownMedia.has(id.toLowerCase());
+    if (this.mediaManifest) return Boolean(this.mediaInfo(id));
+    return true;
+  }
+
+  /**
+   * Looks up a media file in the media manifest.
+   *
+   * @param {string} id - Resolved media ID (e.g., 'wiki:logo.png').
+   * @returns {Object|null} - Manifest entry `{ size, width, height, renditions }` (see
+   *   `DokuParserJS.buildMediaManifest()`), or null without a manifest or entry.
+   */
+  mediaInfo(id) {
+    const manifest = this.mediaManifest;
+    if (!manifest) return null;
+    const key = id.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(manifest, key) ? manifest[key] : null;
+  }
+
+  /**
+   * Looks up the file type of a media source by its extension, like DokuWiki's `mimetype()`.
+   *
+   * @param {string} src - Media ID or URL (e.g., 'wiki:manual.pdf').
+   * @returns {Object} - `{ ext, mime, kind }`: the lowercase extension ('' without one), its MIME type from
+   *   `mimeTypes` (null if unknown) and the kind of rendering: 'image', 'video' or 'audio' for the formats
+   *   browsers play (see `DokuParserJS.mediaPlayerTypes`), otherwise 'file'.
+   */
+  mediaType(src) {
+    const ext = (String(src).replace(/#.*$/, '').match(/\.([^./:]*)$/) || ['', ''])[1].toLowerCase();
+    const mime = this.mimeTypes[ext] ? this.mimeTypes[ext].replace(/^!/, '') : null;
+    const player = ['video', 'audio'].find(kind => Object.values(mediaPlayerTypes[kind]).includes(mime));
+    return { ext, mime, kind: player || (mime && mime.startsWith('image/') ? 'image' : 'file') };
+  }
+
+  /**
+   * Lists the files a video or audio player offers, like DokuWiki's `media_alternativefiles()`.
+   *
+   * @param {string} id - Resolved media ID (e.g., 'wiki:clip.mp4').
+   * @returns {Object} - `{ sources, poster }`: `sources` as `[{ id, mime }]` in DokuWiki's order (webm, ogv, mp4
+   *   for video; ogg, mp3, wav for audio), and the ID of a same-named jpg or png poster image for video, or null.
+   *
+   * Logic:
+   * - The file itself is always a source; files with the same name and another playable extension are
+   *   included when `mediaExists()` finds them.
+   * - Without a `mediaExists` callback, `knownMedia` list or `mediaManifest`, alternatives and posters are not
+   *   looked up.
+   */
+  mediaAlternatives(id) {
+    const { ext, mime, kind } = this.mediaType(id);
+    const base = id.slice(0, id.length - ext.length);
+    const known = Boolean(this.mediaExistsCallback || this.knownMedia || this.mediaManifest);
+    // Types mapped to a playable MIME type under another extension (e.g., 'm4a') play as themselves
+    const formats = Object.entries(mediaPlayerTypes[kind] || {});
+    if (!formats.some(([alternative]) => alternative === ext)) formats.unshift([ext, mime]);
+    const sources = formats
+      .filter(([alternative]) => alternative === ext || (known && this.mediaExists(base + alternative)))
+      .map(([alternative, mime]) => ({ id: base + alternative, mime }));
+    const poster = kind === 'video' && known ? ['jpg', 'png'].map(alternative => base + alternative).find(file => this.mediaExists(file)) : null;
+    return { sources, poster: poster || null };
+  }
+
+  /**
+   * Builds the link URL of an embed made by a media handler.
+   *
+   * @param {Object} node - Media node with `handler` and `embed`.
+   * @returns {string|null} - Result of the handler's `url(embed, node)`, or null without one.
+   */
+  embedUrl(node) {
+    const handler = this.mediaHandlers[node.handler];
+    return handler && handler.url ? handler.url(node.embed, node) : null;
+  }
+
+  /**
+   * Checks whether a URL may be rendered as a link or media source.
+   *
+   * @param {string} url - URL or path.
+   * @returns {boolean} - True outside safe mode, for relative URLs, and for schemes in `allowedSchemes`.
+   */
+  isSafeURL(url) {
+    if (!this.safeMode) return true;
+    // Browsers ignore control characters and whitespace inside schemes (e.g., 'java\tscript:')
+    const scheme = String(url).replace(/[\x00-\x20\x7f]/g, '').match(/^([^/?#:]*):/);
+    return !scheme || this.allowedSchemes.includes(scheme[1].toLowerCase());
+  }
+
+  /**
+   * Sanitizes HTML with the tag and attribute allowlist.
+   *
+   * @param {string} html - Untrusted HTML (e.g., the content of `<html>` blocks).
+   * @returns {string} - Well-formed HTML containing only allowed tags and attributes.
+   *
+   * Logic:
+   * - Tags missing from `htmlAllowlist` are removed but their content is kept; the content of
+   *   scripts, styles, frames and other active elements is removed as well.
+   * - Attribute values are escaped; `href`, `src` and `cite` must pass `isSafeURL()`.
+   * - Text is escaped and unclosed tags are closed.
+   */
+  sanitizeHTML(html) {
+    const allowlist = this.htmlAllowlist;
+    const global = allowlist['*'] || [];
+    const serialize = node => {
+      if (node.tag === '#text') return this.escapeEntities(decodeEntities(node.text));
+      if (unsafeContentTags.test(node.tag)) return '';
+      const content = node.children.map(serialize).join('');
+      if (node.tag === '#root' || !Object.prototype.hasOwnProperty.call(allowlist, node.tag)) return content;
+      const attrs = Object.keys(node.attrs)
+        .filter(name => (allowlist[node.tag].includes(name) || global.includes(name)) && !/^on/.test(name))
+        .map(name => ({ name, value: decodeEntities(node.attrs[name]) }))
+        .filter(({ name, value }) => !/^(href|src|cite)$/.test(name) || this.isSafeURL(value))
+        .map(({ name, value }) => ` ${name}="${this.escapeEntities(value)}"`)
+        .join('');
+      if (voidElements.test(node.tag)) return `<${node.tag}${attrs} />`;
+      return `<${node.tag}${attrs}>${content}</${node.tag}>`;
+    };
+    return serialize(parseHTMLTree(html));
+  }
+
+  /**
+   * Highlights the content of a code block.
+   *
+   * @param {string} code - Source code.
+   * @param {string|null} lang - Language of the block (e.g., 'php'); names and aliases from
+   *   `DokuParserJS.highlightLanguages` are highlighted by the built-in highlighter.
+   * @param {Object} [node] - Code node, passed to a `highlight` function option.
+   * @returns {string} - Escaped HTML, with GeSHi-style `<span class="kw1">` tokens if highlighted.
+   *
+   * Logic:
+   * - A `highlight` function option is called first with `(code, lang, node)`; it returns HTML, or
+   *   null to fall back to the built-in highlighter.
+   * - Code without a language, in an unknown language or with `highlight: false` is only escaped.
+   */
+  highlightCode(code, lang, node) {
+    if (this.highlight && lang) {
+      if (typeof this.highlight === 'function') {
+        const html = this.highlight(code, lang, node);
+        if (html !== null && html !== undefined) return String(html);
+      }
+      const html = highlightSource(code, lang);
+      if (html !== null) return html;
+    }
+    return this.escapeEntities(code);
+  }
+
+  /**
+   * Gets the Blob URL for the download link of a code block (`codeDownload: 'blob'`, browsers only).
+   *
+   * @param {number} index - Position of the block among the page's code and file blocks.
+   * @param {string} text - Block content.
+   * @returns {string} - Object URL, the same one while the block's content is unchanged, so re-rendering a
+   *   live preview does not create a Blob per keystroke; the block's previous URL is revoked.
+   */
+  blobUrl(index, text) {
+    const cached = this.blobUrls.get(index);
+    if (cached && cached.text === text) return cached.url;
+    if (cached) URL.revokeObjectURL(cached.url);
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    this.blobUrls.set(index, { text, url });
+    return url;
+  }
+
+  /**
+   * Revokes the Blob URLs of code blocks a page no longer has.
+   *
+   * @param {number} count - Number of code and file blocks on the page; URLs of blocks from `count` on are revoked.
+   */
+  releaseBlobUrls(count) {
+    this.blobUrls.forEach(({ url }, index) => {
+      if (index < count) return;
+      URL.revokeObjectURL(url);
+      this.blobUrls.delete(index);
+    });
+  }
+
+  /**
+   * Escapes HTML entities in content.
+   *
+   * @param {string} content - Input content.
+   * @returns {string} - Escaped content.
+   */
+  escapeEntities(content) {
+    return content
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Converts HTML, Markdown or a document tree to DokuWiki markup with a new parser.
+   *
+   * @param {string|Object} input - HTML, Markdown, or a document node.
+   * @param {Object} [options] - Parser options, plus `from` ('html' or 'markdown', default 'html').
+   * @returns {string} - DokuWiki markup.
+   */
+  static stringify(input, options = {}) {
+    return new DokuParserJS(options).stringify(input, options.from);
+  }
+
+  /**
+   * Creates a Node.js Transform stream that turns DokuWiki markup into HTML block by block.
+   *
+   * @param {Object} [options] - Parser options, plus `tocPlaceholder` (see `DokuStream`).
+   * @returns {Transform} - Stream taking text or UTF-8 bytes and emitting HTML strings; with the `toc`
+   *   option it emits a 'toc' event with the TOC HTML before it ends.
+   *
+   * @example
+   * fs.createReadStream('changelog.txt').pipe(DokuParserJS.createStream()).pipe(process.stdout);
+   */
+  static createStream(options = {}) {
+    const { Transform } = require('stream');
+    const parser = new DokuStream(new DokuParserJS(options), options);
+    const decoder = new TextDecoder();
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          const html = parser.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+          callback(null, html || undefined);
+        } catch (e) {
+          callback(e);
+        }
+      },
+      flush(callback) {
+        try {
+          const html = parser.write(decoder.decode()) + parser.end();
+          if (parser.toc) this.emit('toc', parser.toc);
+          callback(null, html);
+        } catch (e) {
+          callback(e);
+        }
+      }
+    });
+  }
+
+  /**
+   * Renders DokuWiki markup from an async iterable, yielding HTML as blocks complete.
+   *
+   * @param {AsyncIterable|Iterable} source - Text pieces as strings or UTF-8 bytes (e.g., `process.stdin`).
+   * @param {Object} [options] - Parser options, plus `tocPlaceholder` (see `DokuStream`).
+   * @returns {AsyncGenerator} - HTML pieces; together they equal `parse()` of the whole text.
+   *
+   * @example
+   * for await (const html of DokuParserJS.parseStream(fs.createReadStream('log.txt'))) res.write(html);
+   */
+  static parseStream(source, options = {}) {
+    return new DokuStream(new DokuParserJS(options), options).parse(source);
+  }
+
+  /**
+   * Parses DokuWiki's interwiki.conf format, like DokuWiki's `confToHash()`.
+   *
+   * @param {string} text - Lines of `shortcut URL-template` (e.g., 'wp https://en.wikipedia.org/wiki/{NAME}').
+   * @returns {Object} - Map of lowercase shortcuts to URL templates, usable as `interwikiMap`.
+   *
+   * Logic:
+   * - '#' starts a comment unless escaped as '\#' (or part of an entity such as '&#38;').
+   * - Blank lines and lines without a URL are skipped; later lines override earlier ones.
+   */
+  static parseInterwikiConf(text) {
+    const map = {};
+    String(text).split(/\r?\n/).forEach(line => {
+      const [name, url] = line.replace(/(?<![&\\])#.*$/, '').replace(/\\#/g, '#').trim().split(/\s+/);
+      if (name && url) map[name.toLowerCase()] = url;
+    });
+    return map;
+  }
+
+  /**
+   * Reads and merges interwiki.conf files (Node.js only).
+   *
+   * @param {...string} files - Conf files in order of precedence (e.g., 'conf/interwiki.conf',
+   *   'conf/interwiki.local.conf'); missing files are skipped.
+   * @returns {Object} - Merged map of shortcuts to URL templates; later files override earlier ones.
+   *
+   * @example
+   * const parser = new DokuParserJS({
+   *   interwikiMap: DokuParserJS.readInterwikiConf('conf/interwiki.conf', 'conf/interwiki.local.conf')
+   * });
+   */
+  static readInterwikiConf(...files) {
+    const fs = require('fs');
+    return files.reduce((map, file) => {
+      if (!fs.existsSync(file)) return map;
+      return { ...map, ...DokuParserJS.parseInterwikiConf(fs.readFileSync(file, 'utf8')) };
+    }, {});
+  }
+
+  /**
+   * Lists the page IDs stored in a DokuWiki pages directory (Node.js only).
+   *
+   * @param {string} dir - Pages directory (e.g., 'data/pages').
+   * @returns {Array} - Page IDs for all `.txt` files below `dir` (e.g., 'wiki:syntax'), sorted.
+   */
+  static listPages(dir) {
+    const fs = require('fs');
+    const path = require('path');
+    const pages = [];
+    const walk = (current, namespace) => {
+      fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+        if (entry.isDirectory()) {
+          walk(path.join(current, entry.name), [...namespace, entry.name]);
+        } else if (entry.name.endsWith('.txt')) {
+          pages.push([...namespace, entry.name.slice(0, -4)].join(':'));
+        }
+      });
+    };
+    walk(dir, []);
+    return pages.sort();
+  }
+
+  /**
+   * Builds a media manifest of a DokuWiki media directory (Node.js only), for the `mediaManifest` option.
+   *
+   * @param {string} dir - Media directory (e.g., 'data/media').
+   * @returns {Object} - Map of lowercase media ID to `{ size, width, height, renditions }`: the file size in
+   *   bytes, the intrinsic size of PNG, GIF, JPEG, WebP and SVG images, and the image's renditions as
+   *   `[{ id, width, height }]`.
+   *
+   * Logic:
+   * - Renditions are files named `<name>.<width>w.<ext>` next to the image (e.g., 'photo.480w.jpg' for
+   *   'photo.jpg'). They are listed with their image, not on their own; without the image they are plain files.
+   *
+   * @example
+   * const parser = new DokuParserJS({ mediaManifest: DokuParserJS.buildMediaManifest('data/media') });
+   */
+  static buildMediaManifest(dir) {
+    const fs = require('fs');
+    const path = require('path');
+    const manifest = {};
+    const renditions = [];
+    const walk = (current, namespace) => {
+      fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+        const file = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          walk(file, [...namespace, entry.name]);
+          return;
+        }
+        if (!entry.isFile()) return;
+        const id = [...namespace, entry.name].join(':').toLowerCase();
+        const info = { size: fs.statSync(file).size };
+        if (/\.(png|gif|jpe?g|webp|svg)$/i.test(entry.name)) {
+          // Image headers are at the start; SVG dimensions are in the root element
+          const fd = fs.openSync(file, 'r');
+          const buffer = Buffer.alloc(Math.min(info.size, 512 * 1024));
+          try {
+            fs.readSync(fd, buffer, 0, buffer.length, 0);
+          } finally {
+            fs.closeSync(fd);
+          }
+          Object.assign(info, readImageSize(buffer));
+        }
+        manifest[id] = info;
+        const rendition = id.match(/^(.*)\.(\d+)w(\.[^.:]+)$/);
+        if (rendition) renditions.push({ id, original: rendition[1] + rendition[3], width: Number(rendition[2]) });
+      });
+    };
+    walk(dir, []);
+    renditions.forEach(({ id, original, width }) => {
+      if (!manifest[original]) return;
+      const rendition = { id, width: manifest[id].width || width, height: manifest[id].height };
+      (manifest[original].renditions = manifest[original].renditions || []).push(rendition);
+      delete manifest[id];
+    });
+    return manifest;
+  }
+
+  /**
+   * Builds a link index of a DokuWiki pages directory (Node.js only).
+   *
+   * @param {string} dir - Pages directory (e.g., 'data/pages').
+   * @param {Object} [options] - Parser options (e.g., `interwikiMap`); `currentNamespace` and `pageId` are set per page.
+   * @returns {Object} - `{ pages, backlinks, orphans, deadLinks }`:
+   *   - `pages`: all page IDs.
+   *   - `backlinks`: map of lowercase page ID to the links pointing at it, as `[{ from, line }]`
+   *     ("what links here").
+   *   - `orphans`: existing pages no other page links to.
+   *   - `deadLinks`: links to pages that do not exist, as `[{ from, line, id }]`.
+   *
+   * @example
+   * const { backlinks, orphans } = DokuParserJS.buildLinkIndex('data/pages');
+   * backlinks['wiki:syntax']; // [{ from: 'wiki:welcome', line: 3 }, ...]
+   */
+  static buildLinkIndex(dir, options = {}) {
+    const fs = require('fs');
+    const path = require('path');
+    const pages = DokuParserJS.listPages(dir);
+    const backlinks = {};
+    const deadLinks = [];
+    const parser = new DokuParserJS({ ...options, knownPages: pages });
+    pages.forEach(from => {
+      const parts = from.split(':');
+      // '~' and '.' links resolve against the page being indexed
+      parser.currentNamespace = parts.slice(0, -1).join(':');
+      parser.pageId = from;
+      const text = fs.readFileSync(path.join(dir, ...parts) + '.txt', 'utf8');
+      parser.extractReferences(text).filter(ref => ref.type === 'page').forEach(ref => {
+        // Page IDs are case-insensitive
+        const id = ref.id.toLowerCase();
+        (backlinks[id] = backlinks[id] || []).push({ from, line: ref.line });
+        if (!ref.exists) deadLinks.push({ from, line: ref.line, id });
+      });
+    });
+    const orphans = pages.filter(id => !(backlinks[id] || []).some(link => link.from !== id));
+    return { pages, backlinks, orphans, deadLinks };
+  }
+
+  /**
+   * Builds a full-text search index of a pages directory (Node.js only).
+   *
+   * @param {string} dir - Pages directory (e.g., 'data/pages').
+   * @param {Object} [options] - Search index options; `options.parser` defaults to a parser
+   *   created with the remaining options.
+   * @returns {SearchIndex} - Index of every page, ready for `search()` or `JSON.stringify()`.
+   */
+  static buildSearchIndex(dir, options = {}) {
+    const fs = require('fs');
+    const path = require('path');
+    const { parser, headingBoost, snippetLength, ...parserOptions } = options;
+    const index = new SearchIndex({ parser: parser || new DokuParserJS(parserOptions), headingBoost, snippetLength });
+    DokuParserJS.listPages(dir).forEach(id => {
+      index.addPage(id, fs.readFileSync(path.join(dir, ...id.split(':')) + '.txt', 'utf8'));
+    });
+    return index;
+  }
+
+  /**
+   * Renders a whole pages directory to a static HTML site (Node.js only).
+   *
+   * @param {Object} [options] - Build options; other options are passed to the parser.
+   * @param {string} [options.pagesDir='data/pages'] - Pages directory.
+   * @param {string} [options.mediaDir='data/media'] - Media directory; referenced files are copied to `_media/`.
+   * @param {string} [options.outDir='site'] - Output directory.
+   * @param {string} [options.template] - HTML page template with `{{title}}`, `{{content}}`, `{{id}}`,
+   *   `{{namespace}}` and `{{root}}` (relative path to the site root, e.g. '../') placeholders.
+   * @param {string} [options.baseUrl=''] - Absolute site URL used in `sitemap.xml` (e.g., 'https://wiki.example.com/');
+   *   without it no sitemap is written.
+   * @returns {Object} - `{ pages, indexes, media, missingMedia, sitemap }`: IDs of the rendered pages, namespaces
+   *   that got an index page, copied media IDs, referenced media IDs not found in `mediaDir` and whether
+   *   `sitemap.xml` was written.
+   * @throws {Error} - If `baseUrl` is given but is not an absolute URL.
+   *
+   * Logic:
+   * - Each page is rendered with `currentNamespace` taken from its path; internal links point to the
+   *   `.html` output relative to the page, and links to pages not in `pagesDir` get `wikilink2`.
+   * - Media are looked up in `mediaDir`: links to missing files get `wikilink2`, and video and audio players
+   *   use (and copy) the alternative formats and posters found there. Images get their intrinsic size and a
+   *   `srcset` of their renditions from a `mediaManifest` of `mediaDir` (see `buildMediaManifest()`).
+   * - Every namespace gets an `index.html` listing its pages and sub-namespaces, unless it has a page
+   *   named `index`.
+   * - `sitemap.xml` lists every page with its modification date, if `baseUrl` is set (sitemaps need
+   *   absolute URLs).
+   */
+  static buildSite(options = {}) {
+    const fs = require('fs');
+    const path = require('path');
+    const {
+      pagesDir = 'data/pages',
+      mediaDir = 'data/media',
+      outDir = 'site',
+      template = defaultSiteTemplate,
+      baseUrl = '',
+      ...parserOptions
+    } = options;
+    if (baseUrl && !/^[a-z][a-z0-9+.-]*:\/\//i.test(baseUrl)) {
+      throw new Error(`baseUrl must be an absolute URL for sitemap.xml (e.g., 'https://wiki.example.com/'): ${baseUrl}`);
+    }
+    const pages = DokuParserJS.listPages(pagesDir);
+    // Media files are looked up in mediaDir unless the options tell which exist
+    const mediaExists = parserOptions.mediaExists || (parserOptions.knownMedia ? null : id => fs.existsSync(path.join(mediaDir, ...id.split(':'))));
+    const mediaManifest = parserOptions.mediaManifest || (fs.existsSync(mediaDir) ? DokuParserJS.buildMediaManifest(mediaDir) : null);
+    // Links point to the generated files, whatever URL settings the options carry
+    const parser = new DokuParserJS({
+      ...parserOptions,
+      userewrite: null,
+      buildPageUrl: null,
+      buildMediaUrl: null,
+      knownPages: pages,
+      mediaExists,
+      mediaManifest,
+      renderer: 'html',
+      rendererOptions: { ...parserOptions.rendererOptions, pageExtension: '.html' }
+    });
+    const escape = value => parser.escapeEntities(value);
+    const media = new Set();
+    const missingMedia = new Set();
+    const titles = {};
+    const write = (file, content) => {
+      const target = path.join(outDir, ...file.split('/'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+    };
+    const wrap = (id, namespace, title, content) => {
+      const values = {
+        title: escape(title),
+        content,
+        id: escape(id),
+        namespace: escape(namespace),
+        root: '../'.repeat(namespace ? namespace.split(':').length : 0)
+      };
+      return fillTemplate(template, values);
+    };
+
+    pages.forEach(id => {
+      const parts = id.split(':');
+      const namespace = parts.slice(0, -1).join(':');
+      const root = '../'.repeat(parts.length - 1);
+      parser.currentNamespace = namespace;
+      parser.pageId = id;
+      // Links are relative to the page, so the site works from any directory
+      parser.pagesBasePath = root || './';
+      parser.mediaBasePath = `${root}_media/`;
+      const text = fs.readFileSync(path.join(pagesDir, ...parts) + '.txt', 'utf8');
+      const ast = parser.parseToAST(text);
+      const heading = ast.children.find(node => node.type === 'section');
+      titles[id] = heading ? parser.plainText(heading.children[0].children) : parts[parts.length - 1];
+      write(`${parts.join('/')}.html`, wrap(id, namespace, titles[id], parser.render(ast)));
+      parser.extractReferences(text).forEach(ref => {
+        if (ref.type !== 'media' || ref.external || media.has(ref.id)) return;
+        const source = path.join(mediaDir, ...ref.id.split(':'));
+        if (fs.existsSync(source)) {
+          fs.mkdirSync(path.join(outDir, '_media', ...ref.id.split(':').slice(0, -1)), { recursive: true });
+          fs.copyFileSync(source, path.join(outDir, '_media', ...ref.id.split(':')));
+          media.add(ref.id);
+        } else {
+          missingMedia.add(ref.id);
+        }
+      });
+    });
+
+    // Namespace index pages
+    const namespaces = new Map([['', { pages: [], children: new Set() }]]);
+    pages.forEach(id => {
+      const parts = id.split(':');
+      for (let depth = 1; depth < parts.length; depth++) {
+        const namespace = parts.slice(0, depth).join(':');
+        if (!namespaces.has(namespace)) namespaces.set(namespace, { pages: [], children: new Set() });
+        namespaces.get(parts.slice(0, depth - 1).join(':')).children.add(parts[depth - 1]);
+      }
+      namespaces.get(parts.slice(0, -1).join(':')).pages.push(parts[parts.length - 1]);
+    });
+    const indexes = [];
+    namespaces.forEach((entry, namespace) => {
+      if (entry.pages.includes('index')) return;
+      const items = [
+        ...[...entry.children].sort().map(name =>
+          `<li class="closed"><div class="li"><a href="${escape(name)}/index.html" class="idx_dir">${escape(name)}</a></div></li>`),
+        ...entry.pages.map(name =>
+          `<li class="level1"><div class="li"><a href="${escape(name)}.html" class="wikilink1" title="${escape(namespace ? `${namespace}:${name}` : name)}">${escape(titles[namespace ? `${namespace}:${name}` : name])}</a></div></li>`)
+      ];
+      const title = namespace ? `Index of ${namespace}` : 'Index';
+      const content = `<div class="page group"><h1>${escape(title)}</h1>\n<ul class="idx">\n${items.join('\n')}\n</ul></div>`;
+      write(`${namespace ? namespace.split(':').join('/') + '/' : ''}index.html`, wrap(namespace ? `${namespace}:index` : 'index', namespace, title, content));
+      indexes.push(namespace);
+    });
+
+    if (baseUrl) {
+      const urls = pages.map(id => {
+        const modified = fs.statSync(path.join(pagesDir, ...id.split(':')) + '.txt').mtime.toISOString();
+        return `  <url>\n    <loc>${escape(baseUrl + id.split(':').map(encodeURIComponent).join('/'))}.html</loc>\n    <lastmod>${modified}</lastmod>\n  </url>`;
+      });
+      write('sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`);
+    }
+    return { pages, indexes, media: [...media].sort(), missingMedia: [...missingMedia].sort(), sitemap: Boolean(baseUrl) };
+  }
+
+  /**
+   * CLI interface: converts files or stdin, or builds a static site (see `cliUsage`).
+   *
+   * @param {Array} [argv=process.argv.slice(2)] - Command line arguments.
+   *
+   * Logic:
+   * - Options are merged from `DOKU_*` environment variables, then the `--config` file, then the
+   *   command line; `--config` may set every constructor option and the `buildSite()` options.
+   * - Files below the pages directory (`pagesDir`, default 'data/pages') are parsed in the namespace
+   *   of their path unless `--namespace` is given; stdin uses `currentNamespace` (default 'wiki').
+   * - HTML from stdin is streamed with `DokuStream` unless the TOC or `--full-document` needs the whole page;
+   *   other formats (`json-ast`, Markdown, text) read all of stdin first.
+   * - Several inputs, or an output path ending in '/', write one file per input into the output
+   *   directory, keeping their paths relative to the inputs' common directory.
+   * - Exits with 0 on success, 1 if a page failed to convert, 2 on usage errors and 3 if an input,
+   *   config or template file cannot be read.
+   */
+  static parseCLI(argv = process.argv.slice(2)) {
+    const fs = require('fs');
+    const path = require('path');
+    const fail = (error) => {
+      console.error(error.exitCode === 2 ? `${error.message}\n\n${cliUsage}` : `Error: ${error.message}`);
+      process.exit(error.exitCode || 1);
+    };
+    const readFile = (file, what) => {
+      try {
+        return fs.readFileSync(file, 'utf8');
+      } catch (e) {
+        throw cliError(`Cannot read ${what} ${file}: ${e.message}`, 3);
+      }
+    };
+    let args;
+    let options;
+    let template;
+    try {
+      args = parseCLIArgs(argv);
+      if (args.help) {
+        console.log(cliUsage);
+        process.exit(0);
+      }
+      options = { ...cliEnvironmentOptions(process.env), ...loadCLIConfig(args.config, readFile) };
+      const templateFile = args.template || process.env.DOKU_TEMPLATE;
+      if (templateFile) template = readFile(templateFile, 'template');
+    } catch (e) {
+      fail(e);
+    }
+
+    if (args.command === 'build') {
+      try {
+        const outDir = args.inputs[0] || options.outDir || 'site';
+        const result = DokuParserJS.buildSite({ ...options, outDir, template });
+        console.log(`Built ${result.pages.length} pages, ${result.indexes.length} index pages and ${result.media.length} media files in ${outDir}`);
+        result.missingMedia.forEach(id => console.error(`Missing media: ${id}`));
+        if (!result.sitemap) console.error('No sitemap.xml written: set baseUrl (DOKU_BASE_URL) to the site URL');
+        process.exit(0);
+      } catch (e) {
+        console.error('Error building site:', e.message);
+        process.exit(1);
+      }
+    }
+
+    // Links are checked against the pages found in the pages directory
+    const pagesDir = options.pagesDir || 'data/pages';
+    const knownPages = fs.existsSync(pagesDir) ? DokuParserJS.listPages(pagesDir) : undefined;
+    const format = args.format || (typeof options.renderer === 'string' ? options.renderer : 'html');
+    const createParser = (file) => {
+      let namespace = args.namespace;
+      if (namespace === null && file) {
+        const relative = path.relative(pagesDir, file);
+        if (!relative.startsWith('..') && !path.isAbsolute(relative)) namespace = relative.split(path.sep).slice(0, -1).join(':');
+      }
+      return new DokuParserJS({
+        currentNamespace: 'wiki',
+        knownPages,
+        ...options,
+        ...(namespace !== null ? { currentNamespace: namespace } : {}),
+        renderer: args.format ? (format === 'json-ast' ? 'html' : format) : options.renderer || 'html',
+        rendererOptions: { ...options.rendererOptions, fragment: args.fragment }
+      });
+    };
+    const convert = (input, file) => {
+      const parser = createParser(file);
+      const name = file ? path.basename(file, path.extname(file)) : '';
+      const id = name ? [parser.currentNamespace, name].filter(Boolean).join(':') : '';
+      if (id) parser.pageId = id;
+      const ast = parser.parseToAST(input);
+      if (format === 'json-ast') return `${JSON.stringify(ast, null, 2)}\n`;
+      const output = parser.render(ast);
+      if (!args.fullDocument) return output;
+      const heading = ast.children.find(node => node.type === 'section');
+      return fillTemplate(template || defaultPageTemplate, {
+        title: parser.escapeEntities(heading ? parser.plainText(heading.children[0].children) : name || 'DokuWiki'),
+        content: output,
+        id: parser.escapeEntities(id),
+        namespace: parser.escapeEntities(parser.currentNamespace),
+        root: ''
+      });
+    };
+    const write = (output, file) => {
+      if (!file) {
+        process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+        return;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, output);
+    };
+
+    if (!args.inputs.length) {
+      if (process.stdin.isTTY) fail(cliError('No input given', 2));
+
+      // Plain HTML is written block by block, so huge pages need little memory
+      const parser = createParser(null);
+      if (format === 'html' && parser.renderer === 'html' && !args.fullDocument && !parser.toc) {
+        const stream = new DokuStream(parser);
+        if (args.output) fs.mkdirSync(path.dirname(args.output), { recursive: true });
+        const output = args.output ? fs.createWriteStream(args.output) : process.stdout;
+        (async () => {
+          for await (const html of stream.parse(process.stdin)) {
+            if (!output.write(html)) await new Promise(resolve => output.once('drain', resolve));
+          }
+          if (args.output) output.end(() => process.exit(0));
+          else output.write('\n', () => process.exit(0));
+        })().catch(e => {
+          console.error('Error parsing input:', e.message);
+          process.exit(1);
+        });
+        return;
+      }
+      let input = '';
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', chunk => {
+        input += chunk;
+      });
+      process.stdin.on('end', () => {
+        try {
+          write(convert(input, null), args.output);
+          process.exit(0);
+        } catch (e) {
+          console.error('Error parsing input:', e.message);
+          process.exit(1);
+        }
+      });
+      return;
+    }
+
+    let files;
+    try {
+      files = [...new Set(args.inputs.flatMap(pattern => {
+        const matches = expandGlob(pattern);
+        if (!matches.length) throw cliError(`No input files match ${pattern}`, 3);
+        return matches;
+      }))];
+    } catch (e) {
+      fail(e);
+    }
+    const toDirectory = Boolean(args.output) && (files.length > 1 || /[\\/]$/.test(args.output) ||
+      (fs.existsSync(args.output) && fs.statSync(args.output).isDirectory()));
+    const extension = cliFormats[format] || '.txt';
+    const base = commonDirectory(files.map(file => path.resolve(file)));
+    let exitCode = 0;
+    files.forEach(file => {
+      try {
+        const output = convert(readFile(file, 'input'), file);
+        if (!toDirectory) {
+          write(output, args.output);
+          return;
+        }
+        const relative = path.relative(base, path.resolve(file));
+        write(output, path.join(args.output, relative.slice(0, relative.length - path.extname(relative).length) + extension));
+      } catch (e) {
+        console.error(`Error parsing ${file}:`, e.message);
+        exitCode = Math.max(exitCode, e.exitCode || 1);
+      }
+    });
+    process.exit(exitCode);
+  }
+}
+
+
+/**
+ * Base class for renderers that turn a document tree from `parseToAST()` into output.
+ *
+ * Purpose:
+ * - Separates output formats from parsing; `parse()` renders with the parser's configured renderer.
+ * - Subclasses implement `render()`, `renderBlock()` and `renderInlineNode()`; override single
+ *   methods (e.g., `renderLink()`) to customize an existing format.
+ *
+ * @example
+ * class MyRenderer extends DokuParserJS.HTMLRenderer {
+ *   renderLink(node) {
+ *     return node.linkType === 'external' ? `<a href="${node.target}">${node.target}</a>` : super.renderLink(node);
+ *   }
+ * }
+ * const parser = new DokuParserJS({ renderer: MyRenderer });
+ *
+ * @param {DokuParserJS} parser - Parser whose options (paths, maps, htmlok, toc) the renderer uses.
+ * @param {Object} [options] - Renderer-specific options.
+ */
+class Renderer {
+  constructor(parser, options = {}) {
+    this.parser = parser;
+    this.options = options;
+  }
+
+  /**
+   * Renders a document node.
+   *
+   * @param {Object} ast - Document node from `parseToAST()`.
+   * @returns {string} - Rendered output.
+   */
+  render(ast) {
+    throw new Error(`${this.constructor.name} does not implement render()`);
+  }
+
+  /**
+   * Renders a block node.
+   *
+   * @param {Object} node - Block node.
+   * @returns {string} - Rendered block (empty for blocks without output).
+   */
+  renderBlock(node) {
+    throw new Error(`${this.constructor.name} does not implement renderBlock()`);
+  }
+
+  /**
+   * Renders a list of inline nodes.
+   *
+   * @param {Array} nodes - Inline nodes.
+   * @param {Object} [context] - Render context passed down to nested nodes (e.g., `inLink`).
+   * @returns {string} - Rendered inline content.
+   */
+  renderInline(nodes, context = {}) {
+    return nodes.map(node => this.renderInlineNode(node, context)).join('');
+  }
+
+  /**
+   * Renders a single inline node.
+   *
+   * @param {Object} node - Inline node.
+   * @param {Object} context - Render context.
+   * @returns {string} - Rendered node.
+   */
+  renderInlineNode(node, context) {
+    throw new Error(`${this.constructor.name} does not implement renderInlineNode()`);
+  }
+
+  /**
+   * Finds the plugin render hook for a node.
+   *
+   * @param {Object} node - Block or inline node.
+   * @returns {Function|null} - Hook registered with `use()` for the node type under this renderer's name in
+   *   `DokuParserJS.renderers` (or the name of a renderer class it extends), or null.
+   */
+  renderHook(node) {
+    const hooks = this.parser.renderHooks;
+    if (!hooks) return null;
+    const format = this.formatNames().find(name => hooks[name] && hooks[name][node.type]);
+    return format ? hooks[format][node.type] : null;
+  }
+
+  /**
+   * Finds the render function of the media handler that matched a media node.
+   *
+   * @param {Object} node - Media node.
+   * @returns {Function|null} - `render` function of the node's handler for this renderer (looked up like
+   *   `renderHook()`), or null.
+   */
+  mediaHook(node) {
+    const handler = node.handler && this.parser.mediaHandlers ? this.parser.mediaHandlers[node.handler] : null;
+    if (!handler || !handler.render) return null;
+    const format = this.formatNames().find(name => handler.render[name]);
+    return format ? handler.render[format] : null;
+  }
+
+  /**
+   * Lists the names this renderer is registered under in `DokuParserJS.renderers`, including those of the
+   * renderer classes it extends.
+   *
+   * @returns {Array} - Format names, most specific first.
+   */
+  formatNames() {
+    if (!this.formats) {
+      this.formats = [];
+      for (let cls = this.constructor; cls && cls !== Renderer; cls = Object.getPrototypeOf(cls)) {
+        Object.keys(DokuParserJS.renderers).filter(name => DokuParserJS.renderers[name] === cls).forEach(name => this.formats.push(name));
+      }
+    }
+    return this.formats;
+  }
+
+  /**
+   * Collects the headings listed in the table of contents.
+   *
+   * @param {Object} ast - Document node.
+   * @returns {Array} - Headings as `{ level, id, title }` with plain text titles; empty when no TOC is shown.
+   *
+   * Logic:
+   * - A TOC needs the `toc` option, no `~~NOTOC~~` and at least `tocMinHeadings` headings.
+   * - Headings deeper than `tocMaxLevel` are skipped.
+   */
+  tocHeadings(ast) {
+    const parser = this.parser;
+    const headings = ast.children.filter(node => node.type === 'section').map(node => node.children[0]);
+    if (!parser.toc || ast.macros.notoc || headings.length < parser.tocMinHeadings) return [];
+    return headings
+      .filter(heading => heading.level <= parser.tocMaxLevel)
+      .map(heading => ({ level: heading.level, id: heading.id, title: parser.plainText(heading.children) }));
+  }
+}
+
+/**
+ * Renders a document tree as DokuWiki-compatible HTML (the default output of `parse()`).
+ *
+ * @param {DokuParserJS} parser - Parser whose options the renderer uses.
+ * @param {Object} [options] - Renderer options.
+ * @param {string} [options.pageExtension] - Extension appended to internal link targets (e.g., '.html') when
+ *   they point to page files (no `userewrite`); defaults to '.txt' with the parser's `useTxtExtension` option,
+ *   otherwise none.
+ * @param {boolean} [options.fragment=false] - Leave out the `<div class="page group">` wrapper.
+ */
+class HTMLRenderer extends Renderer {
+  constructor(parser, options = {}) {
+    super(parser, options);
+    this.pageExtension = options.pageExtension !== undefined ? options.pageExtension : (parser.useTxtExtension ? '.txt' : '');
+    this.fragment = Boolean(options.fragment);
+    this.codeblock = 0; // Index of the next code or file block, for download links
+    this.sectionNumber = 0; // Number of the last heading rendered, for `sectionedit` classes
+  }
+
+  /**
+   * Renders a document tree as HTML.
+   *
+   * @param {Object} ast - Document node from `parseToAST()`.
+   * @returns {string} - HTML output wrapped in <div class="page group"> (unless rendering a fragment).
+   *
+   * Logic:
+   * - Renders blocks in order; sections render their heading followed by their blocks.
+   * - Inserts the table of contents before the first heading.
+   * - Appends footnote definitions at the end.
+   */
+  render(ast) {
+    const result = [];
+    let tocHtml = this.renderToc(this.tocHeadings(ast));
+    this.codeblock = 0;
+    this.sectionNumber = 0;
+    ast.children.forEach(node => {
+      if (tocHtml && node.type === 'section') {
+        result.push(tocHtml);
+        tocHtml = '';
+      }
+      const html = this.renderBlock(node);
+      if (html) result.push(html);
+    });
+    this.parser.releaseBlobUrls(this.codeblock);
+
+    // Add footnotes
+    const footnotes = this.renderFootnotes(ast.footnotes);
+    if (footnotes) result.push(footnotes);
+    return this.fragment ? result.join('\n') : `<div class="page group">${result.join('\n')}</div>`;
+  }
+
+  /**
+   * Renders a block node as HTML.
+   *
+   * @param {Object} node - Block node.
+   * @returns {string} - HTML for the block (empty for blocks without output).
+   */
+  renderBlock(node) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, {});
+    const parser = this.parser;
+    switch (node.type) {
+      case 'section': {
+        const blocks = node.children.map(child => this.renderBlock(child)).filter(Boolean);
+        if (parser.sectionEdit && node.position) {
+          blocks.push(this.renderSectionEdit(node.number || this.sectionNumber, node.position.start.line, node.position.end.line));
+        }
+        return blocks.join('\n');
+      }
+      case 'heading':
+        return `<h${node.level} class="sectionedit${++this.sectionNumber}" id="${node.id}">${this.renderInline(node.children)}</h${node.level}>`;
+      case 'paragraph': {
+        const content = this.renderInline(node.children).trim();
+        return content ? `<p>${content}</p>` : '';
+      }
+      case 'list': {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const items = node.children.map(item => {
+          const content = this.renderInline(item.children.filter(child => child.type !== 'list'));
+          const lists = item.children.filter(child => child.type === 'list').map(list => this.renderBlock(list));
+          return [`<li class="level${item.level}"><div class="li">${content}</div>`, ...lists, '</li>'].join('\n');
+        });
+        return [`<${tag}>`, ...items, `</${tag}>`].join('\n');
+      }
+      case 'table': {
+        const rows = node.children.map((row, r) => {
+          // Like DokuWiki, column classes count the columns of the cells before it in the same row
+          let col = 0;
+          const cells = row.children.map(cell => {
+            const tag = cell.header ? 'th' : 'td';
+            let attrs = ` class="${`col${col} ${cell.align ? cell.align + 'align' : ''}`.trim()}"`;
+            if (cell.colspan > 1) attrs += ` colspan="${cell.colspan}"`;
+            if (cell.rowspan > 1) attrs += ` rowspan="${cell.rowspan}"`;
+            col += cell.colspan;
+            return `<${tag}${attrs}>${this.renderInline(cell.children)}</${tag}>`;
+          });
+          return `<tr class="row${r}">${cells.join('')}</tr>`;
+        });
+        const head = node.children.filter(row => row.head).length;
+        const body = head ? `<thead>${rows.slice(0, head).join('')}</thead><tbody>${rows.slice(head).join('')}</tbody>` : rows.join('');
+        return `<div class="table"><table class="inline">${body}</table></div>`;
+      }
+      case 'code': {
+        if (!node.value.trim()) {
+          if (node.kind !== 'preformatted') this.codeblock++;
+          return '';
+        }
+        const className = node.kind === 'preformatted' ? 'code' : `${node.kind}${node.lang ? ' ' + node.lang : ''}`;
+        const html = this.renderCode(node, node.value, node.kind === 'preformatted' ? null : node.lang, className);
+        if (node.kind === 'preformatted') return html;
+        const index = this.codeblock++;
+        return node.filename ? this.renderDownload(node, index, html) : html;
+      }
+      case 'html':
+        if (parser.htmlok) return parser.safeMode ? parser.sanitizeHTML(node.value) : node.value;
+        return node.value.trim() ? this.renderCode(node, node.value.trim(), 'html', 'code html') : '';
+      case 'php':
+        return node.value.trim() ? this.renderCode(node, node.value.trim(), 'php', 'code php') : '';
+      case 'blockquote':
+        return `<blockquote><div class="no">${node.children.map(child => child.type === 'blockquote' ? this.renderBlock(child) : this.renderInlineNode(child, {})).join('')}</div></blockquote>`;
+      case 'hr':
+        return '<hr />';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Renders the edit-button hook placed after a section (with the `sectionEdit` option).
+   *
+   * @param {number} number - Section number.
+   * @param {number} start - First source line of the section.
+   * @param {number} end - Last source line of the section.
+   * @returns {string} - Empty `secedit` element with `data-section` and `data-range`.
+   */
+  renderSectionEdit(number, start, end) {
+    return `<div class="secedit editbutton_section editbutton_${number}" data-section="${number}" data-range="${start}-${end}"></div>`;
+  }
+
+  /**
+   * Renders the footnote definitions placed at the end of a page.
+   *
+   * @param {Array} footnotes - Footnotes of the document node (`{ id, children }`).
+   * @returns {string} - `<div class="footnotes">` with one entry per footnote, or '' without footnotes.
+   */
+  renderFootnotes(footnotes) {
+    if (!footnotes.length) return '';
+    return [
+      '<div class="footnotes">',
+      ...footnotes.map(note => `<div class="fn"><sup><a href="#fnt__${note.id}" id="fn__${note.id}" class="fn_bot">[${note.id})</a></sup> <div class="content">${this.renderInline(note.children)}</div></div>`),
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Renders an inline node as HTML.
+   *
+   * @param {Object} node - Inline node.
+   * @param {Object} context - Render context; `inLink` renders media without their own link.
+   * @returns {string} - HTML for the node.
+   */
+  renderInlineNode(node, context) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, context);
+    const parser = this.parser;
+    const tags = { strong: 'strong', emphasis: 'em', underline: 'u', monospace: 'tt', subscript: 'sub', superscript: 'sup', deleted: 'del' };
+    switch (node.type) {
+      case 'text':
+      case 'nowiki':
+      case 'unformatted':
+        return parser.escapeEntities(node.value);
+      case 'strong':
+      case 'emphasis':
+      case 'underline':
+      case 'monospace':
+      case 'subscript':
+      case 'superscript':
+      case 'deleted':
+        return `<${tags[node.type]}>${this.renderInline(node.children, context)}</${tags[node.type]}>`;
+      case 'link':
+        return this.renderLink(node);
+      case 'media':
+        return this.renderMedia(node, context);
+      case 'rss':
+        return parser.escapeEntities(`{{rss>${node.url}${node.params ? ' ' + node.params : ''}}}`);
+      case 'footnote':
+        return `<sup><a href="#fn__${node.id}" id="fnt__${node.id}" class="fn_top">[${node.id})</a></sup>`;
+      case 'html':
+        if (parser.htmlok) return parser.safeMode ? parser.sanitizeHTML(node.value) : node.value;
+        return `<pre class="code html">${parser.highlightCode(node.value, 'html', node)}</pre>`;
+      case 'php':
+        // Inline PHP stays inside the paragraph, so it is shown as <code> rather than a <pre> block
+        return `<code class="code php">${parser.highlightCode(node.value, 'php', node)}</code>`;
+      case 'linebreak':
+        return '<br />';
+      case 'entity':
+        return parser.entityMap[node.value.toLowerCase()] || parser.escapeEntities(node.value);
+      case 'multiplyentity':
+        return `${node.x}&times;${node.y}`;
+      case 'smiley': {
+        const icon = parser.smileyMap[node.value];
+        if (parser.useEmoji) return icon;
+        return `<img src="${parser.escapeEntities(parser.smileyBasePath + icon)}" class="icon smiley" alt="${parser.escapeEntities(node.value)}">`;
+      }
+      default:
+        return node.children ? this.renderInline(node.children, context) : '';
+    }
+  }
+
+  /**
+   * Renders code as a `<pre>` block, highlighted and with the line options of the code block.
+   *
+   * @param {Object} node - Code, html or php node.
+   * @param {string} value - Code to render.
+   * @param {string|null} lang - Language used for highlighting.
+   * @param {string} className - Class of the `<pre>` element (e.g., 'code php').
+   * @returns {string} - HTML for the block.
+   *
+   * Logic:
+   * - `enable_line_numbers` renders an `<ol>` (starting at `start_line_numbers_at`) with one
+   *   `<li class="li1"><div class="de1">` per line, like GeSHi.
+   * - Lines listed in `highlight_lines_extra` (counted from the first line of the block) get class
+   *   `ln-xtra`, or are wrapped in `<span class="xtra">` without line numbers.
+   */
+  renderCode(node, value, lang, className) {
+    const options = parseCodeOptions(node.options);
+    const extra = new Set(String(options.highlight_lines_extra || '').split(',').map(Number).filter(Boolean));
+    const html = this.parser.highlightCode(value, lang, node);
+    const pre = `<pre class="${this.parser.escapeEntities(className)}">`;
+    if (!options.enable_line_numbers && !extra.size) return `${pre}${html}</pre>`;
+    const lines = splitHighlightedLines(html);
+    if (!options.enable_line_numbers) {
+      return `${pre}${lines.map((line, i) => (extra.has(i + 1) ? `<span class="xtra">${line}</span>` : line)).join('\n')}</pre>`;
+    }
+    const start = Number(options.start_line_numbers_at) > 1 ? ` start="${Math.floor(options.start_line_numbers_at)}"` : '';
+    const items = lines.map((line, i) => `<li class="li1${extra.has(i + 1) ? ' ln-xtra' : ''}"><div class="de1">${line}</div></li>`);
+    return `${pre}<ol${start}>${items.join('')}</ol></pre>`;
+  }
+
+  /**
+   * Wraps a rendered code or file block in DokuWiki's download header.
+   *
+   * @param {Object} node - Code node with a `filename`.
+   * @param {number} index - Position of the block among the page's code and file blocks.
+   * @param {string} html - Rendered `<pre>` block.
+   * @returns {string} - `<dl class="file|code">` with the file name linked in `<dt>` and the block in `<dd>`.
+   *
+   * Logic:
+   * - The `codeDownload` option picks the link: a `data:` URL by default, a Blob URL with 'blob' (in browsers;
+   *   Blob URLs outside a page are useless, so Node.js gets `data:` URLs), or an endpoint from a template or
+   *   function.
+   * - `data:` and Blob links carry a `download` attribute with the file name; endpoint templates get
+   *   `{id}` (the `pageId` option) and `{codeblock}` (the block index) filled in, URL-encoded.
+   * - With `codeDownload: false` the block is rendered without the header.
+   */
+  renderDownload(node, index, html) {
+    const parser = this.parser;
+    const mode = parser.codeDownload;
+    if (mode === false) return html;
+    const ext = (node.filename.match(/\.([^.]+)$/) || [])[1] || '';
+    // File names without an extension get no file type class
+    const className = ext ? `mediafile mf_${ext.toLowerCase().replace(/[^_\-a-z0-9]+/g, '_')}` : 'mediafile';
+    let href;
+    let download = '';
+    if (typeof mode === 'function') {
+      href = mode(node, index, parser);
+    } else if (typeof mode === 'string' && mode !== 'data' && mode !== 'blob') {
+      href = mode.replace(/\{(id|codeblock)\}/g, (all, name) => encodeURIComponent(name === 'id' ? parser.pageId : index));
+    } else {
+      download = ` download="${parser.escapeEntities(node.filename)}"`;
+      const blob = mode === 'blob' && typeof document !== 'undefined' && typeof Blob === 'function' &&
+        typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+      href = blob ? parser.blobUrl(index, node.value) : `data:text/plain;charset=utf-8,${encodeURIComponent(node.value)}`;
+    }
+    const link = `<a href="${parser.escapeEntities(String(href))}" title="Download Snippet" class="${className}"${download}>${parser.escapeEntities(node.filename)}</a>`;
+    return `<dl class="${node.kind}">\n<dt>${link}</dt>\n<dd>${html}</dd>\n</dl>`;
+  }
+
+  /**
+   * Renders a link node as HTML.
+   *
+   * @param {Object} node - Link node.
+   * @returns {string} - Anchor HTML; in safe mode, links with disallowed URL schemes render as text.
+   *
+   * Logic:
+   * - Every attribute value is escaped, so targets and titles cannot break out of their attribute.
+   */
+  renderLink(node) {
+    const parser = this.parser;
+    const esc = value => parser.escapeEntities(value);
+    const title = node.children.length ? this.renderInline(node.children, { inLink: true }) : null;
+    switch (node.linkType) {
+      case 'interwiki': {
+        const reference = node.target.slice(node.target.indexOf('>') + 1);
+        const { wiki, url, exists } = parser.resolveInterwiki(node.wiki, reference, { extension: this.pageExtension });
+        if (!url || !parser.isSafeURL(url)) return title || esc(node.page);
+        // Shortcuts to wiki pages are also styled by whether the page exists
+        const state = exists === null ? '' : exists ? ' wikilink1' : ' wikilink2';
+        const rel = exists === false ? ' rel="nofollow"' : '';
+        const attrs = ` title="${esc(url)}" data-wiki-id="${esc(node.target)}"${rel}`;
+        return `<a href="${esc(url)}" class="interwiki iw_${wiki.replace(/[^_\-a-z0-9]+/gi, '_')}${state}"${attrs}>${title || esc(node.page)}</a>`;
+      }
+      case 'external': {
+        const text = title || esc(node.target.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, ''));
+        if (!parser.isSafeURL(node.target)) return text;
+        return `<a href="${esc(node.target)}" class="urlextern" title="${esc(node.target)}" rel="nofollow">${text}</a>`;
+      }
+      case 'email':
+        return `<a href="mailto:${esc(node.target)}" class="mail" title="${esc(node.target.replace(/@/g, ' [at] ').replace(/\./g, ' [dot] '))}">${title || esc(node.target)}</a>`;
+      case 'windowsshare': {
+        const href = `file:///${node.target.replace(/\\/g, '/').replace(/^\/+/, '')}`;
+        if (!parser.isSafeURL(href)) return title || esc(node.target);
+        return `<a href="${esc(href)}" class="windows" title="${esc(node.target)}">${title || esc(node.target)}</a>`;
+      }
+      case 'local':
+        return `<a href="#${esc(parser.headingId(node.section))}" class="wikilink1" title="#${esc(node.section)}">${title || esc(node.section)}</a>`;
+      default: {
+        const href = parser.pageUrl(node.id, { section: node.section ? parser.headingId(node.section) : '', extension: this.pageExtension });
+        // wikilink2 marks links to pages that do not exist
+        const exists = node.exists !== false;
+        let className = exists ? 'wikilink1' : 'wikilink2';
+        let attrs = ` data-wiki-id="${esc(node.page)}"`;
+        if (node.section) {
+          attrs = ` title="${esc(node.target)}" data-wiki-id="${esc(node.target)}"`;
+        } else if (node.id === parser.startPage || node.id.endsWith(`:${parser.startPage}`)) {
+          if (exists) className += ' curid';
+          attrs = ` title="${esc(node.page)}" data-wiki-id="${esc(node.page)}"`;
+        }
+        if (!exists) attrs += ' rel="nofollow"';
+        return `<a href="${esc(href)}" class="${className}"${attrs}>${title || esc(node.page)}</a>`;
+      }
+    }
+  }
+
+  /**
+   * Renders a media node as HTML, like DokuWiki's `internalmedia()` and `externalmedia()`.
+   *
+   * @param {Object} node - Media node.
+   * @param {Object} [context] - Render context; inside links only images are shown, without their own link.
+   * @returns {string} - Image, player, embed or link HTML; in safe mode, media with disallowed URL schemes
+   *   render as their title.
+   *
+   * Logic:
+   * - The file type from `mediaType()` decides the output. Images render as `<img>` (see `renderImage()`), linked
+   *   to their detail page or file unless 'nolink'. Video and audio render as players that are never linked (see
+   *   `renderPlayer()`). Other files, and every type with 'linkonly', render as download links.
+   * - As in DokuWiki, links to media are titled with the media ID (or URL); the media title is the image's
+   *   `alt` and `title`, or the link text.
+   * - Links to internal media that do not exist (`mediaExists()`) get class `wikilink2`.
+   * - Media matched by a media handler use its `html` render function, or link to its `url`.
+   */
+  renderMedia(node, context = {}) {
+    const parser = this.parser;
+    const esc = value => parser.escapeEntities(value);
+    const title = esc(node.title);
+    if (node.handler) {
+      const hook = this.mediaHook(node);
+      if (hook) return hook(node, this, context);
+      const url = parser.embedUrl(node);
+      if (!url || !parser.isSafeURL(url) || context.inLink) return title || esc(node.src);
+      return `<a href="${esc(url)}" class="media" title="${title}">${title || esc(node.src)}</a>`;
+    }
+    const url = options => (node.external ? node.src : parser.mediaUrl(node.id, { cache: node.cache, ...options }));
+    if (!parser.isSafeURL(url())) return title;
+    const { kind } = parser.mediaType(node.src);
+    const missing = !node.external && !parser.mediaExists(node.id);
+    const source = node.external ? node.src : node.id;
+    if (kind === 'image' && node.linking !== 'linkonly') {
+      const img = this.renderImage(node, missing);
+      if (node.linking === 'nolink' || context.inLink) return img;
+      // The file itself for 'direct', its detail page for 'details'
+      return `<a href="${esc(url({ detail: node.linking === 'details' }))}" class="media${missing ? ' wikilink2' : ''}" title="${esc(source)}">${img}</a>`;
+    }
+    const name = title || esc(mediaFileName(node.src));
+    if (context.inLink) return name;
+    if ((kind === 'video' || kind === 'audio') && node.linking !== 'linkonly') return this.renderPlayer(node, kind);
+    if (node.linking === 'nolink') return name;
+    return this.renderFileLink(url(), source, name, missing);
+  }
+
+  /**
+   * Renders the image of an image node, or a placeholder if the image does not exist.
+   *
+   * @param {Object} node - Media node of an image.
+   * @param {boolean} [missing=false] - Render the placeholder for a missing image.
+   * @returns {string} - `<img>` HTML, or for missing images the `mediaPlaceholder` image or a
+   *   `<span class="mediamissing">` with the file name.
+   *
+   * Logic:
+   * - The media title is both `alt` and `title`, as in DokuWiki.
+   * - With a `mediaManifest` entry, the intrinsic size fills in a missing dimension (keeping the aspect ratio), or
+   *   both when the media gives no size. The image URL still carries only the requested size.
+   * - Renditions in the manifest and the original form a `srcset`; `sizes` is the requested width, or the full
+   *   viewport up to the intrinsic width.
+   * - Placeholders keep the media markup in `data-wiki-media`, so converting the HTML back restores it.
+   */
+  renderImage(node, missing = false) {
+    const parser = this.parser;
+    const esc = value => parser.escapeEntities(value);
+    const info = node.external ? null : parser.mediaInfo(node.id);
+    const intrinsic = info && info.width && info.height ? info : null;
+    let { width, height } = node;
+    if (intrinsic && width && !height) height = Math.round((width * intrinsic.height) / intrinsic.width);
+    else if (intrinsic && height && !width) width = Math.round((height * intrinsic.width) / intrinsic.height);
+    else if (intrinsic && !width && !height) ({ width, height } = intrinsic);
+    const className = `media${node.align ? ' media' + node.align : ''}`;
+    const title = node.title ? ` title="${esc(node.title)}"` : '';
+    const size = `${width ? ` width="${width}"` : ''}${height ? ` height="${height}"` : ''}`;
+    if (missing) {
+      const markup = ` data-wiki-media="${esc(new DokuSerializer(parser).renderMedia(node))}"`;
+      if (parser.mediaPlaceholder) {
+        return `<img src="${esc(parser.mediaPlaceholder)}" class="${className} mediamissing" alt="${esc(node.title)}"${title}${size}${markup} />`;
+      }
+      return `<span class="${className} mediamissing"${title}${markup}>${esc(node.title || mediaFileName(node.src))}</span>`;
+    }
+    const src = node.external ? node.src : parser.mediaUrl(node.id, { width: node.width, height: node.height, cache: node.cache });
+    let img = `<img src="${esc(src)}" class="${className}" alt="${esc(node.title)}"${title} loading="lazy"${size}`;
+    if (intrinsic && info.renditions && info.renditions.length) {
+      const candidates = [...info.renditions, { id: node.id, width: intrinsic.width }]
+        .filter(rendition => rendition.width)
+        .sort((a, b) => a.width - b.width)
+        .filter((rendition, i, all) => !i || rendition.width !== all[i - 1].width);
+      const srcset = candidates.map(rendition => `${parser.mediaUrl(rendition.id, { cache: node.cache })} ${rendition.width}w`);
+      const sizes = node.width || node.height ? `${width}px` : `(max-width: ${intrinsic.width}px) 100vw, ${intrinsic.width}px`;
+      img += ` srcset="${esc(srcset.join(', '))}" sizes="${sizes}"`;
+    }
+    return img + ' />';
+  }
+
+  /**
+   * Renders a video or audio node as a player, like DokuWiki's `_video()` and `_audio()`.
+   *
+   * @param {Object} node - Media node of a video or audio file.
+   * @param {string} kind - 'video' or 'audio'.
+   * @returns {string} - `<video>` (320x240 unless the media gives a size) or `<audio>` element with controls, a
+   *   `<source>` per format from `mediaAlternatives()`, a poster image for video, and download links to the
+   *   formats as fallback content.
+   */
+  renderPlayer(node, kind) {
+    const parser = this.parser;
+    const esc = value => parser.escapeEntities(value);
+    const alternatives = node.external ? null : parser.mediaAlternatives(node.id);
+    const sources = node.external
+      ? [{ src: node.src, url: node.src, mime: parser.mediaType(node.src).mime }]
+      : alternatives.sources.map(({ id, mime }) => ({ src: id, url: parser.mediaUrl(id), mime }));
+    let attrs = ` class="media${node.align ? ' media' + node.align : ''}"`;
+    if (node.title) attrs += ` title="${esc(node.title)}"`;
+    if (kind === 'video') attrs += ` width="${node.width || 320}" height="${node.height || 240}"`;
+    attrs += ' controls="controls"';
+    if (alternatives && alternatives.poster) attrs += ` poster="${esc(parser.mediaUrl(alternatives.poster))}"`;
+    const fallback = sources.map(({ src, url }) => this.renderFileLink(url, src, esc(node.title || mediaFileName(src))));
+    return [`<${kind}${attrs}>`, ...sources.map(({ url, mime }) => `<source src="${esc(url)}" type="${mime}" />`), `${fallback.join('')}</${kind}>`].join('\n');
+  }
+
+  /**
+   * Renders a download link to a media file, like DokuWiki's links to non-image media.
+   *
+   * @param {string} url - File URL.
+   * @param {string} src - Media ID or URL; its extension gives the file type class (e.g., `mf_pdf`).
+   * @param {string} name - Link text HTML.
+   * @param {boolean} [missing=false] - Mark the file as missing with class `wikilink2`.
+   * @returns {string} - Anchor HTML with classes `media mediafile mf_<ext>` (without `mf_<ext>` when the file
+   *   has no extension), titled with `src` and the file size from the `mediaManifest` (e.g., 'manual.pdf (1.2 MB)').
+   */
+  renderFileLink(url, src, name, missing = false) {
+    const parser = this.parser;
+    const type = parser.mediaType(src).ext.replace(/[^_\-a-z0-9]+/gi, '_');
+    const info = /^[a-z][a-z0-9+.-]*:\/\//i.test(src) ? null : parser.mediaInfo(src);
+    const title = info && info.size !== undefined ? `${src} (${formatFileSize(info.size)})` : src;
+    const className = `media mediafile${type ? ` mf_${type}` : ''}${missing ? ' wikilink2' : ''}`;
+    return `<a href="${parser.escapeEntities(url)}" class="${className}" title="${parser.escapeEntities(title)}">${name}</a>`;
+  }
+
+  /**
+   * Builds the table of contents HTML.
+   *
+   * @param {Array} headings - Headings from `tocHeadings()` as `{ level, id, title }`.
+   * @returns {string} - TOC HTML, or an empty string without headings.
+   *
+   * Logic:
+   * - Opens a nested `<ul>` inside the previous item when the level increases.
+   * - Closes nested lists when the level decreases; a heading that skips back to a
+   *   level between two open lists joins the innermost one.
+   */
+  renderToc(headings) {
+    if (headings.length === 0) return '';
+    const html = ['<div class="toc">', '<div class="tocheader">Table of Contents</div>', '<ul>'];
+    const stack = [headings[0].level]; // Levels of the currently open lists
+    headings.forEach((item, index) => {
+      if (index > 0) {
+        if (item.level > stack[stack.length - 1]) {
+          html.push('<ul>');
+          stack.push(item.level);
+        } else {
+          html.push('</li>');
+          while (stack.length > 1 && stack[stack.length - 2] >= item.level) {
+            html.push('</ul></li>');
+            stack.pop();
+          }
+          stack[stack.length - 1] = Math.min(stack[stack.length - 1], item.level);
+        }
+      }
+      html.push(`<li class="level${item.level}"><a href="#${item.id}">${this.parser.escapeEntities(item.title)}</a>`);
+    });
+    html.push('</li>');
+    while (stack.length > 1) {
+      html.push('</ul></li>');
+      stack.pop();
+    }
+    html.push('</ul>', '</div>');
+    return html.join('\n');
+  }
+}
+
+/**
+ * Renders a document tree as GitHub Flavored Markdown.
+ *
+ * Logic:
+ * - Headings become `#` headings, lists keep their nesting, code blocks become fenced blocks
+ *   with their language, and footnotes become `[^N]` references with definitions at the end.
+ * - Tables become GFM tables; the first row is the header row, and cells covered by a
+ *   colspan or rowspan (`:::`) are left empty.
+ * - Markup without a Markdown equivalent (underline, sub/superscript, sized images) uses inline HTML.
+ * - Internal links use `pageUrl()` (by default `pagesBasePath` + page path + `pageExtension`), media `mediaUrl()`.
+ *
+ * @param {DokuParserJS} parser - Parser whose options the renderer uses.
+ * @param {Object} [options] - Renderer options.
+ * @param {string} [options.pageExtension='.md'] - Extension appended to internal link targets.
+ */
+class MarkdownRenderer extends Renderer {
+  constructor(parser, options = {}) {
+    super(parser, options);
+    this.pageExtension = options.pageExtension !== undefined ? options.pageExtension : '.md';
+  }
+
+  /**
+   * Renders a document tree as Markdown.
+   *
+   * @param {Object} ast - Document node from `parseToAST()`.
+   * @returns {string} - Markdown with blocks separated by blank lines.
+   */
+  render(ast) {
+    const result = [];
+    let toc = this.renderToc(this.tocHeadings(ast));
+    ast.children.forEach(node => {
+      if (toc && node.type === 'section') {
+        result.push(toc);
+        toc = '';
+      }
+      const markdown = this.renderBlock(node);
+      if (markdown) result.push(markdown);
+    });
+    if (ast.footnotes.length > 0) {
+      result.push(ast.footnotes.map(note => `[^${note.id}]: ${this.renderInline(note.children, { inline: true }).trim()}`).join('\n'));
+    }
+    return result.length ? `${result.join('\n\n')}\n` : '';
+  }
+
+  /**
+   * Renders a list of inline nodes as Markdown.
+   *
+   * @param {Array} nodes - Inline nodes.
+   * @param {Object} [context] - Render context.
+   * @returns {string} - Markdown for the nodes.
+   *
+   * Logic:
+   * - A forced line break at the end of a source line reuses that line's newline, so it does
+   *   not turn into a blank line (which would end the paragraph).
+   */
+  renderInline(nodes, context = {}) {
+    return nodes.map((node, index) => {
+      if (node.type === 'linebreak' && !context.inline) {
+        const next = nodes[index + 1];
+        if (!next) return '';
+        return next.type === 'text' && next.value.startsWith('\n') ? '\\' : '\\\n';
+      }
+      return this.renderInlineNode(node, context);
+    }).join('');
+  }
+
+  /**
+   * Renders a block node as Markdown.
+   *
+   * @param {Object} node - Block node.
+   * @returns {string} - Markdown for the block (empty for blocks without output).
+   */
+  renderBlock(node) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, {});
+    const parser = this.parser;
+    switch (node.type) {
+      case 'section':
+        return node.children.map(child => this.renderBlock(child)).filter(Boolean).join('\n\n');
+      case 'heading':
+        return `${'#'.repeat(node.level)} ${this.renderInline(node.children, { inline: true }).trim()}`;
+      case 'paragraph':
+        return this.escapeLineStarts(this.renderInline(node.children).trim());
+      case 'list':
+        return this.renderList(node, '');
+      case 'table':
+        return this.renderTable(node);
+      case 'code':
+        if (!node.value.trim()) return '';
+        return this.fence(node.value, node.lang && node.lang !== '-' ? node.lang : '');
+      case 'html':
+        if (parser.htmlok) return parser.safeMode ? parser.sanitizeHTML(node.value) : node.value;
+        return node.value.trim() ? this.fence(node.value.trim(), 'html') : '';
+      case 'php':
+        return node.value.trim() ? this.fence(node.value.trim(), 'php') : '';
+      case 'blockquote': {
+        // Inline runs between nested quotes become paragraphs of this quote
+        const parts = [];
+        let run = [];
+        const flush = () => {
+          const text = this.escapeLineStarts(this.renderInline(run).trim());
+          if (text) parts.push(text);
+          run = [];
+        };
+        node.children.forEach(child => {
+          if (child.type === 'blockquote') {
+            flush();
+            parts.push(this.renderBlock(child));
+          } else {
+            run.push(child);
+          }
+        });
+        flush();
+        return parts.join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      }
+      case 'hr':
+        return '---';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Renders a list node with its nested lists.
+   *
+   * @param {Object} node - List node.
+   * @param {string} indent - Indentation of the list's items.
+   * @returns {string} - Markdown list.
+   */
+  renderList(node, indent) {
+    return node.children.map((item, index) => {
+      const marker = node.ordered ? `${index + 1}. ` : '- ';
+      const content = this.renderInline(item.children.filter(child => child.type !== 'list'), { inline: true }).trim();
+      const lists = item.children
+        .filter(child => child.type === 'list')
+        .map(list => this.renderList(list, indent + ' '.repeat(marker.length)));
+      return [`${indent}${marker}${content}`, ...lists].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Renders a table node as a GFM table.
+   *
+   * @param {Object} node - Table node.
+   * @returns {string} - Markdown table.
+   *
+   * Logic:
+   * - Places cells on a grid by column; spanned and missing cells stay empty.
+   * - Column alignment comes from the first cell in each column that has content and does not span columns.
+   */
+  renderTable(node) {
+    const grid = node.children.map(() => []);
+    const aligns = [];
+    let width = 0;
+    node.children.forEach((row, r) => {
+      row.children.forEach(cell => {
+        const content = this.renderInline(cell.children, { inline: true }).trim().replace(/\n/g, ' ').replace(/\|/g, '\\|');
+        grid[r][cell.col] = content;
+        // Whitespace-only cells are always left-aligned in DokuWiki, so they do not decide the column
+        if (cell.colspan === 1 && content && aligns[cell.col] === undefined) aligns[cell.col] = cell.align;
+        width = Math.max(width, cell.col + cell.colspan);
+      });
+    });
+    const line = cells => `| ${cells.join(' | ')} |`;
+    const rows = grid.map(cells => Array.from({ length: width }, (_, c) => cells[c] || ''));
+    const delimiter = Array.from({ length: width }, (_, c) => {
+      switch (aligns[c]) {
+        case 'left': return ':---';
+        case 'right': return '---:';
+        case 'center': return ':---:';
+        default: return '---';
+      }
+    });
+    return [line(rows[0]), line(delimiter), ...rows.slice(1).map(line)].join('\n');
+  }
+
+  /**
+   * Renders an inline node as Markdown.
+   *
+   * @param {Object} node - Inline node.
+   * @param {Object} context - Render context; `inline` marks content that must stay on one line
+   *   (headings, list items, table cells), `inLink` renders media without their own link.
+   * @returns {string} - Markdown for the node.
+   */
+  renderInlineNode(node, context) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, context);
+    const parser = this.parser;
+    const wrappers = {
+      strong: ['**', '**'],
+      emphasis: ['*', '*'],
+      underline: ['<ins>', '</ins>'],
+      subscript: ['<sub>', '</sub>'],
+      superscript: ['<sup>', '</sup>'],
+      deleted: ['~~', '~~']
+    };
+    switch (node.type) {
+      case 'text':
+        return this.escapeText(node.value);
+      case 'nowiki':
+      case 'unformatted':
+        // Keep GFM from autolinking URLs that DokuWiki shows as plain text
+        return this.escapeText(node.value).replace(/(\w)(:\/\/)/g, '$1\\$2').replace(/\bwww\./g, 'www\\.');
+      case 'strong':
+      case 'emphasis':
+      case 'underline':
+      case 'subscript':
+      case 'superscript':
+      case 'deleted': {
+        const content = this.renderInline(node.children, context);
+        return content ? `${wrappers[node.type][0]}${content}${wrappers[node.type][1]}` : '';
+      }
+      case 'monospace':
+        // Code spans cannot hold formatting; fall back to <code> when the content has markup
+        if (node.children.every(child => ['text', 'nowiki', 'unformatted'].includes(child.type))) {
+          return this.codeSpan(parser.plainText(node.children));
+        }
+        return `<code>${this.renderInline(node.children, context)}</code>`;
+      case 'link':
+        return this.renderLink(node, context);
+      case 'media':
+        return this.renderMedia(node, context);
+      case 'rss':
+        return `<${node.url}>`;
+      case 'footnote':
+        return `[^${node.id}]`;
+      case 'html':
+        if (parser.htmlok) return parser.safeMode ? parser.sanitizeHTML(node.value) : node.value;
+        return this.codeSpan(node.value);
+      case 'php':
+        return this.codeSpan(node.value);
+      case 'linebreak':
+        return context.inline ? '<br>' : '\\\n';
+      case 'entity':
+        return markdownEntities[node.value.toLowerCase()] || this.escapeText(node.value);
+      case 'multiplyentity':
+        return `${node.x}×${node.y}`;
+      case 'smiley': {
+        const icon = parser.smileyMap[node.value];
+        if (parser.useEmoji) return icon;
+        return `![${this.escapeText(node.value)}](${this.destination(parser.smileyBasePath + icon)})`;
+      }
+      default:
+        return node.children ? this.renderInline(node.children, context) : '';
+    }
+  }
+
+  /**
+   * Renders a link node as Markdown.
+   *
+   * @param {Object} node - Link node.
+   * @param {Object} context - Render context.
+   * @returns {string} - Markdown link, autolink or plain text for unknown interwiki prefixes.
+   */
+  renderLink(node, context) {
+    const parser = this.parser;
+    const title = node.children.length ? this.renderInline(node.children, { ...context, inLink: true }).trim() : null;
+    const link = (text, href) => `[${text}](${this.destination(href)})`;
+    switch (node.linkType) {
+      case 'interwiki': {
+        const reference = node.target.slice(node.target.indexOf('>') + 1);
+        const { url } = parser.resolveInterwiki(node.wiki, reference, { extension: this.pageExtension });
+        if (!url || !parser.isSafeURL(url)) return title || this.escapeText(node.page);
+        return link(title || this.escapeText(node.page), url);
+      }
+      case 'external':
+        if (!parser.isSafeURL(node.target)) return title || this.escapeText(node.target);
+        return title && title !== this.escapeText(node.target) ? link(title, node.target) : `<${node.target}>`;
+      case 'email':
+        return title ? link(title, `mailto:${node.target}`) : `<${node.target}>`;
+      case 'windowsshare':
+        return link(title || this.escapeText(node.target), `file:///${node.target.replace(/\\/g, '/').replace(/^\/+/, '')}`);
+      case 'local':
+        return link(title || this.escapeText(node.section), `#${parser.headingId(node.section)}`);
+      default: {
+        const href = parser.pageUrl(node.id, { section: node.section ? parser.headingId(node.section) : '', extension: this.pageExtension });
+        return link(title || this.escapeText(node.page), href);
+      }
+    }
+  }
+
+  /**
+   * Renders a media node as Markdown.
+   *
+   * @param {Object} node - Media node.
+   * @param {Object} [context] - Render context; inside links the image is not wrapped in its own link.
+   * @returns {string} - Markdown image, `<img>` HTML for sized images, or a link for `linkonly`, video,
+   *   audio and other files (their title or file name without a link for 'nolink' and inside links).
+   *
+   * Logic:
+   * - Media matched by a media handler use its `markdown` render function, or link to its `url`.
+   */
+  renderMedia(node, context = {}) {
+    const parser = this.parser;
+    if (node.handler) {
+      const hook = this.mediaHook(node);
+      if (hook) return hook(node, this, context);
+      const url = parser.embedUrl(node);
+      const text = this.escapeText(node.title || node.src);
+      return url && parser.isSafeURL(url) && !context.inLink ? `[${text}](${this.destination(url)})` : text;
+    }
+    const href = node.external ? node.src : parser.mediaUrl(node.id, { cache: node.cache });
+    if (!parser.isSafeURL(href)) return this.escapeText(node.title);
+    const { kind } = parser.mediaType(node.src);
+    if (node.linking === 'linkonly' || kind !== 'image') {
+      const name = this.escapeText(node.title || mediaFileName(node.src));
+      if (context.inLink || (node.linking === 'nolink' && kind === 'file')) return name;
+      return `[${name}](${this.destination(href)})`;
+    }
+    let img;
+    if (node.width || node.height) {
+      const src = node.external ? href : parser.mediaUrl(node.id, { width: node.width, height: node.height, cache: node.cache });
+      img = `<img src="${parser.escapeEntities(src)}" alt="${parser.escapeEntities(node.title)}"`;
+      if (node.width) img += ` width="${node.width}"`;
+      if (node.height) img += ` height="${node.height}"`;
+      img += ' />';
+    } else {
+      img = `![${this.escapeText(node.title)}](${this.destination(href)})`;
+    }
+    if (node.linking !== 'direct' || context.inLink) return img;
+    return `[${img}](${this.destination(href)})`;
+  }
+
+  /**
+   * Builds the table of contents as a nested Markdown list.
+   *
+   * @param {Array} headings - Headings from `tocHeadings()` as `{ level, id, title }`.
+   * @returns {string} - Markdown list of heading links, or an empty string without headings.
+   */
+  renderToc(headings) {
+    const stack = []; // Levels of the currently open lists
+    return headings.map(item => {
+      while (stack.length && stack[stack.length - 1] > item.level) stack.pop();
+      if (!stack.length || stack[stack.length - 1] < item.level) stack.push(item.level);
+      return `${'  '.repeat(stack.length - 1)}- [${this.escapeText(item.title)}](#${item.id})`;
+    }).join('\n');
+  }
+
+  /**
+   * Wraps code in a fenced code block longer than any backtick run it contains.
+   *
+   * @param {string} code - Code content.
+   * @param {string} lang - Info string (language), or empty.
+   * @returns {string} - Fenced code block.
+   */
+  fence(code, lang) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `${fence}${lang}\n${code}\n${fence}`;
+  }
+
+  /**
+   * Wraps text in a code span longer than any backtick run it contains.
+   *
+   * @param {string} code - Code content.
+   * @returns {string} - Code span.
+   */
+  codeSpan(code) {
+    code = code.replace(/\n/g, ' ');
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longest + 1);
+    const pad = /^`|`$/.test(code) ? ' ' : '';
+    return `${ticks}${pad}${code}${pad}${ticks}`;
+  }
+
+  /**
+   * Escapes Markdown syntax characters in plain text.
+   *
+   * @param {string} text - Plain text.
+   * @returns {string} - Text that renders literally.
+   *
+   * Logic:
+   * - Backslashes, backticks, asterisks, brackets, angle brackets and tildes are always escaped.
+   * - Underscores are escaped unless they sit between two letters or digits (GFM ignores those).
+   * - `&` is escaped only where it would start an HTML entity.
+   */
+  escapeText(text) {
+    return text
+      .replace(/[\\`*[\]<>~]/g, '\\$&')
+      .replace(/_/g, (underscore, index) => (/[a-z0-9]/i.test(text[index - 1] || '') && /[a-z0-9]/i.test(text[index + 1] || '') ? '_' : '\\_'))
+      .replace(/&(?=#?\w+;)/g, '&amp;');
+  }
+
+  /**
+   * Escapes characters at the start of lines that Markdown would read as block syntax.
+   *
+   * @param {string} text - Rendered inline Markdown.
+   * @returns {string} - Text whose lines cannot start headings, lists, quotes or rules.
+   */
+  escapeLineStarts(text) {
+    return text
+      .replace(/^([ \t]*)(#{1,6}|[-+>])(?=[ \t]|$)/gm, '$1\\$2')
+      .replace(/^([ \t]*)(\d+)([.)])(?=[ \t]|$)/gm, '$1$2\\$3')
+      .replace(/^([ \t]*)([=-])(?=\2*[ \t]*$)/gm, '$1\\$2');
+  }
+
+  /**
+   * Formats a link destination, wrapping it in angle brackets when it contains spaces or parentheses.
+   *
+   * @param {string} url - Link target.
+   * @returns {string} - Markdown link destination.
+   */
+  destination(url) {
+    return /[\s()]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+  }
+}
+
+// Unicode characters for typography entities in Markdown output, keyed by source text
+const markdownEntities = {
+  '<->': '↔',
+  '<=>': '⇔',
+  '->': '→',
+  '<-': '←',
+  '=>': '⇒',
+  '<=': '⇐',
+  '>>': '»',
+  '<<': '«',
+  '---': '—',
+  '--': '–',
+  '(c)': '©',
+  '(tm)': '™',
+  '(r)': '®',
+  '...': '…'
+};
+
+/**
+ * Renders a document tree as plain text (e.g., for e-mails, previews or `--format text`).
+ *
+ * Logic:
+ * - Blocks are separated by blank lines and lose their markup; forced line breaks become newlines.
+ * - List items are indented by level and start with '-' or their number; quotes start with '>'.
+ * - Table cells are separated by ' | '; code blocks keep their content; embedded HTML and PHP are left out.
+ * - Footnote references stay as '[N)' and the footnotes are listed at the end.
+ */
+class TextRenderer extends Renderer {
+  /**
+   * Renders a document tree as plain text.
+   *
+   * @param {Object} ast - Document node from `parseToAST()`.
+   * @returns {string} - Text ending with a newline (empty for an empty document).
+   */
+  render(ast) {
+    const result = ast.children.map(node => this.renderBlock(node)).filter(Boolean);
+    if (ast.footnotes.length > 0) {
+      result.push(ast.footnotes.map(note => `[${note.id}) ${this.renderInline(note.children).trim()}`).join('\n'));
+    }
+    return result.length ? `${result.join('\n\n')}\n` : '';
+  }
+
+  /**
+   * Renders a block node as plain text.
+   *
+   * @param {Object} node - Block node.
+   * @returns {string} - Text of the block (empty for blocks without output).
+   */
+  renderBlock(node) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, {});
+    switch (node.type) {
+      case 'section':
+        return node.children.map(child => this.renderBlock(child)).filter(Boolean).join('\n\n');
+      case 'heading':
+      case 'paragraph':
+        return this.renderInline(node.children).trim().replace(/[ \t]+\n/g, '\n');
+      case 'list':
+        return this.renderList(node, '');
+      case 'table':
+        return node.children
+          .map(row => row.children.map(cell => this.renderInline(cell.children).trim().replace(/\n/g, ' ')).join(' | '))
+          .join('\n');
+      case 'code':
+        return node.value;
+      case 'blockquote': {
+        const text = node.children
+          .map(child => (child.type === 'blockquote' ? `\n${this.renderBlock(child)}\n` : this.renderInlineNode(child, {})))
+          .join('');
+        return text.split('\n').filter(line => line.trim()).map(line => `> ${line.trim()}`).join('\n');
+      }
+      case 'hr':
+        return '----';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Renders a list node with its nested lists.
+   *
+   * @param {Object} node - List node.
+   * @param {string} indent - Indentation of the list's items.
+   * @returns {string} - One line per item.
+   */
+  renderList(node, indent) {
+    return node.children.map((item, index) => {
+      const marker = node.ordered ? `${index + 1}. ` : '- ';
+      const content = this.renderInline(item.children.filter(child => child.type !== 'list')).trim().replace(/\n/g, ' ');
+      const lists = item.children
+        .filter(child => child.type === 'list')
+        .map(list => this.renderList(list, `${indent}  `));
+      return [`${indent}${marker}${content}`, ...lists].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Renders an inline node as plain text.
+   *
+   * @param {Object} node - Inline node.
+   * @param {Object} context - Render context.
+   * @returns {string} - Text of the node.
+   */
+  renderInlineNode(node, context) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, context);
+    if (node.type === 'linebreak') return '\n';
+    if (node.type === 'footnote') return `[${node.id})`;
+    if (node.type === 'link' && !node.children.length && node.linkType === 'interwiki') return node.page;
+    // Other links without a title and leaf nodes (text, entities, media) use their plain text
+    if (node.children && node.children.length) return this.renderInline(node.children, context);
+    return this.parser.plainText([node]);
+  }
+}
+
+/**
+ * Serializes a document tree back to DokuWiki markup, and reads HTML or Markdown into a tree.
+ *
+ * Purpose:
+ * - Lets editors (e.g., WYSIWYG HTML editors) save pages in DokuWiki format.
+ * - Reads the HTML `parse()` emits (classes like `wikilink1`, `media`, `fn_top` and `data-wiki-id`
+ *   restore the original link and media syntax) as well as generic HTML and GitHub Flavored Markdown.
+ * - Writes the conventions `parse()` understands, so serializing and parsing again renders the same HTML.
+ *
+ * @example
+ * const parser = new DokuParserJS({ currentNamespace: 'wiki' });
+ * const serializer = new DokuParserJS.DokuSerializer(parser);
+ * serializer.serialize(parser.parse(text)); // DokuWiki markup
+ * serializer.serialize('# Title\n\n- item', 'markdown'); // '====== Title ======\n\n  * item\n'
+ *
+ * Logic:
+ * - `fromHTML()` and `fromMarkdown()` build the same document tree `parseToAST()` returns.
+ * - `render()` writes the tree: `======` headings, two-space list indentation, `^`/`|` tables with
+ *   `:::` rowspans, `{{ns:file?WxH|title}}` media with alignment spaces and `((footnotes))`.
+ * - Text that the parser would read as markup is wrapped in `%%...%%`.
+ *
+ * @param {DokuParserJS} parser - Parser whose options (paths, interwiki map, namespace) are used.
+ * @param {Object} [options] - Serializer options.
+ * @param {string} [options.pageExtension='.md'] - Extension stripped from Markdown link targets.
+ */
+class DokuSerializer extends Renderer {
+  constructor(parser, options = {}) {
+    super(parser, options);
+    this.pageExtension = options.pageExtension !== undefined ? options.pageExtension : '.md';
+  }
+
+  /**
+   * Converts HTML, Markdown or a document tree to DokuWiki markup.
+   *
+   * @param {string|Object} input - HTML or Markdown text, or a document node.
+   * @param {string} [from='html'] - Input format of text input: 'html' or 'markdown'.
+   * @returns {string} - DokuWiki markup.
+   * @throws {Error} - If the input format is unknown.
+   */
+  serialize(input, from = 'html') {
+    if (typeof input !== 'string') return this.render(input);
+    if (from === 'html') return this.render(this.fromHTML(input));
+    if (from === 'markdown') return this.render(this.fromMarkdown(input));
+    throw new Error(`Unknown input format: ${from}`);
+  }
+
+  /**
+   * Renders a document tree as DokuWiki markup.
+   *
+   * @param {Object} ast - Document node.
+   * @returns {string} - DokuWiki markup with blocks separated by blank lines.
+   *
+   * Logic:
+   * - The parser is used to check which text needs escaping; its footnote, macro and missing link
+   *   state is restored afterwards so trees returned by `parseToAST()` stay untouched.
+   */
+  render(ast) {
+    const parser = this.parser;
+    const state = [parser.footnotes, parser.footnoteContent, parser.macros, parser.missingLinks];
+    parser.footnotes = [];
+    parser.footnoteContent = new Map();
+    parser.macros = { notoc: false, nocache: false };
+    parser.missingLinks = [];
+    try {
+      const blocks = ast.children.map(node => this.renderBlock(node)).filter(Boolean);
+      return blocks.length ? `${blocks.join('\n\n')}\n` : '';
+    } finally {
+      [parser.footnotes, parser.footnoteContent, parser.macros, parser.missingLinks] = state;
+    }
+  }
+
+  /**
+   * Renders a block node as DokuWiki markup.
+   *
+   * @param {Object} node - Block node.
+   * @returns {string} - Markup for the block (empty for blocks without output).
+   */
+  renderBlock(node) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, {});
+    switch (node.type) {
+      case 'section':
+        return node.children.map(child => this.renderBlock(child)).filter(Boolean).join('\n\n');
+      case 'heading': {
+        const marks = '='.repeat(7 - Math.min(5, Math.max(1, node.level)));
+        return `${marks} ${this.renderInline(node.children, { inline: true }).trim()} ${marks}`;
+      }
+      case 'paragraph': {
+        const lines = this.renderInline(node.children, { paragraph: true }).split('\n').map(line => line.trim());
+        return lines.map(line => this.escapeLineStart(line)).join('\n').trim();
+      }
+      case 'list':
+        return this.renderList(node, 1);
+      case 'table':
+        return this.renderTable(node);
+      case 'code':
+        return this.renderCode(node);
+      case 'html':
+        return node.value.trim() ? `<HTML>\n${node.value}\n</HTML>` : '';
+      case 'php':
+        return node.value.trim() ? `<PHP>\n${node.value}\n</PHP>` : '';
+      case 'blockquote':
+        return this.quoteLines(node, 1).join('\n');
+      case 'hr':
+        return '----';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Renders a list node with two-space indentation per level.
+   *
+   * @param {Object} node - List node.
+   * @param {number} depth - Nesting depth, used when items carry no level.
+   * @returns {string} - List markup.
+   */
+  renderList(node, depth) {
+    return node.children.map(item => {
+      const level = item.level || depth;
+      const content = this.keepEdges(this.renderInline(item.children.filter(child => child.type !== 'list'), { inline: true }));
+      const lists = item.children.filter(child => child.type === 'list').map(list => this.renderList(list, level + 1));
+      return [`${'  '.repeat(level)}${node.ordered ? '-' : '*'} ${content}`, ...lists].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Renders a table node with `^` header cells, `|` data cells and `:::` rowspans.
+   *
+   * @param {Object} node - Table node.
+   * @returns {string} - Table markup.
+   *
+   * Logic:
+   * - Two spaces on the left align right, on the right align left, on both sides center.
+   * - Colspans add empty cells after the cell; cells covered by a rowspan are written as `:::`, and cells
+   *   holding the text `:::` as `%%:::%%`.
+   * - Empty cells keep a space (two when aligned), since a cell without any content is a colspan.
+   */
+  renderTable(node) {
+    const covered = node.children.map(() => []); // Widths of rowspans from rows above, by column
+    return node.children.map((row, r) => {
+      const cells = [];
+      let col = 0;
+      let delimiter = '|';
+      const addCovered = () => {
+        while (covered[r][col]) {
+          cells.push(`| ::: ${'|'.repeat(covered[r][col] - 1)}`);
+          col += covered[r][col];
+        }
+      };
+      row.children.forEach(cell => {
+        addCovered();
+        while (col < cell.col) {
+          cells.push('| ');
+          col++;
+          addCovered();
+        }
+        delimiter = cell.header ? '^' : '|';
+        let content = this.keepEdges(this.renderInline(cell.children, { inline: true }));
+        // A lone ':::' would join the cell to the one above
+        if (content === ':::') content = '%%:::%%';
+        const left = cell.align === 'right' || cell.align === 'center' ? '  ' : ' ';
+        const right = cell.align === 'left' || cell.align === 'center' ? '  ' : ' ';
+        const padded = content ? left + content + right : cell.align ? '  ' : ' ';
+        cells.push(`${delimiter}${padded}${delimiter.repeat(cell.colspan - 1)}`);
+        for (let k = 1; k < cell.rowspan && r + k < covered.length; k++) covered[r + k][cell.col] = cell.colspan;
+        col += cell.colspan;
+      });
+      addCovered();
+      return `${cells.join('')}${delimiter}`;
+    }).join('\n');
+  }
+
+  /**
+   * Keeps whitespace at the edges of list item or table cell content, which the parser trims.
+   *
+   * @param {string} content - Rendered content.
+   * @returns {string} - Content with edge whitespace wrapped in `%%...%%`.
+   */
+  keepEdges(content) {
+    let [, lead, body, trail] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    // Whitespace next to escaped text joins its wrapper
+    if (lead) body = body.startsWith('%%') ? `%%${lead}${body.slice(2)}` : `%%${lead}%%${body}`;
+    if (trail) body = body.endsWith('%%') ? `${body.slice(0, -2)}${trail}%%` : `${body}%%${trail}%%`;
+    return body;
+  }
+
+  /**
+   * Renders a code node as indented text or a `<code>`/`<file>` block.
+   *
+   * @param {Object} node - Code node.
+   * @returns {string} - Code markup.
+   */
+  renderCode(node) {
+    if (!node.value.trim()) return '';
+    const lines = node.value.split('\n');
+    // Indented text cannot hold blank lines or lines that would read as list items
+    if (node.kind === 'preformatted' && lines.every(line => line.trim() && !/^( {2,}|\t+)([*-])/.test(`  ${line}`))) {
+      return lines.map(line => `  ${line}`).join('\n');
+    }
+    const kind = node.kind === 'file' ? 'file' : 'code';
+    let args = '';
+    if (node.lang || node.filename) args += ` ${node.lang || '-'}`;
+    if (node.filename) args += ` ${node.filename}`;
+    if (node.options) args += ` [${node.options}]`;
+    return `<${kind}${args}>\n${node.value}\n</${kind}>`;
+  }
+
+  /**
+   * Renders a blockquote node as `>` lines.
+   *
+   * @param {Object} node - Blockquote node.
+   * @param {number} depth - Quote depth.
+   * @returns {Array} - Quote lines.
+   */
+  quoteLines(node, depth) {
+    const lines = [];
+    let run = [];
+    let afterQuote = false;
+    const flush = () => {
+      let text = this.renderInline(run);
+      // Lines after a nested quote start with the newline that separates them from it
+      if (afterQuote) text = text.replace(/^\n/, '');
+      if (text) text.split('\n').forEach(line => lines.push(`${'>'.repeat(depth)} ${line.trim()}`.trim()));
+      run = [];
+    };
+    node.children.forEach(child => {
+      if (child.type === 'blockquote') {
+        flush();
+        lines.push(...this.quoteLines(child, depth + 1));
+        afterQuote = true;
+      } else {
+        run.push(child);
+      }
+    });
+    flush();
+    return lines;
+  }
+
+  /**
+   * Renders a list of inline nodes as DokuWiki markup.
+   *
+   * @param {Array} nodes - Inline nodes.
+   * @param {Object} [context] - Render context; `inline` keeps content on one line,
+   *   `paragraph` keeps blank lines inside paragraphs, `inLink` writes link titles as they are
+   *   (titles are not parsed).
+   * @returns {string} - Inline markup.
+   */
+  renderInline(nodes, context = {}) {
+    return nodes.map((node, index) => {
+      if (node.type === 'linebreak') {
+        // A break at the end of a source line needs no trailing space
+        const next = nodes[index + 1];
+        return !next || (next.type === 'text' && next.value.startsWith('\n')) ? '\\\\' : '\\\\ ';
+      }
+      return this.renderInlineNode(node, context);
+    }).join('');
+  }
+
+  /**
+   * Renders an inline node as DokuWiki markup.
+   *
+   * @param {Object} node - Inline node.
+   * @param {Object} context - Render context.
+   * @returns {string} - Markup for the node.
+   */
+  renderInlineNode(node, context) {
+    const hook = this.renderHook(node);
+    if (hook) return hook(node, this, context);
+    const wrappers = {
+      strong: ['**', '**'],
+      emphasis: ['//', '//'],
+      underline: ['__', '__'],
+      monospace: ["''", "''"],
+      subscript: ['<sub>', '</sub>'],
+      superscript: ['<sup>', '</sup>'],
+      deleted: ['<del>', '</del>'],
+      footnote: ['((', '))']
+    };
+    switch (node.type) {
+      case 'text': {
+        const value = context.inline ? node.value.replace(/\s*\n\s*/g, ' ') : node.value;
+        return context.inLink ? value : this.escapeText(value, context.paragraph);
+      }
+      case 'strong':
+      case 'emphasis':
+      case 'underline':
+      case 'monospace':
+      case 'subscript':
+      case 'superscript':
+      case 'deleted':
+      case 'footnote': {
+        // Link titles are not parsed, so formatting inside them is dropped
+        const content = this.renderInline(node.children, context);
+        if (context.inLink) return node.type === 'footnote' ? '' : content;
+        return content ? `${wrappers[node.type][0]}${content}${wrappers[node.type][1]}` : '';
+      }
+      case 'link':
+        return this.renderLink(node);
+      case 'media':
+        return this.renderMedia(node);
+      case 'rss':
+        return `{{rss>${node.url}${node.params ? ' ' + node.params : ''}}}`;
+      case 'nowiki':
+        return `<nowiki>${node.value}</nowiki>`;
+      case 'unformatted':
+        return `%%${node.value}%%`;
+      case 'html':
+        return `<html>${node.value}</html>`;
+      case 'php':
+        return `<php>${node.value}</php>`;
+      case 'entity':
+      case 'smiley':
+        return node.value;
+      case 'multiplyentity':
+        return `${node.x}x${node.y}`;
+      case 'macro':
+        return `~~${node.name}~~`;
+      default:
+        return node.children ? this.renderInline(node.children, context) : '';
+    }
+  }
+
+  /**
+   * Renders a link node as `[[target|title]]`, a bare URL or an email address.
+   *
+   * @param {Object} node - Link node.
+   * @returns {string} - Link markup; titles equal to the default link text are left out.
+   */
+  renderLink(node) {
+    let title = this.renderInline(node.children, { inline: true, inLink: true }).trim();
+    let target;
+    let text;
+    switch (node.linkType) {
+      case 'interwiki':
+        target = `${node.wiki}>${node.page}${node.section ? '#' + node.section : ''}`;
+        text = node.page;
+        break;
+      case 'external':
+        // Bare URLs are recognized as links by themselves
+        if ([title, `http://${title}`, `ftp://${title}`].includes(node.target) && this.isBareLink(title, node.target)) {
+          return title;
+        }
+        target = node.target;
+        text = node.target.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '');
+        break;
+      case 'email':
+        if (!title || title === node.target) return `<${node.target}>`;
+        target = node.target;
+        text = node.target;
+        break;
+      case 'local':
+        target = `#${node.section}`;
+        text = node.section;
+        break;
+      default:
+        target = node.target;
+        text = node.linkType === 'windowsshare' ? node.target : node.page;
+    }
+    if (title === text) title = '';
+    return `[[${target}${title ? '|' + title : ''}]]`;
+  }
+
+  /**
+   * Checks whether a bare URL in the text would be parsed back into the same link.
+   *
+   * @param {string} text - Link text.
+   * @param {string} target - Link target.
+   * @returns {boolean} - True if `text` alone parses as a link to `target`.
+   */
+  isBareLink(text, target) {
+    const nodes = this.parser.parseInline(text);
+    return nodes.length === 1 && nodes[0].type === 'link' && nodes[0].target === target;
+  }
+
+  /**
+   * Renders a media node as `{{src?params|title}}` with alignment spaces.
+   *
+   * @param {Object} node - Media node.
+   * @returns {string} - Media markup.
+   */
+  renderMedia(node) {
+    const params = [];
+    if (node.width || node.height) params.push(`${node.width || 0}${node.height ? 'x' + node.height : ''}`);
+    if (node.linking && node.linking !== 'details') params.push(node.linking);
+    if (node.cache && node.cache !== 'cache') params.push(node.cache);
+    const before = node.align === 'right' || node.align === 'center' ? ' ' : '';
+    const after = node.align === 'left' || node.align === 'center' ? ' ' : '';
+    const src = node.src || node.id;
+    return `{{${before}${src}${params.length ? '?' + params.join('&') : ''}${after}${node.title ? '|' + node.title : ''}}}`;
+  }
+
+  /**
+   * Escapes text that the parser would read as markup by wrapping it in `%%...%%`.
+   *
+   * @param {string} text - Plain text.
+   * @param {boolean} [keepBlankLines=false] - Wrap blank lines so they do not end the paragraph.
+   * @returns {string} - Text that parses back to itself.
+   *
+   * Logic:
+   * - Parses the text; every range not returned as a plain text node is wrapped.
+   * - Block tags (`<code>`, `<file>`, `<HTML>`, `<PHP>`) and unclosed delimiters (`**`, `%%`, `[[`, ...)
+   *   could pair with markup in neighbouring nodes, so they are wrapped too.
+   * - Paragraphs only continue over blank lines inside `%%...%%`, so blank lines are wrapped on request.
+   * - Ranges containing `%%` use `<nowiki>` instead.
+   */
+  escapeText(text, keepBlankLines = false) {
+    const ranges = [];
+    let covered = 0;
+    this.parser.parseInline(text, offset => ({ line: 1, column: offset + 1 })).forEach(node => {
+      if (node.type !== 'text') return;
+      const start = node.position.start.column - 1;
+      if (start > covered) ranges.push([covered, start]);
+      covered = node.position.end.column - 1;
+    });
+    if (covered < text.length) ranges.push([covered, text.length]);
+    const opener = /<(?:code|file)(?:\s[^>]*)?>|<(?:HTML|PHP)>|<\/?(?:nowiki|html|php|sub|sup|del)>|\*\*|\/\/|__|''|%%|\(\(|\[\[|\{\{|~~/g;
+    let match;
+    while ((match = opener.exec(text))) ranges.push([match.index, match.index + match[0].length]);
+    const blank = /\n(?:[ \t]*\n)+/g;
+    while (keepBlankLines && (match = blank.exec(text))) ranges.push([match.index, match.index + match[0].length]);
+    if (!ranges.length) return text;
+
+    // Overlapping and adjacent ranges share one wrapper
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+    });
+    let result = '';
+    let pos = 0;
+    merged.forEach(([start, end]) => {
+      const part = text.slice(start, end);
+      result += text.slice(pos, start) + (part.includes('%%') ? `<nowiki>${part}</nowiki>` : `%%${part}%%`);
+      pos = end;
+    });
+    return result + text.slice(pos);
+  }
+
+  /**
+   * Escapes the start of a paragraph line that would otherwise start a block.
+   *
+   * @param {string} line - Paragraph line.
+   * @returns {string} - Line that stays part of the paragraph.
+   */
+  escapeLineStart(line) {
+    if (/^[>^|]/.test(line) || /^-{4,}$/.test(line) || /^={2,}.*={2,}$/.test(line)) {
+      return `%%${line[0]}%%${line.slice(1)}`;
+    }
+    return line;
+  }
+
+  /**
+   * Builds a document tree from HTML.
+   *
+   * @param {string} html - HTML from `parse()` or another source (e.g., an editor).
+   * @returns {Object} - Document node like the one `parseToAST()` returns (without positions).
+   *
+   * Logic:
+   * - The table of contents is skipped; footnote definitions are attached to their references.
+   * - Elements without a DokuWiki equivalent are kept as embedded HTML.
+   */
+  fromHTML(html) {
+    const tree = parseHTMLTree(html);
+    const ctx = { html, notes: new Map(), noteNodes: new Map(), footnotes: [] };
+    const collect = element => {
+      (element.children || []).forEach(child => {
+        if (child.tag === 'div' && hasClass(child, 'fn')) {
+          const anchor = findElement(child, el => el.tag === 'a' && /^fn__\d+$/.test(el.attrs.id || ''));
+          const content = findElement(child, el => hasClass(el, 'content'));
+          if (anchor) ctx.notes.set(anchor.attrs.id.slice(4), content || { children: [] });
+        } else {
+          collect(child);
+        }
+      });
+    };
+    collect(tree);
+    return this.buildDocument(this.htmlBlocks(tree.children, ctx), ctx.footnotes);
+  }
+
+  /**
+   * Groups block nodes into sections that start at each heading.
+   *
+   * @param {Array} blocks - Block nodes, including headings.
+   * @param {Array} footnotes - Footnote nodes.
+   * @returns {Object} - Document node.
+   */
+  buildDocument(blocks, footnotes) {
+    const doc = { type: 'document', children: [], footnotes, macros: { notoc: false, nocache: false } };
+    let container = doc.children;
+    blocks.forEach(block => {
+      if (block.type === 'heading') {
+        const section = { type: 'section', level: block.level, children: [block] };
+        doc.children.push(section);
+        container = section.children;
+      } else {
+        container.push(block);
+      }
+    });
+    return doc;
+  }
+
+  /**
+   * Converts HTML elements to block nodes.
+   *
+   * @param {Array} children - Parsed HTML nodes.
+   * @param {Object} ctx - Conversion context (source HTML and footnotes).
+   * @returns {Array} - Block nodes; runs of inline content become paragraphs.
+   */
+  htmlBlocks(children, ctx) {
+    const blocks = [];
+    let run = [];
+    const flush = () => {
+      const nodes = this.htmlInline(run, ctx);
+      if (this.parser.plainText(nodes).trim() || nodes.some(node => node.type === 'media' || node.type === 'html')) {
+        blocks.push({ type: 'paragraph', children: trimInline(nodes) });
+      }
+      run = [];
+    };
+    children.forEach(child => {
+      const tag = child.tag;
+      if (tag === '#text' || htmlInlineTags.test(tag)) {
+        run.push(child);
+        return;
+      }
+      flush();
+      if (/^h[1-6]$/.test(tag)) {
+        const heading = this.htmlInline(child.children, ctx);
+        blocks.push({ type: 'heading', level: Math.min(5, Number(tag[1])), id: this.parser.headingId(this.parser.plainText(heading)), children: trimInline(heading) });
+      } else if (tag === 'p') {
+        const nodes = trimInline(this.htmlInline(child.children, ctx));
+        if (nodes.length) blocks.push({ type: 'paragraph', children: nodes });
+      } else if (tag === 'ul' || tag === 'ol') {
+        blocks.push(this.htmlList(child, ctx, 1));
+      } else if (tag === 'table') {
+        const table = this.htmlTable(child, ctx);
+        if (table) blocks.push(table);
+      } else if (tag === 'pre') {
+        blocks.push(this.htmlCode(child));
+      } else if (tag === 'dl' && (hasClass(child, 'file') || hasClass(child, 'code')) && findElement(child, element => element.tag === 'pre')) {
+        blocks.push(this.htmlDownload(child));
+      } else if (tag === 'blockquote') {
+        blocks.push(this.htmlQuote(child, ctx));
+      } else if (tag === 'hr') {
+        blocks.push({ type: 'hr' });
+      } else if (htmlSkipTags.test(tag) || (tag === 'div' && (hasClass(child, 'toc') || hasClass(child, 'footnotes')))) {
+        // Generated or invisible content
+      } else if (htmlContainerTags.test(tag)) {
+        blocks.push(...this.htmlBlocks(child.children, ctx));
+      } else {
+        blocks.push({ type: 'html', block: true, value: ctx.html.slice(child.start, child.end) });
+      }
+    });
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Converts a `<ul>` or `<ol>` element to a list node.
+   *
+   * @param {Object} element - List element.
+   * @param {Object} ctx - Conversion context.
+   * @param {number} depth - Nesting depth.
+   * @returns {Object} - List node.
+   */
+  htmlList(element, ctx, depth) {
+    const list = { type: 'list', ordered: element.tag === 'ol', children: [] };
+    element.children.filter(child => child.tag === 'li').forEach(li => {
+      const levelClass = (li.attrs.class || '').match(/\blevel(\d+)\b/);
+      const item = { type: 'listitem', level: levelClass ? Number(levelClass[1]) : depth, children: [] };
+      const inline = [];
+      let content = null; // Exact item content from `<div class="li">`
+      li.children.forEach(child => {
+        if (child.tag === 'ul' || child.tag === 'ol') {
+          item.children.push(this.htmlList(child, ctx, item.level + 1));
+        } else if (child.tag === 'div' && hasClass(child, 'li')) {
+          content = child.children;
+        } else {
+          inline.push(child);
+        }
+      });
+      item.children.unshift(...(content ? this.htmlInline(content, ctx) : trimInline(this.htmlInline(inline, ctx))));
+      list.children.push(item);
+    });
+    return list;
+  }
+
+  /**
+   * Converts a `<table>` element to a table node.
+   *
+   * @param {Object} element - Table element.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Object|null} - Table node, or null for a table without rows.
+   *
+   * Logic:
+   * - Rows come from `<thead>`, `<tbody>`, `<tfoot>` or the table itself; `<thead>` rows at the top are head rows.
+   * - Column indexes account for cells spanning into a row from above.
+   */
+  htmlTable(element, ctx) {
+    const rows = [];
+    let head = 0;
+    element.children.forEach(child => {
+      if (child.tag === 'tr') rows.push(child);
+      if (/^(thead|tbody|tfoot)$/.test(child.tag)) rows.push(...child.children.filter(row => row.tag === 'tr'));
+      if (child.tag === 'thead' && head === rows.length - child.children.filter(row => row.tag === 'tr').length) head = rows.length;
+    });
+    if (!rows.length) return null;
+    const taken = rows.map(() => []);
+    const table = { type: 'table', children: [] };
+    rows.forEach((tr, r) => {
+      const row = { type: 'tablerow', head: r < head, children: [] };
+      let col = 0;
+      tr.children.filter(cell => cell.tag === 'th' || cell.tag === 'td').forEach(td => {
+        while (taken[r][col]) col++;
+        const colspan = Math.max(1, Number(td.attrs.colspan) || 1);
+        const rowspan = Math.max(1, Number(td.attrs.rowspan) || 1);
+        const alignClass = (td.attrs.class || '').match(/\b(left|right|center)align\b/);
+        const alignStyle = (td.attrs.style || '').match(/text-align:\s*(left|right|center)/);
+        const align = alignClass ? alignClass[1] : alignStyle ? alignStyle[1] : (td.attrs.align || null);
+        for (let k = 0; k < rowspan && r + k < rows.length; k++) {
+          for (let c = 0; c < colspan; c++) taken[r + k][col + c] = true;
+        }
+        row.children.push({
+          type: 'tablecell',
+          header: td.tag === 'th',
+          align,
+          colspan,
+          rowspan,
+          col,
+          children: trimInline(this.htmlInline(td.children, ctx))
+        });
+        col += colspan;
+      });
+      table.children.push(row);
+    });
+    return table;
+  }
+
+  /**
+   * Converts a `<pre>` element to a code node.
+   *
+   * @param {Object} element - Pre element.
+   * @returns {Object} - Code node; `class="code lang"` or `class="file lang"` gives kind and language.
+   *
+   * Logic:
+   * - Highlighting spans are dropped; line-numbered code (an `<ol>` with one `<li>` per line) gets
+   *   `enable_line_numbers` and `start_line_numbers_at` back.
+   * - Lines marked `ln-xtra` (or wrapped in `<span class="xtra">`) become `highlight_lines_extra`.
+   */
+  htmlCode(element) {
+    const classes = (element.attrs.class || '').split(/\s+/).filter(Boolean);
+    const kind = classes[0] === 'file' ? 'file' : 'code';
+    const lang = classes[0] === 'code' || classes[0] === 'file' ? classes[1] || null : null;
+    const list = element.children.find(child => child.tag === 'ol');
+    const options = [];
+    const extra = [];
+    let value;
+    if (list) {
+      const items = list.children.filter(child => child.tag === 'li');
+      value = items.map(item => decodeEntities(textContent(item))).join('\n');
+      options.push('enable_line_numbers');
+      if (Number(list.attrs.start) > 1) options.push(`start_line_numbers_at=${Number(list.attrs.start)}`);
+      items.forEach((item, i) => hasClass(item, 'ln-xtra') && extra.push(i + 1));
+    } else {
+      value = decodeEntities(textContent(element));
+      let line = 1;
+      element.children.forEach(child => {
+        if (child.tag === 'span' && hasClass(child, 'xtra')) extra.push(line);
+        line += (textContent(child).match(/\n/g) || []).length;
+      });
+    }
+    if (extra.length) options.push(`highlight_lines_extra="${extra.join(',')}"`);
+    return {
+      type: 'code',
+      kind: kind === 'code' && !lang ? 'preformatted' : kind,
+      lang,
+      filename: null,
+      options: options.length ? options.join(', ') : null,
+      value
+    };
+  }
+
+  /**
+   * Converts a code or file block with a download header to a code node.
+   *
+   * @param {Object} element - `<dl class="file">` or `<dl class="code">` element.
+   * @returns {Object} - Code node of the `<pre>` in the element, with the `<dt>` text as file name.
+   */
+  htmlDownload(element) {
+    const node = this.htmlCode(findElement(element, child => child.tag === 'pre'));
+    const title = findElement(element, child => child.tag === 'dt');
+    const filename = title ? decodeEntities(textContent(title)).trim() : '';
+    if (filename) {
+      node.filename = filename;
+      if (node.kind === 'preformatted') node.kind = 'code';
+    }
+    return node;
+  }
+
+  /**
+   * Converts a `<blockquote>` element to a blockquote node.
+   *
+   * @param {Object} element - Blockquote element.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Object} - Blockquote node with inline content and nested quotes.
+   */
+  htmlQuote(element, ctx) {
+    const quote = { type: 'blockquote', children: [] };
+    const children = [];
+    element.children.forEach(child => {
+      if (child.tag === 'div' && hasClass(child, 'no')) children.push(...child.children);
+      else children.push(child);
+    });
+    let run = [];
+    const flush = () => {
+      quote.children.push(...this.htmlInline(run, ctx));
+      run = [];
+    };
+    children.forEach(child => {
+      if (child.tag === 'blockquote') {
+        flush();
+        quote.children.push(this.htmlQuote(child, ctx));
+      } else if (child.tag === 'p') {
+        flush();
+        if (quote.children.length) quote.children.push({ type: 'text', value: '\n' });
+        quote.children.push(...trimInline(this.htmlInline(child.children, ctx)));
+      } else {
+        run.push(child);
+      }
+    });
+    flush();
+    return quote;
+  }
+
+  /**
+   * Converts HTML nodes to inline nodes.
+   *
+   * @param {Array} children - Parsed HTML nodes.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Array} - Inline nodes.
+   */
+  htmlInline(children, ctx) {
+    const nodes = [];
+    const tags = { strong: 'strong', b: 'strong', em: 'emphasis', i: 'emphasis', u: 'underline', ins: 'underline', tt: 'monospace', code: 'monospace', sub: 'subscript', sup: 'superscript', del: 'deleted', s: 'deleted', strike: 'deleted' };
+    children.forEach(child => {
+      const tag = child.tag;
+      if (tag === '#text') {
+        nodes.push(...this.htmlText(child.text));
+      } else if (tag === 'sup' && child.children.length === 1 && child.children[0].tag === 'a' && hasClass(child.children[0], 'fn_top')) {
+        nodes.push(this.htmlFootnote(child.children[0], ctx));
+      } else if (tag === 'a') {
+        nodes.push(this.htmlLink(child, ctx));
+      } else if (child.attrs['data-wiki-media']) {
+        // Embeds of media handlers and placeholders of missing images keep their markup
+        nodes.push(this.parser.mediaNode(decodeEntities(child.attrs['data-wiki-media']).replace(/^\{\{|\}\}$/g, '')));
+      } else if (tag === 'img') {
+        nodes.push(hasClass(child, 'smiley') ? { type: 'smiley', value: decodeEntities(child.attrs.alt || '') } : this.htmlMedia(child, 'nolink'));
+      } else if (tag === 'video' || tag === 'audio') {
+        nodes.push(this.htmlPlayer(child));
+      } else if (tag === 'br') {
+        nodes.push({ type: 'linebreak' });
+      } else if (tag === 'pre') {
+        const classes = (child.attrs.class || '').split(/\s+/);
+        nodes.push({ type: classes.includes('html') ? 'html' : 'php', value: decodeEntities(textContent(child)) });
+      } else if (tag === 'code' && hasClass(child, 'php')) {
+        nodes.push({ type: 'php', value: decodeEntities(textContent(child)) });
+      } else if (tags[tag]) {
+        const content = this.htmlInline(child.children, ctx);
+        if (content.length) nodes.push({ type: tags[tag], children: content });
+      } else if (htmlInlineTags.test(tag) || htmlContainerTags.test(tag)) {
+        nodes.push(...this.htmlInline(child.children, ctx));
+      } else if (!htmlSkipTags.test(tag)) {
+        nodes.push({ type: 'html', value: ctx.html.slice(child.start, child.end) });
+      }
+    });
+    return mergeText(nodes);
+  }
+
+  /**
+   * Converts HTML text to text, typography entity and multiplication entity nodes.
+   *
+   * @param {string} raw - Raw HTML text (entities not yet decoded).
+   * @returns {Array} - Inline nodes.
+   */
+  htmlText(raw) {
+    const entities = {};
+    Object.keys(this.parser.entityMap).forEach(source => {
+      entities[this.parser.entityMap[source]] = source;
+    });
+    const nodes = [];
+    const re = /(\d+)&times;(\d+)|&[a-zA-Z]+;/g;
+    let last = 0;
+    let match;
+    while ((match = re.exec(raw))) {
+      const source = entities[match[0]];
+      // Arrows and dashes only convert between whitespace; elsewhere they stay characters
+      const spaced = !/^[-<=>]/.test(source || '') ||
+        (!/\S/.test(raw[match.index - 1] || '') && !/\S/.test(raw[re.lastIndex] || ''));
+      const node = match[1]
+        ? { type: 'multiplyentity', x: match[1], y: match[2] }
+        : source && spaced ? { type: 'entity', value: source } : null;
+      if (!node) continue;
+      if (match.index > last) nodes.push({ type: 'text', value: decodeEntities(raw.slice(last, match.index)) });
+      nodes.push(node);
+      last = re.lastIndex;
+    }
+    if (last < raw.length) nodes.push({ type: 'text', value: decodeEntities(raw.slice(last)) });
+    return nodes;
+  }
+
+  /**
+   * Converts a footnote reference to a footnote node with the content of its definition.
+   *
+   * @param {Object} anchor - `<a class="fn_top">` element.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Object} - Footnote node.
+   */
+  htmlFootnote(anchor, ctx) {
+    const id = (anchor.attrs.href || '').replace(/^#fn__/, '');
+    let note = ctx.noteNodes.get(id);
+    if (!note) {
+      const content = ctx.notes.get(id);
+      note = { type: 'footnote', id: ctx.footnotes.length + 1, children: content ? trimInline(this.htmlInline(content.children, ctx)) : [] };
+      ctx.noteNodes.set(id, note);
+      ctx.footnotes.push(note);
+    }
+    return { type: 'footnote', id: note.id, children: note.children };
+  }
+
+  /**
+   * Converts an anchor to a link or media node.
+   *
+   * @param {Object} anchor - `<a>` element.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Object} - Link node, or a media node for media links.
+   *
+   * Logic:
+   * - `data-wiki-id` restores the original target of internal and interwiki links.
+   * - Section links (`[[#section]]`) take their target from the title.
+   * - `class="media"` anchors wrap an image or a missing-image placeholder (linked media), or stand alone
+   *   (`linkonly`, or a link to a file) with the title as link text.
+   * - Other anchors are classified by their `href`.
+   */
+  htmlLink(anchor, ctx) {
+    const attrs = anchor.attrs;
+    const href = decodeEntities(attrs.href || '');
+    if (hasClass(anchor, 'media')) {
+      const placeholder = findElement(anchor, child => child.attrs['data-wiki-media']);
+      if (placeholder) return this.parser.mediaNode(decodeEntities(placeholder.attrs['data-wiki-media']).replace(/^\{\{|\}\}$/g, ''));
+      const img = anchor.children.find(child => child.tag === 'img');
+      // Only DokuWiki URLs tell the file from its detail page; otherwise both have the same URL
+      const direct = this.parser.userewrite !== null && /(?:^|\/)(?:_media\/|lib\/exe\/fetch\.php)/.test(href);
+      if (img) return this.htmlMedia(img, direct ? 'direct' : 'details');
+      return this.mediaLink(href, decodeEntities(textContent(anchor)));
+    }
+    let target;
+    if (attrs['data-wiki-id'] && (hasClass(anchor, 'interwiki') || /\bwikilink\d\b/.test(attrs.class || ''))) {
+      target = decodeEntities(attrs['data-wiki-id']);
+    } else if (hasClass(anchor, 'windows') && attrs.title) {
+      target = decodeEntities(attrs.title);
+    } else if (href.startsWith('#') && hasClass(anchor, 'wikilink1') && (attrs.title || '').startsWith('#')) {
+      // Section links keep the heading as written in their title
+      target = decodeEntities(attrs.title);
+    } else {
+      target = this.hrefToTarget(href);
+    }
+    const node = this.parser.linkNode(target, null, 0);
+    // Images inside links render without their own link whatever their linking mode
+    node.children = trimInline(this.htmlInline(anchor.children, ctx))
+      .map(child => (child.type === 'media' && child.linking === 'nolink' ? { ...child, linking: 'details' } : child));
+    return node;
+  }
+
+  /**
+   * Builds the media node of a link to a media file without an image.
+   *
+   * @param {string} url - File URL.
+   * @param {string} title - Link title; the file name counts as no title.
+   * @param {string} [playerLinking='linkonly'] - Linking of video and audio: 'linkonly' where players have
+   *   their own markup (HTML), 'details' where a link is how players are written (Markdown).
+   * @returns {Object} - Media node with 'linkonly' for images; other files keep the default linking, as they
+   *   render as links anyway.
+   */
+  mediaLink(url, title, playerLinking = 'linkonly') {
+    const node = this.mediaFromSource(url, { linking: 'linkonly' });
+    const kind = this.parser.mediaType(node.src).kind;
+    if (title && title !== mediaFileName(node.src)) node.title = title;
+    if (kind === 'file') node.linking = 'details';
+    else if (kind !== 'image') node.linking = playerLinking;
+    return node;
+  }
+
+  /**
+   * Converts a `<video>` or `<audio>` element to a media node.
+   *
+   * @param {Object} element - Player element.
+   * @returns {Object} - Media node of its first source (or `src`); the default video size 320x240 is left out.
+   */
+  htmlPlayer(element) {
+    const source = element.attrs.src ? element : findElement(element, child => child.tag === 'source' && child.attrs.src);
+    const align = (element.attrs.class || '').match(/\bmedia(left|right|center)\b/);
+    let width = Number(element.attrs.width) || null;
+    let height = Number(element.attrs.height) || null;
+    if (width === 320 && height === 240) width = height = null;
+    return this.mediaFromSource(decodeEntities(source ? source.attrs.src : ''), {
+      linking: 'details',
+      align: align ? align[1] : null,
+      width,
+      height,
+      title: decodeEntities(element.attrs.title || '')
+    });
+  }
+
+  /**
+   * Converts an `<img>` element to a media node.
+   *
+   * @param {Object} img - Image element.
+   * @param {string} linking - Linking mode ('details' for linked images, 'nolink' for bare ones).
+   * @returns {Object} - Media node.
+   *
+   * Logic:
+   * - Sizes filled in from the `mediaManifest` are not part of the markup. DokuWiki URLs carry the requested
+   *   size. Otherwise `sizes` tells whether a width was requested (or, without a `srcset`, a size equal to the
+   *   intrinsic size counts as none), and a height that only keeps the aspect ratio is dropped.
+   */
+  htmlMedia(img, linking) {
+    const src = decodeEntities(img.attrs.src || '');
+    const align = (img.attrs.class || '').match(/\bmedia(left|right|center)\b/);
+    const node = this.mediaFromSource(src, {
+      linking,
+      align: align ? align[1] : null,
+      width: Number(img.attrs.width) || null,
+      height: Number(img.attrs.height) || null,
+      title: decodeEntities(img.attrs.alt || img.attrs.title || '')
+    });
+    const info = node.external ? null : this.parser.mediaInfo(node.id);
+    if (!info || !info.width || !info.height) return node;
+    if (this.parser.userewrite !== null) {
+      const width = src.match(/[?&]w=(\d+)/);
+      const height = src.match(/[?&]h=(\d+)/);
+      node.width = width ? Number(width[1]) : null;
+      node.height = height ? Number(height[1]) : null;
+    } else if (img.attrs.sizes ? !/^\d+px$/.test(img.attrs.sizes) : node.width === info.width && node.height === info.height) {
+      node.width = node.height = null;
+    } else if (node.width && node.height === Math.round((node.width * info.height) / info.width)) {
+      node.height = null;
+    }
+    return node;
+  }
+
+  /**
+   * Builds a media node from a URL.
+   *
+   * @param {string} url - Media URL; URLs below `mediaBasePath`, with `media=` or of DokuWiki's rewritten
+   *   media paths (`_media/`, `lib/exe/fetch.php/`) map back to media IDs, and `cache=` to the cache mode.
+   * @param {Object} options - `{ linking, align, width, height, title }`.
+   * @returns {Object} - Media node.
+   */
+  mediaFromSource(url, { linking = 'details', align = null, width = null, height = null, title = '' }) {
+    const base = this.parser.mediaBasePath;
+    const fetch = url.match(/[?&]media=([^&#]+)/);
+    // DokuWiki's rewritten media URLs: '_media/ns:file', 'lib/exe/fetch.php/ns/file' and their detail pages
+    const rewritten = url.match(/(?:^|\/)(?:_media|_detail|lib\/exe\/(?:fetch|detail)\.php)\/([^?#]+)/);
+    const external = /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+    let src = url;
+    if (fetch || rewritten || !external) {
+      if (fetch) src = decodeURIComponent(fetch[1]);
+      else if (rewritten) src = decodeURIComponent(rewritten[1]).replace(/\//g, ':');
+      else src = decodeURIComponent(url.startsWith(base) ? url.slice(base.length) : url.replace(/^\.?\//, '')).replace(/\//g, ':');
+      if (!src.includes(':') && this.parser.currentNamespace) src = `:${src}`;
+    }
+    const cache = url.match(/[?&]cache=(nocache|recache)\b/);
+    const params = [];
+    if (width || height) params.push(`${width || 0}${height ? 'x' + height : ''}`);
+    if (linking !== 'details') params.push(linking);
+    if (cache) params.push(cache[1]);
+    const before = align === 'right' || align === 'center' ? ' ' : '';
+    const after = align === 'left' || align === 'center' ? ' ' : '';
+    return this.parser.mediaNode(`${before}${src}${params.length ? '?' + params.join('&') : ''}${after}${title ? '|' + title : ''}`);
+  }
+
+  /**
+   * Turns a link URL back into a DokuWiki link target.
+   *
+   * @param {string} href - Link URL.
+   * @returns {string} - Target for `[[...]]`: page ID, interwiki, URL, email, share or `#section`.
+   *
+   * Logic:
+   * - URLs matching an interwiki template with a single `{URL}` or `{NAME}` placeholder (or none) become
+   *   `name>page`; templates pointing to wiki pages are not reversed.
+   * - Relative URLs lose `pagesBasePath` (with `userewrite`: `basedir` and 'doku.php/') and page extensions
+   *   (.txt, .md, .html); slashes become colons,
+   *   and IDs in the root namespace get a leading ':' so they do not resolve into `currentNamespace`.
+   */
+  hrefToTarget(href) {
+    if (/^mailto:/i.test(href)) return decodeURIComponent(href.slice(7));
+    if (href.startsWith('#')) return href;
+    if (/^file:\/\/\/?/i.test(href)) return `\\\\${href.replace(/^file:\/\/\/?/i, '').replace(/\//g, '\\')}`;
+    const hashAt = href.indexOf('#');
+    const main = hashAt === -1 ? href : href.slice(0, hashAt);
+    const interwiki = Object.entries(this.parser.interwikiMap)
+      .map(([name, template]) => {
+        const [prefix, suffix = '', ...more] = template.split(/\{(?:URL|NAME)\}/);
+        const reversible = !template.startsWith(':') && !more.length && !/\{(SCHEME|HOST|PORT|PATH|QUERY)\}/.test(template);
+        return reversible && prefix ? { name, prefix, suffix } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.prefix.length + b.suffix.length) - (a.prefix.length + a.suffix.length))
+      .find(({ prefix, suffix }) => main.startsWith(prefix) && main.endsWith(suffix) && main.length > prefix.length + suffix.length);
+    if (interwiki) {
+      const page = decodeURIComponent(main.slice(interwiki.prefix.length, main.length - interwiki.suffix.length));
+      return `${interwiki.name}>${page}${hashAt === -1 ? '' : decodeURIComponent(href.slice(hashAt))}`;
+    }
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) return href;
+    const doku = href.match(/[?&]id=([^&#]+)/);
+    let path = doku ? doku[1] : href;
+    let section = '';
+    const hash = path.indexOf('#');
+    if (hash !== -1) {
+      section = path.slice(hash);
+      path = path.slice(0, hash);
+    }
+    if (!doku) {
+      const parser = this.parser;
+      const base = parser.userewrite === null ? parser.pagesBasePath : parser.basedir;
+      if (path.startsWith(base)) path = path.slice(base.length);
+      path = path.replace(/^\.?\//, '');
+      if (parser.userewrite !== null) path = path.replace(/^doku\.php\//, '');
+      const extension = [this.pageExtension, '.txt', '.md', '.html', '.htm'].find(ext => ext && path.endsWith(ext));
+      if (extension) path = path.slice(0, -extension.length);
+    }
+    // IDs without a namespace would be read relative to the current namespace
+    const id = decodeURIComponent(path).replace(/\//g, ':');
+    return `${id.includes(':') || !this.parser.currentNamespace ? '' : ':'}${id}${section}`;
+  }
+
+  /**
+   * Builds a document tree from GitHub Flavored Markdown.
+   *
+   * @param {string} markdown - Markdown input.
+   * @returns {Object} - Document node like the one `parseToAST()` returns (without positions).
+   *
+   * Logic:
+   * - Blocks: ATX and setext headings, paragraphs, nested lists, fenced and indented code,
+   *   blockquotes, GFM tables, thematic breaks, HTML blocks and footnote definitions.
+   * - Link reference definitions (`[ref]: url`) are collected first and resolved in inline content.
+   * - Relative links and images map back to page and media IDs like `hrefToTarget()`.
+   */
+  fromMarkdown(markdown) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const ctx = { references: new Map(), notes: new Map(), noteNodes: new Map(), footnotes: [] };
+
+    // Footnote and link reference definitions
+    const body = [];
+    for (let i = 0; i < lines.length; i++) {
+      const note = lines[i].match(/^ {0,3}\[\^([^\]]+)\]:\s?(.*)$/);
+      const reference = lines[i].match(/^ {0,3}\[([^\]^][^\]]*)\]:\s*<?([^\s>]+)>?(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*$/);
+      if (note) {
+        const content = [note[2]];
+        while (i + 1 < lines.length && /^( {4}|\t)/.test(lines[i + 1])) content.push(lines[++i].trim());
+        ctx.notes.set(note[1].toLowerCase(), content.join('\n'));
+      } else if (reference) {
+        ctx.references.set(reference[1].trim().toLowerCase(), reference[2]);
+      } else {
+        body.push(lines[i]);
+      }
+    }
+    return this.buildDocument(this.markdownBlocks(body, ctx), ctx.footnotes);
+  }
+
+  /**
+   * Converts Markdown lines to block nodes.
+   *
+   * @param {Array} lines - Markdown lines.
+   * @param {Object} ctx - Conversion context (references and footnotes).
+   * @returns {Array} - Block nodes, including headings.
+   */
+  markdownBlocks(lines, ctx) {
+    const blocks = [];
+    let paragraph = [];
+    const flush = () => {
+      if (paragraph.length) {
+        const children = trimInline(this.markdownInline(paragraph.join('\n').trim(), ctx));
+        if (children.length) blocks.push({ type: 'paragraph', children });
+      }
+      paragraph = [];
+    };
+    const isTableDelimiter = line => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Blank lines end paragraphs
+      if (!line.trim()) {
+        flush();
+        continue;
+      }
+
+      // Fenced code
+      const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/);
+      if (fence) {
+        flush();
+        const indent = line.match(/^ */)[0].length;
+        const code = [];
+        const close = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+        while (++i < lines.length && !close.test(lines[i])) code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+        blocks.push({ type: 'code', kind: fence[2] ? 'code' : 'preformatted', lang: fence[2] || null, filename: null, options: null, value: code.join('\n') });
+        continue;
+      }
+
+      // ATX headings
+      const atx = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+      if (atx) {
+        flush();
+        blocks.push(this.markdownHeading(atx[1].length, atx[2] || '', ctx));
+        continue;
+      }
+
+      // Setext headings underline the paragraph before them
+      if (paragraph.length && /^ {0,3}(=+|-+)[ \t]*$/.test(line)) {
+        const text = paragraph.join(' ').trim();
+        paragraph = [];
+        blocks.push(this.markdownHeading(line.trim()[0] === '=' ? 1 : 2, text, ctx));
+        continue;
+      }
+
+      // Thematic breaks
+      if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)) {
+        flush();
+        blocks.push({ type: 'hr' });
+        continue;
+      }
+
+      // Blockquotes
+      if (/^ {0,3}>/.test(line)) {
+        flush();
+        const quoted = [];
+        while (i < lines.length && lines[i].trim() && (/^ {0,3}>/.test(lines[i]) || quoted.length)) {
+          quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+          i++;
+        }
+        i--;
+        blocks.push(this.markdownQuote(quoted, ctx));
+        continue;
+      }
+
+      // Lists
+      if (/^ {0,3}([-*+]|\d{1,9}[.)])[ \t]+/.test(line)) {
+        flush();
+        const items = [];
+        while (i < lines.length) {
+          const current = lines[i];
+          const marker = current.match(/^( *)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/);
+          if (marker) {
+            items.push({ indent: marker[1].length, ordered: /\d/.test(marker[2]), text: marker[3] });
+          } else if (current.trim() && items.length && !/^ {0,3}(#|>|```|~~~)/.test(current)) {
+            items[items.length - 1].text += ` ${current.trim()}`; // Continuation line
+          } else if (!current.trim() && i + 1 < lines.length && /^\s*([-*+]|\d{1,9}[.)])[ \t]+/.test(lines[i + 1])) {
+            // Blank line between items of a loose list
+          } else {
+            break;
+          }
+          i++;
+        }
+        i--;
+        blocks.push(...this.markdownList(items, ctx));
+        continue;
+      }
+
+      // Tables: a header row followed by a delimiter row
+      if (line.includes('|') && i + 1 < lines.length && isTableDelimiter(lines[i + 1])) {
+        flush();
+        const rows = [line];
+        const aligns = splitTableRow(lines[i + 1]).map(cell => {
+          cell = cell.trim();
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          if (cell.endsWith(':')) return 'right';
+          if (cell.startsWith(':')) return 'left';
+          return null;
+        });
+        i += 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(lines[i++]);
+        i--;
+        blocks.push({
+          type: 'table',
+          children: rows.map((row, r) => ({
+            type: 'tablerow',
+            head: r === 0,
+            children: splitTableRow(row).map((cell, c) => ({
+              type: 'tablecell',
+              header: r === 0,
+              align: aligns[c] || null,
+              colspan: 1,
+              rowspan: 1,
+              col: c,
+              children: trimInline(this.markdownInline(cell.trim(), ctx))
+            }))
+          }))
+        });
+        continue;
+      }
+
+      // HTML blocks
+      if (!paragraph.length && /^ {0,3}<(\/?(?:address|article|aside|blockquote|details|div|dl|fieldset|figure|footer|form|h[1-6]|header|hr|iframe|nav|ol|p|pre|section|table|ul|video|audio)\b|!--)/i.test(line)) {
+        const html = [];
+        while (i < lines.length && lines[i].trim()) html.push(lines[i++]);
+        i--;
+        blocks.push({ type: 'html', block: true, value: html.join('\n') });
+        continue;
+      }
+
+      // Indented code
+      if (!paragraph.length && /^( {4}|\t)/.test(line)) {
+        const code = [];
+        while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim())) code.push(lines[i++].replace(/^( {4}|\t)/, ''));
+        i--;
+        while (code.length && !code[code.length - 1].trim()) code.pop();
+        blocks.push({ type: 'code', kind: 'preformatted', lang: null, filename: null, options: null, value: code.join('\n') });
+        continue;
+      }
+
+      paragraph.push(line);
+    }
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Builds a heading node from Markdown heading text.
+   *
+   * @param {number} level - Markdown heading level (1-6); level 6 maps to DokuWiki level 5.
+   * @param {string} text - Heading text.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Object} - Heading node.
+   */
+  markdownHeading(level, text, ctx) {
+    const children = trimInline(this.markdownInline(text, ctx));
+    return { type: 'heading', level: Math.min(5, level), id: this.parser.headingId(this.parser.plainText(children)), children };
+  }
+
+  /**
+   * Builds nested list nodes from Markdown list items.
+   *
+   * @param {Array} items - Items as `{ indent, ordered, text }`.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Array} - Top-level list nodes.
+   */
+  markdownList(items, ctx) {
+    const roots = [];
+    const stack = []; // Open lists as { list, indent }
+    items.forEach(entry => {
+      while (stack.length && stack[stack.length - 1].indent > entry.indent) stack.pop();
+      let top = stack[stack.length - 1];
+      if (top && top.indent === entry.indent && top.list.ordered !== entry.ordered) {
+        stack.pop();
+        top = null;
+      }
+      if (!top || top.indent < entry.indent) {
+        const list = { type: 'list', ordered: entry.ordered, children: [] };
+        const parent = stack[stack.length - 1];
+        if (parent) parent.list.children[parent.list.children.length - 1].children.push(list);
+        else roots.push(list);
+        top = { list, indent: entry.indent };
+        stack.push(top);
+      }
+      top.list.children.push({ type: 'listitem', level: stack.length, children: trimInline(this.markdownInline(entry.text, ctx)) });
+    });
+    return roots;
+  }
+
+  /**
+   * Builds a blockquote node from the content of Markdown quote lines.
+   *
+   * @param {Array} lines - Quote lines without their `>` marker.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Object} - Blockquote node; nested quotes become nested nodes, other blocks become lines.
+   */
+  markdownQuote(lines, ctx) {
+    const quote = { type: 'blockquote', children: [] };
+    const add = nodes => {
+      if (!nodes.length) return;
+      if (quote.children.length) quote.children.push({ type: 'text', value: '\n' });
+      quote.children.push(...nodes);
+    };
+    this.markdownBlocks(lines, ctx).forEach(block => {
+      if (block.type === 'blockquote') {
+        quote.children.push(block);
+      } else if (block.type === 'list') {
+        block.children.forEach(item => add(item.children.filter(child => child.type !== 'list')));
+      } else if (block.type === 'code' || block.type === 'html') {
+        add([{ type: 'text', value: block.value }]);
+      } else if (block.children) {
+        add(block.children);
+      }
+    });
+    return quote;
+  }
+
+  /**
+   * Converts Markdown inline content to inline nodes.
+   *
+   * @param {string} text - Inline Markdown.
+   * @param {Object} ctx - Conversion context.
+   * @returns {Array} - Inline nodes.
+   *
+   * Logic:
+   * - Scans left to right: escapes, code spans, images, links, footnote references, autolinks,
+   *   inline HTML, emphasis delimiters (`*`, `_`, `~~`), hard breaks and bare URLs.
+   * - Emphasis closes at the next matching delimiter run; its content is parsed recursively.
+   */
+  markdownInline(text, ctx) {
+    const nodes = [];
+    let buffer = '';
+    const push = node => {
+      if (buffer) nodes.push({ type: 'text', value: decodeEntities(buffer) });
+      buffer = '';
+      nodes.push(node);
+    };
+    let pos = 0;
+    while (pos < text.length) {
+      const rest = text.slice(pos);
+      let match;
+
+      // Backslash escapes and hard breaks
+      if (rest[0] === '\\') {
+        if (rest[1] === '\n') {
+          push({ type: 'linebreak' });
+          pos += 1;
+          continue;
+        }
+        if (/[!-/:-@[-`{-~]/.test(rest[1] || '')) {
+          buffer += rest[1];
+          pos += 2;
+          continue;
+        }
+      }
+      if ((match = rest.match(/^ {2,}\n/))) {
+        push({ type: 'linebreak' });
+        pos += match[0].length - 1;
+        continue;
+      }
+
+      // Code spans
+      if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+        let code = match[2].replace(/\n/g, ' ');
+        if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+        push({ type: 'monospace', children: [{ type: 'text', value: code }] });
+        pos += match[0].length;
+        continue;
+      }
+
+      // Images and links
+      if ((match = rest.match(/^(!?)\[((?:\[[^\]]*\]|\\.|[^\]\\])*)\](?:\(\s*(<[^>]*>|[^\s)]*)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)|\[([^\]]*)\])?/))) {
+        const label = match[2];
+        let href = match[3] !== undefined ? match[3].replace(/^<|>$/g, '') : null;
+        if (href === null && !label.startsWith('^')) {
+          href = ctx.references.get((match[4] || label).trim().toLowerCase()) || null;
+        }
+        if (!match[1] && label.startsWith('^') && match[3] === undefined && ctx.notes.has(label.slice(1).toLowerCase())) {
+          push(this.markdownFootnote(label.slice(1).toLowerCase(), ctx));
+          pos += `[${label}]`.length;
+          continue;
+        }
+        if (href !== null) {
+          if (match[1]) {
+            push(this.mediaFromSource(href, { linking: 'details', title: label.replace(/\\(.)/g, '$1') }));
+          } else if (href.startsWith(this.parser.mediaBasePath)) {
+            // Links to media files are media links without an image
+            push(this.mediaLink(href, label === href ? '' : label.replace(/\\(.)/g, '$1'), 'details'));
+          } else {
+            const node = this.parser.linkNode(this.hrefToTarget(href), null, 0);
+            node.children = this.markdownInline(label, ctx).map(child => (child.type === 'media' ? { ...child, linking: 'details' } : child));
+            if (node.linkType === 'external' && this.parser.plainText(node.children) === node.target) node.children = [{ type: 'text', value: node.target }];
+            push(node);
+          }
+          pos += match[0].length;
+          continue;
+        }
+      }
+
+      // Autolinks
+      if ((match = rest.match(/^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/i))) {
+        const node = this.parser.linkNode(match[1].replace(/^mailto:/i, ''), null, 0);
+        if (node.linkType === 'external') node.children = [{ type: 'text', value: match[1] }];
+        push(node);
+        pos += match[0].length;
+        continue;
+      }
+      if ((match = rest.match(/^<([\w.%+-]+@[\w-]+(?:\.[\w-]+)+)>/))) {
+        push({ type: 'link', linkType: 'email', target: match[1], children: [] });
+        pos += match[0].length;
+        continue;
+      }
+
+      // Inline HTML
+      if ((match = rest.match(/^<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/))) {
+        const tag = match[2].toLowerCase();
+        const tags = { sub: 'subscript', sup: 'superscript', ins: 'underline', u: 'underline', del: 'deleted', s: 'deleted', strike: 'deleted', code: 'monospace', tt: 'monospace', strong: 'strong', b: 'strong', em: 'emphasis', i: 'emphasis' };
+        const close = new RegExp(`</${tag}\\s*>`, 'i');
+        const end = match[1] ? -1 : rest.slice(match[0].length).search(close);
+        if (tag === 'br') {
+          push({ type: 'linebreak' });
+        } else if (tag === 'img') {
+          const element = parseHTMLTree(match[0]).children[0];
+          push(this.htmlMedia(element, 'details'));
+        } else if (tags[tag] && end !== -1) {
+          const inner = rest.slice(match[0].length, match[0].length + end);
+          push({ type: tags[tag], children: this.markdownInline(inner, ctx) });
+          pos += match[0].length + end + rest.slice(match[0].length + end).match(close)[0].length;
+          continue;
+        } else {
+          push({ type: 'html', value: match[0] });
+        }
+        pos += match[0].length;
+        continue;
+      }
+
+      // Emphasis, strong emphasis and strikethrough
+      if ((match = rest.match(/^(\*{1,3}|_{1,3}|~~)(?=\S)/)) && !(match[1][0] === '_' && /\w/.test(text[pos - 1] || ''))) {
+        const delimiter = match[1];
+        const closeAt = findClosingDelimiter(text, pos + delimiter.length, delimiter);
+        if (closeAt !== -1) {
+          const inner = this.markdownInline(text.slice(pos + delimiter.length, closeAt), ctx);
+          let node;
+          if (delimiter === '~~') node = { type: 'deleted', children: inner };
+          else if (delimiter.length === 3) node = { type: 'strong', children: [{ type: 'emphasis', children: inner }] };
+          else node = { type: delimiter.length === 2 ? 'strong' : 'emphasis', children: inner };
+          push(node);
+          pos = closeAt + delimiter.length;
+          continue;
+        }
+      }
+
+      // Bare URLs (GFM autolink extension)
+      if (!/\w/.test(text[pos - 1] || '') && (match = rest.match(/^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~)]/))) {
+        const url = match[0];
+        push({ type: 'link', linkType: 'external', target: url.startsWith('www.') ? `http://${url}` : url, children: [{ type: 'text', value: url }] });
+        pos += url.length;
+        continue;
+      }
+
+      buffer += text[pos];
+      pos++;
+    }
+    if (buffer) nodes.push({ type: 'text', value: decodeEntities(buffer) });
+    return mergeText(nodes);
+  }
+
+  /**
+   * Builds a footnote node from a Markdown footnote reference.
+   *
+   * @param {string} label - Footnote label (lowercase).
+   * @param {Object} ctx - Conversion context.
+   * @returns {Object} - Footnote node with the parsed definition as children.
+   */
+  markdownFootnote(label, ctx) {
+    let note = ctx.noteNodes.get(label);
+    if (!note) {
+      note = { type: 'footnote', id: ctx.footnotes.length + 1, children: [] };
+      ctx.noteNodes.set(label, note);
+      ctx.footnotes.push(note);
+      note.children = trimInline(this.markdownInline(ctx.notes.get(label), ctx));
+    }
+    return { type: 'footnote', id: note.id, children: note.children };
+  }
+}
+
+// Renderers available by name to `parse()` and `render()`; add entries to register custom formats
+DokuParserJS.renderers = {
+  html: HTMLRenderer,
+  markdown: MarkdownRenderer,
+  text: TextRenderer,
+  dokuwiki: DokuSerializer
+};
+DokuParserJS.Renderer = Renderer;
+DokuParserJS.HTMLRenderer = HTMLRenderer;
+DokuParserJS.MarkdownRenderer = MarkdownRenderer;
+DokuParserJS.TextRenderer = TextRenderer;
+DokuParserJS.DokuSerializer = DokuSerializer;
+
+/**
+ * Full-text search index over the text of DokuWiki pages.
+ *
+ * @example
+ * const index = new DokuParserJS.SearchIndex();
+ * index.addPage('wiki:syntax', doku);
+ * const results = index.search('"table syntax" @wiki');
+ * const json = JSON.stringify(index); // load later with DokuParserJS.SearchIndex.fromJSON(json)
+ *
+ * Logic:
+ * - Pages are parsed to a document tree; only the visible text is indexed, so markup, code blocks,
+ *   nowiki, embedded HTML/PHP, smileys and macros never match.
+ * - Terms are lowercased runs of letters and digits; each term keeps its positions per page (for
+ *   phrase queries) and how often it occurs in headings (for ranking).
+ * - Positions skip one step between blocks, so phrases do not match across paragraphs or cells.
+ * - The page text is stored with the index, so snippets can be built without the page files.
+ *
+ * @param {Object} [options] - Index options.
+ * @param {DokuParserJS} [options.parser] - Parser used by `addPage()`; defaults to a new parser.
+ * @param {number} [options.headingBoost=5] - Score added for each hit in a heading.
+ * @param {number} [options.snippetLength=160] - Approximate snippet length in characters.
+ */
+class SearchIndex {
+  constructor(options = {}) {
+    this.parser = options.parser || new DokuParserJS();
+    this.headingBoost = options.headingBoost ?? 5;
+    this.snippetLength = options.snippetLength ?? 160;
+    this.pages = {};
+    this.terms = {};
+  }
+
+  /**
+   * Splits text into search terms.
+   *
+   * @param {string} text - Text or query.
+   * @returns {Array} - Terms as `{ term, start, end }` with offsets into `text`.
+   */
+  static tokenize(text) {
+    return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+      term: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  /**
+   * Adds a page to the index, replacing an earlier version of it.
+   *
+   * @param {string} id - Page ID (e.g., 'wiki:syntax'); IDs are case-insensitive.
+   * @param {string} doku - DokuWiki markup of the page.
+   * @returns {SearchIndex} - This index.
+   */
+  addPage(id, doku) {
+    id = id.toLowerCase();
+    this.removePage(id);
+    const namespace = this.parser.currentNamespace;
+    this.parser.currentNamespace = id.split(':').slice(0, -1).join(':');
+    let ast;
+    try {
+      ast = this.parser.parseToAST(doku);
+    } finally {
+      this.parser.currentNamespace = namespace;
+    }
+    const blocks = this.textBlocks(ast.children);
+    const heading = blocks.find(block => block.heading);
+    let position = 0;
+    blocks.forEach(block => {
+      SearchIndex.tokenize(block.text).forEach(({ term }) => {
+        const postings = this.terms[term] = this.terms[term] || {};
+        const posting = postings[id] = postings[id] || { positions: [], heading: 0 };
+        posting.positions.push(position++);
+        if (block.heading) posting.heading++;
+      });
+      position++;
+    });
+    this.pages[id] = {
+      title: heading ? heading.text : id.split(':').pop(),
+      text: blocks.map(block => block.text).join('\n')
+    };
+    return this;
+  }
+
+  /**
+   * Removes a page from the index.
+   *
+   * @param {string} id - Page ID.
+   * @returns {SearchIndex} - This index.
+   */
+  removePage(id) {
+    id = id.toLowerCase();
+    if (!this.pages[id]) return this;
+    delete this.pages[id];
+    Object.keys(this.terms).forEach(term => {
+      delete this.terms[term][id];
+      if (!Object.keys(this.terms[term]).length) delete this.terms[term];
+    });
+    return this;
+  }
+
+  /**
+   * Collects the searchable text of a document tree, one entry per block.
+   *
+   * @param {Array} nodes - Block or inline nodes.
+   * @returns {Array} - Blocks as `{ text, heading }` with whitespace collapsed; empty blocks are left out.
+   *
+   * Logic:
+   * - Headings, paragraphs, list items, table cells, quotes and footnotes start a new block; nested
+   *   blocks (e.g., a sublist) are separate entries.
+   * - Links without a title contribute their target (the page name for interwiki links), media their title.
+   * - Skipped nodes are replaced by a space so the text around them does not merge into one term.
+   */
+  textBlocks(nodes) {
+    const blocks = [];
+    const walk = (nodes, block) => nodes.forEach(node => {
+      switch (node.type) {
+        case 'heading':
+        case 'paragraph':
+        case 'listitem':
+        case 'tablecell':
+        case 'blockquote':
+        case 'footnote': {
+          const child = { text: '', heading: node.type === 'heading' };
+          blocks.push(child);
+          walk(node.children, child);
+          break;
+        }
+        case 'text':
+          block.text += node.value;
+          break;
+        case 'multiplyentity':
+          block.text += `${node.x}x${node.y}`;
+          break;
+        case 'media':
+          block.text += ` ${node.title || ''} `;
+          break;
+        case 'link':
+          if (node.children.length) walk(node.children, block);
+          else block.text += ` ${node.linkType === 'interwiki' ? node.page : node.target} `;
+          break;
+        case 'code':
+        case 'html':
+        case 'php':
+        case 'nowiki':
+        case 'unformatted':
+        case 'entity':
+        case 'smiley':
+        case 'macro':
+        case 'rss':
+        case 'linebreak':
+          if (block) block.text += ' ';
+          break;
+        default:
+          if (node.children) walk(node.children, block);
+      }
+    });
+    walk(nodes, null);
+    return blocks
+      .map(block => ({ text: block.text.replace(/\s+/g, ' ').trim(), heading: block.heading }))
+      .filter(block => block.text);
+  }
+
+  /**
+   * Searches the index.
+   *
+   * @param {string} query - Words, quoted phrases, `-word` to exclude pages, `@namespace` to search only
+   *   a namespace and `^namespace` to leave one out (e.g., '"table syntax" @wiki -plugin').
+   * @param {Object} [options] - Search options.
+   * @param {number} [options.limit] - Maximum number of results.
+   * @returns {Array} - Results `{ id, title, score, snippet }`, best first; `snippet` is escaped HTML with
+   *   hits wrapped in `<strong class="search_hit">`.
+   *
+   * Logic:
+   * - Every word and phrase must occur in a page; phrase words must be adjacent and in order.
+   * - Score: number of hits plus `headingBoost` for each hit in a heading; ties are sorted by ID.
+   */
+  search(query, options = {}) {
+    const parsed = SearchIndex.parseQuery(query);
+    const terms = [...new Set([...parsed.words, ...parsed.phrases.flat()])];
+    if (!terms.length) return [];
+    const inNamespace = (id, namespace) => id === namespace || id.startsWith(`${namespace}:`);
+    let ids = Object.keys(this.terms[terms[0]] || {});
+    ids = ids.filter(id =>
+      terms.every(term => this.terms[term] && this.terms[term][id]) &&
+      !parsed.excluded.some(term => this.terms[term] && this.terms[term][id]) &&
+      (!parsed.namespaces.length || parsed.namespaces.some(namespace => inNamespace(id, namespace))) &&
+      !parsed.excludedNamespaces.some(namespace => inNamespace(id, namespace)) &&
+      parsed.phrases.every(phrase => this.hasPhrase(id, phrase))
+    );
+    const results = ids.map(id => ({
+      id,
+      title: this.pages[id].title,
+      score: terms.reduce((score, term) => {
+        const posting = this.terms[term][id];
+        return score + posting.positions.length + posting.heading * this.headingBoost;
+      }, 0),
+      snippet: this.snippet(id, terms, parsed.phrases)
+    }));
+    results.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  /**
+   * Splits a search query into its parts.
+   *
+   * @param {string} query - Search query.
+   * @returns {Object} - `{ words, phrases, excluded, namespaces, excludedNamespaces }`; phrases are arrays
+   *   of terms, namespaces are lowercased IDs without leading or trailing colons.
+   */
+  static parseQuery(query) {
+    const parsed = { words: [], phrases: [], excluded: [], namespaces: [], excludedNamespaces: [] };
+    const namespaceId = value => value.toLowerCase().replace(/^:+|:+$/g, '');
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query))) {
+      if (match[1] !== undefined) {
+        const phrase = SearchIndex.tokenize(match[1]).map(token => token.term);
+        if (phrase.length > 1) parsed.phrases.push(phrase);
+        else parsed.words.push(...phrase);
+      } else if (/^@./.test(match[2])) {
+        parsed.namespaces.push(namespaceId(match[2].slice(1)));
+      } else if (/^\^./.test(match[2])) {
+        parsed.excludedNamespaces.push(namespaceId(match[2].slice(1)));
+      } else if (/^-./.test(match[2])) {
+        parsed.excluded.push(...SearchIndex.tokenize(match[2]).map(token => token.term));
+      } else {
+        parsed.words.push(...SearchIndex.tokenize(match[2]).map(token => token.term));
+      }
+    }
+    return parsed;
+  }
+
+  /**
+   * Checks whether the terms of a phrase occur next to each other in a page.
+   *
+   * @param {string} id - Page ID.
+   * @param {Array} phrase - Terms of the phrase.
+   * @returns {boolean} - True if the page contains the phrase.
+   */
+  hasPhrase(id, phrase) {
+    const positions = phrase.map(term => new Set(this.terms[term] && this.terms[term][id] ? this.terms[term][id].positions : []));
+    return [...positions[0]].some(start => positions.every((set, offset) => set.has(start + offset)));
+  }
+
+  /**
+   * Builds a highlighted excerpt of a page around the first hit.
+   *
+   * @param {string} id - Page ID.
+   * @param {Array} terms - Terms to highlight.
+   * @param {Array} [phrases=[]] - Phrases; the excerpt starts at the first phrase hit when there is one.
+   * @returns {string} - Escaped HTML excerpt, with '…' where text was cut.
+   */
+  snippet(id, terms, phrases = []) {
+    // Blocks are separated by newlines in the stored text
+    const text = this.pages[id].text.replace(/\n/g, ' ');
+    const tokens = SearchIndex.tokenize(text);
+    let first = -1;
+    phrases.some(phrase => {
+      first = tokens.findIndex((token, i) => phrase.every((term, offset) => tokens[i + offset] && tokens[i + offset].term === term));
+      return first !== -1;
+    });
+    if (first === -1) first = tokens.findIndex(token => terms.includes(token.term));
+    const hit = first === -1 ? 0 : tokens[first].start;
+    let start = Math.max(0, hit - Math.floor(this.snippetLength / 3));
+    let end = Math.min(text.length, start + this.snippetLength);
+    // Cut at word boundaries
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < hit) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > hit) end = space;
+    }
+    const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    let html = '';
+    let last = start;
+    tokens.filter(token => token.start >= start && token.end <= end && terms.includes(token.term)).forEach(token => {
+      html += `${escape(text.slice(last, token.start))}<strong class="search_hit">${escape(text.slice(token.start, token.end))}</strong>`;
+      last = token.end;
+    });
+    html += escape(text.slice(last, end));
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Returns the index as plain data for `JSON.stringify()`.
+   *
+   * @returns {Object} - `{ version, pages, terms }`.
+   */
+  toJSON() {
+    return { version: 1, pages: this.pages, terms: this.terms };
+  }
+
+  /**
+   * Loads an index saved with `toJSON()`.
+   *
+   * @param {string|Object} data - JSON text or parsed data.
+   * @param {Object} [options] - Index options (see the constructor).
+   * @returns {SearchIndex} - The loaded index.
+   * @throws {Error} - If the data is not a search index of a supported version.
+   */
+  static fromJSON(data, options = {}) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    if (!data || data.version !== 1 || !data.pages || !data.terms) {
+      throw new Error('Unsupported search index format');
+    }
+    const index = new SearchIndex(options);
+    index.pages = data.pages;
+    index.terms = data.terms;
+    return index;
+  }
+}
+
+DokuParserJS.SearchIndex = SearchIndex;
+
+/**
+ * A parsed page that is kept up to date as it is edited, for live previews of long pages.
+ *
+ * @param {DokuParserJS} parser - Parser whose options are used for parsing and rendering.
+ * @param {string} [text=''] - Initial DokuWiki markup.
+ *
+ * Logic:
+ * - The page is kept as a flat list of top-level blocks (headings and the blocks of each section), each
+ *   with the source lines it covers and its rendered HTML.
+ * - `update()` re-parses the blocks around an edit, from the block before it to the block after it. The
+ *   range grows until the next old block starts at the same place in the new parse, so lines after it
+ *   are known to parse the same way.
+ * - Page-wide numbering (section numbers, unique heading IDs, footnote numbers and code block indexes)
+ *   is recomputed over the blocks; blocks whose numbers change are rendered again.
+ * - The HTML is a list of units: the TOC, the blocks, section edit hooks and the footnotes. `update()`
+ *   returns the changes to that list, so a preview only replaces the elements that changed.
+ */
+class DokuDocument {
+  constructor(parser, text = '') {
+    this.parser = parser;
+    this.renderer = new HTMLRenderer(parser, parser.rendererOptions);
+    this.text = '';
+    this.lines = [''];
+    this.blocks = []; // { node, start, column, end, baseId, notes, macros, codeblocks, number, codeIndex, unit }
+    this.units = []; // { type: 'toc'|'block'|'secedit'|'footnotes', node, html }
+    this.footnotes = [];
+    this.macros = { notoc: false, nocache: false };
+    this.extras = { toc: null, secedit: [], footnotes: null }; // Generated units, reused while unchanged
+    this.setText(text);
+  }
+
+  /**
+   * Replaces the whole text and parses it from scratch.
+   *
+   * @param {string} text - DokuWiki markup.
+   * @returns {DokuDocument} - This document.
+   */
+  setText(text) {
+    this.text = String(text).replace(/\r\n?/g, '\n');
+    this.lines = this.text.split('\n');
+    const ast = this.parser.parseToAST(this.text);
+    this.blocks = this.describe(ast.children);
+    this.refresh(this.blocks);
+    return this;
+  }
+
+  /**
+   * Applies an edit and re-parses the blocks it affects.
+   *
+   * @param {Object|string} edit - `{ from, to, text }`, replacing the characters from offset `from` to `to`
+   *   of `doc.text` with `text`, or the complete new text (the changed range is found by comparing).
+   * @returns {Object} - Patch `{ changes, lines }`: `changes` lists splices of `doc.units` in order, as
+   *   `{ index, remove, units }` (indexes count the units after the previous splices), and `lines` is
+   *   the `{ start, end }` range of new source lines that was parsed again.
+   */
+  update(edit) {
+    if (typeof edit === 'string') {
+      const text = edit.replace(/\r\n?/g, '\n');
+      const old = this.text;
+      let from = 0;
+      while (from < old.length && from < text.length && old[from] === text[from]) from++;
+      let end = 0;
+      while (end < old.length - from && end < text.length - from && old[old.length - 1 - end] === text[text.length - 1 - end]) end++;
+      edit = { from, to: old.length - end, text: text.slice(from, text.length - end) };
+    }
+    const from = Math.max(0, Math.min(edit.from, this.text.length));
+    const to = Math.max(from, Math.min(edit.to === undefined ? from : edit.to, this.text.length));
+    const insert = String(edit.text || '').replace(/\r\n?/g, '\n');
+    const countLines = (text, start, stop) => {
+      let count = 0;
+      for (let i = text.indexOf('\n', start); i !== -1 && i < stop; i = text.indexOf('\n', i + 1)) count++;
+      return count;
+    };
+    const firstLine = countLines(this.text, 0, from) + 1;
+    const lastLine = firstLine + countLines(this.text, from, to);
+    const delta = countLines(insert, 0, insert.length) - (lastLine - firstLine);
+    const oldLineCount = this.lines.length;
+    this.text = this.text.slice(0, from) + insert + this.text.slice(to);
+    this.lines = this.text.split('\n');
+
+    // Start at the block before the edit, on a line where no earlier block is still open
+    const blocks = this.blocks;
+    let first = blocks.findIndex(block => block.end >= firstLine - 1);
+    if (first === -1) first = blocks.length;
+    while (first > 0 && first < blocks.length && (blocks[first].column > 1 || blocks[first - 1].end >= blocks[first].start)) first--;
+    const start = first < blocks.length ? Math.min(blocks[first].start, firstLine) : firstLine;
+
+    // End before a later block that the new parse reaches unchanged
+    let last = first - 1;
+    while (last + 1 < blocks.length && blocks[last + 1].start <= lastLine + 1) last++;
+    let parsed;
+    for (;;) {
+      const next = blocks[last + 1];
+      if (next && (next.column > 1 || next.start <= blocks[last].end)) {
+        last++;
+        continue;
+      }
+      const end = (next ? next.start - 1 : oldLineCount) + delta;
+      const probe = next ? end + 1 : null;
+      const nodes = this.parseLines(start, probe || end);
+      parsed = this.describe(nodes);
+      if (!next) break;
+      const tail = parsed[parsed.length - 1];
+      if (tail && tail.start === probe && tail.column === 1 && tail.node.type === next.node.type) {
+        parsed.pop();
+        break;
+      }
+      last++;
+    }
+
+    // Blocks after the edit move by the number of added or removed lines
+    const after = blocks.slice(last + 1);
+    if (delta) after.forEach(block => this.shift(block, delta));
+    this.blocks = [...blocks.slice(0, first), ...parsed, ...after];
+    const previous = this.units;
+    this.refresh(parsed);
+    return { changes: this.diffUnits(previous, this.units), lines: { start, end: parsed.length ? parsed[parsed.length - 1].end : start } };
+  }
+
+  /**
+   * The page's document tree, as `parseToAST()` would return it.
+   *
+   * @returns {Object} - Document node with sections rebuilt from the blocks.
+   */
+  get ast() {
+    const children = [];
+    let section = null;
+    this.blocks.forEach(block => {
+      if (block.node.type === 'heading') {
+        if (section) section.position.end = this.parser.endOfLine(this.lines, block.start - 1);
+        section = { type: 'section', level: block.node.level, number: block.number, children: [block.node], position: { start: block.node.position.start, end: null } };
+        children.push(section);
+      } else {
+        (section ? section.children : children).push(block.node);
+      }
+    });
+    if (section) section.position.end = this.parser.endOfLine(this.lines, this.lines.length);
+    return {
+      type: 'document',
+      children,
+      footnotes: this.footnotes,
+      macros: this.macros,
+      position: {
+        start: { line: 1, column: 1 },
+        end: { line: this.lines.length, column: this.lines[this.lines.length - 1].length + 1 }
+      }
+    };
+  }
+
+  /**
+   * The page's HTML, as `parse()` would return it with the HTML renderer.
+   *
+   * @returns {string} - HTML of all units.
+   */
+  get html() {
+    const html = this.units.map(unit => unit.html).filter(Boolean).join('\n');
+    return this.renderer.fragment ? html : `<div class="page group">${html}</div>`;
+  }
+
+  /**
+   * Parses a range of source lines as blocks.
+   *
+   * @param {number} start - First line (1-based).
+   * @param {number} end - Last line.
+   * @returns {Array} - Block nodes with positions in the whole page.
+   */
+  parseLines(start, end) {
+    const parser = this.parser;
+    parser.footnotes = [];
+    parser.footnoteContent = new Map();
+    parser.macros = { notoc: false, nocache: false };
+    parser.missingLinks = [];
+    parser.sectionCount = 0;
+    parser.headingIds = new Set();
+    const queue = this.lines.slice(start - 1, end).map((text, index) => ({ text, line: start + index, column: 1 }));
+    return parser.parseBlocks(queue, this.lines);
+  }
+
+  /**
+   * Flattens parsed nodes into blocks and collects what page-wide numbering needs from each.
+   *
+   * @param {Array} nodes - Top-level nodes (sections are split into their heading and blocks).
+   * @returns {Array} - Blocks.
+   */
+  describe(nodes) {
+    const parser = this.parser;
+    const blocks = [];
+    nodes.forEach(node => {
+      (node.type === 'section' ? node.children : [node]).forEach(child => {
+        if (!child.position) return;
+        const block = {
+          node: child,
+          start: child.position.start.line,
+          column: child.position.start.column,
+          end: child.position.end.line,
+          baseId: child.type === 'heading' ? parser.headingId(parser.plainText(child.children)) : null,
+          notes: [],
+          macros: [],
+          codeblocks: 0,
+          number: 0,
+          codeIndex: 0,
+          unit: null
+        };
+        const visit = item => {
+          (item.children || []).forEach(visit);
+          if (item.type === 'footnote' && item.position) {
+            block.notes.push({ node: item, key: this.source(item.position).slice(2, -2).trim() });
+          } else if (item.type === 'macro') {
+            block.macros.push(item.name);
+          } else if (item.type === 'code' && item.kind !== 'preformatted') {
+            block.codeblocks++;
+          }
+        };
+        visit(child);
+        blocks.push(block);
+      });
+    });
+    return blocks;
+  }
+
+  /**
+   * Returns the source text of a node.
+   *
+   * @param {Object} position - Node position.
+   * @returns {string} - Source between the start and end of the position.
+   */
+  source(position) {
+    const { start, end } = position;
+    if (start.line === end.line) return this.lines[start.line - 1].slice(start.column - 1, end.column - 1);
+    return [
+      this.lines[start.line - 1].slice(start.column - 1),
+      ...this.lines.slice(start.line, end.line - 1),
+      this.lines[end.line - 1].slice(0, end.column - 1)
+    ].join('\n');
+  }
+
+  /**
+   * Moves a block and its nodes by a number of lines.
+   *
+   * @param {Object} block - Block to move.
+   * @param {number} delta - Lines to add.
+   */
+  shift(block, delta) {
+    block.start += delta;
+    block.end += delta;
+    const visit = node => {
+      if (node.position) {
+        const { start, end } = node.position;
+        node.position = { start: { line: start.line + delta, column: start.column }, end: { line: end.line + delta, column: end.column } };
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(block.node);
+  }
+
+  /**
+   * Recomputes page-wide numbering, renders blocks that need it and rebuilds the unit list.
+   *
+   * @param {Array} parsed - Blocks that were just parsed and have no HTML yet.
+   */
+  refresh(parsed) {
+    const parser = this.parser;
+    const fresh = new Set(parsed);
+    const ids = new Set();
+    const notes = new Map();
+    const macros = new Set();
+    let section = 0;
+    let codeIndex = 0;
+    this.footnotes = [];
+    this.blocks.forEach(block => {
+      let changed = fresh.has(block);
+      if (block.node.type === 'heading') {
+        section++;
+        const id = parser.headingId(block.baseId, ids);
+        if (block.number !== section || block.node.id !== id) changed = true;
+        block.number = section;
+        block.node.id = id;
+      }
+      if (block.codeblocks && block.codeIndex !== codeIndex) changed = true;
+      block.codeIndex = codeIndex;
+      codeIndex += block.codeblocks;
+      block.notes.forEach(({ node, key }) => {
+        let note = notes.get(key);
+        if (!note) {
+          note = { type: 'footnote', id: notes.size + 1, children: node.children };
+          notes.set(key, note);
+          this.footnotes.push(note);
+        }
+        if (node.id !== note.id) changed = true;
+        node.id = note.id;
+      });
+      block.macros.forEach(name => macros.add(name));
+      if (changed || !block.unit) {
+        this.renderer.sectionNumber = block.number ? block.number - 1 : 0;
+        this.renderer.codeblock = block.codeIndex;
+        block.unit = { type: 'block', node: block.node, html: this.renderer.renderBlock(block.node) };
+      }
+    });
+    this.macros = { notoc: macros.has('NOTOC'), nocache: macros.has('NOCACHE') };
+    parser.releaseBlobUrls(codeIndex);
+
+    // Generated units are replaced only when their HTML changes
+    const extra = (unit, type, html) => (unit && unit.html === html ? unit : { type, node: null, html });
+    const headings = this.blocks.filter(block => block.node.type === 'heading');
+    const tocHtml = this.renderer.renderToc(this.renderer.tocHeadings({ children: headings.map(block => ({ type: 'section', children: [block.node] })), macros: this.macros }));
+    const toc = tocHtml ? extra(this.extras.toc, 'toc', tocHtml) : null;
+    const secedit = parser.sectionEdit
+      ? headings.map((block, i) => {
+        const end = i + 1 < headings.length ? headings[i + 1].start - 1 : this.lines.length;
+        return extra(this.extras.secedit[i], 'secedit', this.renderer.renderSectionEdit(block.number, block.start, end));
+      })
+      : [];
+    const footnotesHtml = this.renderer.renderFootnotes(this.footnotes);
+    const footnotes = footnotesHtml ? extra(this.extras.footnotes, 'footnotes', footnotesHtml) : null;
+    this.extras = { toc, secedit, footnotes };
+
+    const units = [];
+    let heading = -1;
+    this.blocks.forEach(block => {
+      if (block.node.type === 'heading') {
+        if (heading === -1 && toc) units.push(toc);
+        if (heading >= 0 && secedit[heading]) units.push(secedit[heading]);
+        heading++;
+      }
+      units.push(block.unit);
+    });
+    if (heading >= 0 && secedit[heading]) units.push(secedit[heading]);
+    if (footnotes) units.push(footnotes);
+    this.units = units;
+  }
+
+  /**
+   * Lists the splices that turn one unit list into another.
+   *
+   * @param {Array} before - Previous units.
+   * @param {Array} after - Current units; units kept from `before` are the same objects.
+   * @returns {Array} - Splices `{ index, remove, units }`.
+   */
+  diffUnits(before, after) {
+    // Units kept in their old order stay; a reused unit that moved is removed and inserted again
+    const index = new Map(after.map((unit, i) => [unit, i]));
+    const kept = new Set();
+    let previous = -1;
+    before.forEach(unit => {
+      const i = index.get(unit);
+      if (i !== undefined && i > previous) {
+        kept.add(unit);
+        previous = i;
+      }
+    });
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+      if (i < before.length && j < after.length && before[i] === after[j]) {
+        i++;
+        j++;
+        continue;
+      }
+      const change = { index: j, remove: 0, units: [] };
+      while (i < before.length && !kept.has(before[i])) {
+        change.remove++;
+        i++;
+      }
+      while (j < after.length && !kept.has(after[j])) change.units.push(after[j++]);
+      changes.push(change);
+    }
+    return changes;
+  }
+}
+
+DokuParserJS.DokuDocument = DokuDocument;
+
+/**
+ * Parses a page that arrives in pieces and renders its blocks as soon as they are complete, so huge pages
+ * are converted with bounded memory.
+ *
+ * @param {DokuParserJS} parser - Parser whose options are used for parsing and rendering (HTML only).
+ * @param {Object} [options] - Stream options.
+ * @param {string} [options.tocPlaceholder='<!-- TOC -->'] - Written where the table of contents goes (with
+ *   the parser's `toc` option); the TOC is only known at the end and is then available as `toc`.
+ *
+ * @example
+ * const stream = new DokuParserJS.DokuStream(new DokuParserJS());
+ * let html = stream.write('====== Log ======\n\n');
+ * html += stream.write('  * entry\n');
+ * html += stream.end();
+ *
+ * Logic:
+ * - Complete lines are collected until a blank line or a heading, where blocks normally end. The lines up
+ *   to there are parsed; if no block is still open (e.g., an unclosed `<code>` or `<nowiki>`), their
+ *   blocks are rendered and the lines are dropped. Otherwise parsing is retried once the collected lines
+ *   have doubled, so an open block costs linear time.
+ * - Footnote numbers, heading IDs, section numbers and code block indexes carry over between pieces, so
+ *   the output equals `parse()` of the whole text (apart from the TOC placeholder).
+ * - Section edit hooks are written when the next heading starts, footnotes at the end.
+ */
+class DokuStream {
+  constructor(parser, options = {}) {
+    this.parser = parser;
+    this.renderer = new HTMLRenderer(parser, parser.rendererOptions);
+    this.tocPlaceholder = options.tocPlaceholder !== undefined ? options.tocPlaceholder : '<!-- TOC -->';
+    this.toc = '';
+    this.pending = []; // Complete lines that are not rendered yet
+    this.partial = ''; // Text after the last line break
+    this.line = 1; // Line number of the first pending line
+    this.retryAt = 0; // Number of pending lines before parsing is tried again after an open block
+    this.started = false;
+    this.ended = false;
+    this.headings = []; // Headings for the TOC as `{ level, id, title }`
+    this.section = null; // Open section as `{ number, start }`, for its edit hook
+    parser.footnotes = [];
+    parser.footnoteContent = new Map();
+    parser.macros = { notoc: false, nocache: false };
+    parser.missingLinks = [];
+    parser.sectionCount = 0;
+    parser.headingIds = new Set();
+  }
+
+  /**
+   * Adds text and renders the blocks it completes.
+   *
+   * @param {string} text - Next piece of DokuWiki markup (may end mid-line).
+   * @returns {string} - HTML of the blocks completed so far (often empty).
+   * @throws {Error} - If the stream has ended.
+   */
+  write(text) {
+    if (this.ended) throw new Error('Cannot write after end()');
+    text = this.partial + text;
+    // A trailing CR waits for a possible LF
+    const cut = text.endsWith('\r') ? text.length - 1 : text.length;
+    const lines = text.slice(0, cut).replace(/\r\n?/g, '\n').split('\n');
+    this.partial = lines.pop() + text.slice(cut);
+    lines.forEach(line => this.pending.push(line));
+    return this.flush(false);
+  }
+
+  /**
+   * Renders the remaining blocks, the footnotes and the TOC.
+   *
+   * @returns {string} - Remaining HTML, closing the page wrapper.
+   */
+  end() {
+    if (this.ended) return '';
+    // Only a trailing CR can be left; it ends the last line
+    this.partial.split('\r').forEach(line => this.pending.push(line));
+    this.partial = '';
+    let html = this.flush(true);
+    this.ended = true;
+    const parts = [];
+    if (this.section && this.parser.sectionEdit) parts.push(this.renderer.renderSectionEdit(this.section.number, this.section.start, this.line - 1));
+    const footnotes = this.renderer.renderFootnotes(this.parser.footnotes);
+    if (footnotes) parts.push(footnotes);
+    html += this.emit(parts);
+    if (this.headings.length) {
+      const sections = this.headings.map(heading => ({ type: 'section', children: [heading] }));
+      this.toc = this.renderer.renderToc(this.renderer.tocHeadings({ children: sections, macros: this.parser.macros }));
+    }
+    if (!this.started) html += this.renderer.fragment ? '' : '<div class="page group">';
+    return this.renderer.fragment ? html : `${html}</div>`;
+  }
+
+  /**
+   * Parses pending lines up to the last place where blocks end and renders them.
+   *
+   * @param {boolean} final - Parse all pending lines (at the end of the input).
+   * @returns {string} - HTML of the rendered blocks.
+   */
+  flush(final) {
+    const parser = this.parser;
+    let count = this.pending.length;
+    let probe = null; // Kind of the last line when parsing stops early: 'blank' or 'heading'
+    if (!final) {
+      if (count < this.retryAt) return '';
+      while (count > 0) {
+        const text = this.pending[count - 1];
+        if (!text.trim()) probe = 'blank';
+        else if (/^[ \t]*={2,}.*={2,}[ \t]*$/.test(text)) probe = 'heading';
+        if (probe) break;
+        count--;
+      }
+      if (!count) return '';
+    }
+    // Parser state is restored if a block is still open; maps and sets only grow, so their sizes suffice
+    const state = [parser.footnotes.length, parser.footnoteContent.size, { ...parser.macros }, parser.missingLinks.length, parser.sectionCount, parser.headingIds.size];
+    const lines = []; // Sparse: only the parsed lines are set, at their line number
+    const queue = this.pending.slice(0, count).map((text, index) => {
+      lines[this.line - 1 + index] = text;
+      return { text, line: this.line + index, column: 1 };
+    });
+    const blocks = parser.parseBlocks(queue, lines).flatMap(node => (node.type === 'section' ? node.children : [node]));
+
+    // Blocks are complete if the blank line closed them, or if the heading line parsed as a heading
+    const last = blocks[blocks.length - 1];
+    const lastLine = this.line + count - 1;
+    const open = probe === 'blank'
+      ? last && last.position && last.position.end.line >= lastLine
+      : probe === 'heading' && !(last && last.type === 'heading' && last.position.start.line === lastLine && last.position.start.column === 1);
+    if (open) {
+      const [footnotes, footnoteKeys, macros, missingLinks, sectionCount, headingIds] = state;
+      parser.footnotes.length = footnotes;
+      [...parser.footnoteContent.keys()].slice(footnoteKeys).forEach(key => parser.footnoteContent.delete(key));
+      parser.macros = macros;
+      parser.missingLinks.length = missingLinks;
+      parser.sectionCount = sectionCount;
+      [...parser.headingIds].slice(headingIds).forEach(id => parser.headingIds.delete(id));
+      this.retryAt = this.pending.length * 2;
+      return '';
+    }
+    this.retryAt = 0;
+    this.pending.splice(0, count);
+    this.line += count;
+
+    const parts = [];
+    blocks.forEach(node => {
+      if (node.type === 'heading') {
+        if (this.section && parser.sectionEdit) parts.push(this.renderer.renderSectionEdit(this.section.number, this.section.start, node.position.start.line - 1));
+        if (!this.section && parser.toc && this.tocPlaceholder) parts.push(this.tocPlaceholder);
+        this.section = { number: this.renderer.sectionNumber + 1, start: node.position.start.line };
+        if (parser.toc) this.headings.push(node);
+      }
+      const html = this.renderer.renderBlock(node);
+      if (html) parts.push(html);
+    });
+    return this.emit(parts);
+  }
+
+  /**
+   * Joins rendered parts the way `HTMLRenderer.render()` does.
+   *
+   * @param {Array} parts - HTML of blocks.
+   * @returns {string} - Parts separated by newlines, after the page wrapper's opening tag for the first part.
+   */
+  emit(parts) {
+    if (!parts.length) return '';
+    const html = parts.join('\n');
+    if (this.started) return `\n${html}`;
+    this.started = true;
+    return this.renderer.fragment ? html : `<div class="page group">${html}`;
+  }
+
+  /**
+   * Renders an async iterable of text pieces (e.g., a Node.js readable stream or a `fetch()` body).
+   *
+   * @param {AsyncIterable|Iterable} source - Pieces as strings or bytes (UTF-8).
+   * @returns {AsyncGenerator} - Yields HTML as blocks complete; empty pieces are skipped.
+   */
+  async *parse(source) {
+    const decoder = new TextDecoder();
+    for await (const chunk of source) {
+      const html = this.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+      if (html) yield html;
+    }
+    const rest = decoder.decode();
+    const html = (rest ? this.write(rest) : '') + this.end();
+    if (html) yield html;
+  }
+}
+
+DokuParserJS.DokuStream = DokuStream;
+
+// Interwiki shortcuts shipped in DokuWiki's conf/interwiki.conf
+const defaultInterwikiConf = `
+wp        https://en.wikipedia.org/wiki/{NAME}
+wpfr      https://fr.wikipedia.org/wiki/{NAME}
+wpde      https://de.wikipedia.org/wiki/{NAME}
+wpes      https://es.wikipedia.org/wiki/{NAME}
+wppl      https://pl.wikipedia.org/wiki/{NAME}
+wpjp      https://ja.wikipedia.org/wiki/{NAME}
+wpru      https://ru.wikipedia.org/wiki/{NAME}
+wpmeta    https://meta.wikipedia.org/wiki/{NAME}
+doku      https://www.dokuwiki.org/
+rfc       https://tools.ietf.org/html/rfc
+man       http://man.cx/
+amazon    https://www.amazon.com/dp/{URL}?tag=splitbrain-20
+amazon.de https://www.amazon.de/dp/{URL}?tag=splitbrain-21
+amazon.uk https://www.amazon.co.uk/dp/{URL}
+paypal    https://www.paypal.com/cgi-bin/webscr?cmd=_xclick&business=
+phpfn     https://secure.php.net/{NAME}
+skype     skype:{NAME}
+google    https://www.google.com/search?q=
+google.de https://www.google.de/search?q=
+go        https://www.google.com/search?q={URL}&btnI=lucky
+user      :user:{NAME}
+callto    callto://{NAME}
+tel       tel:{NAME}
+`;
+
+// Default `interwikiMap`; copy it to add shortcuts (e.g., { ...DokuParserJS.defaultInterwiki, my: '...' })
+DokuParserJS.defaultInterwiki = DokuParserJS.parseInterwikiConf(defaultInterwikiConf);
+
+// MIME types of media by extension, as in DokuWiki's conf/mime.conf; add entries for other file types
+DokuParserJS.mimeTypes = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', png: 'image/png', webp: 'image/webp',
+  svg: 'image/svg+xml', ico: 'image/vnd.microsoft.icon',
+  mp3: 'audio/mpeg', ogg: 'audio/ogg', wav: 'audio/wav',
+  webm: 'video/webm', ogv: 'video/ogg', mp4: 'video/mp4', vtt: 'text/vtt',
+  tgz: 'application/octet-stream', tar: 'application/x-gtar', gz: 'application/octet-stream',
+  bz2: 'application/octet-stream', zip: 'application/zip', rar: 'application/rar', '7z': 'application/x-7z-compressed',
+  pdf: 'application/pdf', ps: 'application/postscript', rpm: 'application/octet-stream', deb: 'application/octet-stream',
+  doc: 'application/msword', xls: 'application/msexcel', ppt: 'application/mspowerpoint', rtf: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text', ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation', odg: 'application/vnd.oasis.opendocument.graphics',
+  txt: 'text/plain', csv: 'text/csv'
+};
+
+// Formats played with <video> and <audio>, in the order of their <source> elements (DokuWiki's media_supportedav())
+const mediaPlayerTypes = {
+  video: { webm: 'video/webm', ogv: 'video/ogg', mp4: 'video/mp4' },
+  audio: { ogg: 'audio/ogg', mp3: 'audio/mpeg', wav: 'audio/wav' }
+};
+DokuParserJS.mediaPlayerTypes = mediaPlayerTypes;
+
+/**
+ * Renders the `<iframe>` of a video embed (used by the built-in YouTube and Vimeo media handlers).
+ *
+ * @param {Object} node - Media node matched by the handler.
+ * @param {Renderer} renderer - HTML renderer.
+ * @param {string} src - Player URL.
+ * @returns {string} - Iframe HTML, 425x239 unless the media gives a size; `data-wiki-media` keeps the markup
+ *   for `stringify()`.
+ */
+function embedFrame(node, renderer, src) {
+  const esc = value => renderer.parser.escapeEntities(value);
+  const width = node.width || 425;
+  const height = node.height || Math.round(width * 9 / 16);
+  const title = node.title ? ` title="${esc(node.title)}"` : '';
+  const markup = new DokuSerializer(renderer.parser).renderMedia(node);
+  return `<iframe src="${esc(src)}" class="media${node.align ? ' media' + node.align : ''} mediaembed" width="${width}" height="${height}"${title} data-wiki-media="${esc(markup)}" allowfullscreen="allowfullscreen" loading="lazy"></iframe>`;
+}
+
+// Media handlers every parser starts with; `use({ media: [...] })` adds or replaces handlers per parser
+DokuParserJS.mediaHandlers = {
+  youtube: {
+    name: 'youtube',
+    match: /^(?:youtube>|https?:\/\/youtu\.be\/)(?<id>[\w-]+)$/i,
+    url: ({ id }) => `https://www.youtube.com/watch?v=${id}`,
+    render: { html: (node, renderer) => embedFrame(node, renderer, `https://www.youtube-nocookie.com/embed/${node.embed.id}`) }
+  },
+  vimeo: {
+    name: 'vimeo',
+    match: /^(?:vimeo>|https?:\/\/(?:www\.)?vimeo\.com\/)(?<id>\d+)$/i,
+    url: ({ id }) => `https://vimeo.com/${id}`,
+    render: { html: (node, renderer) => embedFrame(node, renderer, `https://player.vimeo.com/video/${node.embed.id}`) }
+  }
+};
+
+// Token patterns shared by several highlighter languages
+const highlightPatterns = {
+  blockComment: /\/\*[\s\S]*?(?:\*\/|$)/,
+  lineComment: /\/\/.*/,
+  hashComment: /#.*/,
+  doubleQuoted: /"(?:\\[\s\S]|[^"\\\n])*"?/,
+  singleQuoted: /'(?:\\[\s\S]|[^'\\\n])*'?/,
+  number: /\b(?:0[xX][\da-fA-F]+|0[bB][01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)[fFlLuU]*\b/,
+  brackets: /[()[\]{}]/,
+  symbols: /[=+\-*\/%&|^!<>?:;,.~@]+/,
+  escape: /\\(?:x[\da-fA-F]{2}|u[\da-fA-F]{4}|[\s\S])/g
+};
+
+/**
+ * Builds a highlighter language for a C-style syntax.
+ *
+ * @param {Object} keywords - Keyword groups, as `{ kw1: 'space separated words', ... }`.
+ * @param {Array} [tokens=[]] - Extra `[className, pattern]` rules tried before the shared ones.
+ * @returns {Object} - Language definition for `highlightLanguages`.
+ */
+function cStyleLanguage(keywords, tokens = []) {
+  return {
+    tokens: [
+      ...tokens,
+      ['coMULTI', highlightPatterns.blockComment],
+      ['co1', highlightPatterns.lineComment],
+      ['st0', highlightPatterns.doubleQuoted],
+      ['st0', highlightPatterns.singleQuoted],
+      ['nu0', highlightPatterns.number],
+      ['me1', /(?<=\.)[A-Za-z_$][\w$]*/],
+      ['br0', highlightPatterns.brackets],
+      ['sy0', highlightPatterns.symbols]
+    ],
+    keywords,
+    escape: highlightPatterns.escape
+  };
+}
+
+// Tokens inside an HTML or XML tag: name, attributes and attribute values
+const markupTagLanguage = {
+  tokens: [
+    ['kw2', /(?<=^<\/?)[A-Za-z][\w:.-]*/],
+    ['st0', /"[^"]*"|'[^']*'|(?<==\s*)[^\s"'>]+/],
+    ['kw3', /[^\s"'<>\/=]+/],
+    ['sy0', /=/]
+  ]
+};
+
+/**
+ * Languages of the built-in syntax highlighter, keyed by name.
+ *
+ * Each language is `{ aliases, tokens, keywords, identifier, caseInsensitive, escape }`:
+ * - `tokens`: `[className, pattern, language]` rules tried in order at each position; a match
+ *   becomes a `<span class="className">`, highlighted with `language` if one is given.
+ * - `keywords`: `{ className: 'space separated words' }` for words matching `identifier`.
+ * - `escape`: global pattern for escape sequences inside `st0` strings (class `es0`).
+ * Class names follow GeSHi, so DokuWiki stylesheets apply: `kw1`-`kw4` keywords, `co1`/`co2`/`coMULTI`
+ * comments, `st0`/`st_h` strings, `es0` escapes, `nu0` numbers, `br0` brackets, `sy0` symbols,
+ * `me1`/`me2` methods and `re0`-`re3` variables or other language-specific tokens.
+ */
+const highlightLanguages = {
+  javascript: {
+    aliases: ['js', 'jsx', 'ecmascript', 'typescript', 'ts', 'node'],
+    ...cStyleLanguage({
+      kw1: 'break case catch continue default do else finally for if return switch throw try while with yield await',
+      kw2: 'async class const debugger delete export extends false function import in instanceof let new null of static super this true typeof undefined var void NaN Infinity',
+      kw3: 'alert Array Boolean console Date document Error JSON Map Math Number Object Promise RegExp require Set String Symbol window'
+    }, [
+      ['st0', /`(?:\\[\s\S]|[^`\\])*`?/],
+      ['re0', /(?<=(?:^|[=(,:;!&|?{}[]|return|typeof)\s*)\/(?![*\/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^\/\\\n[])+\/[gimsuyd]*/]
+    ])
+  },
+  php: {
+    aliases: ['php3', 'php4', 'php5', 'php-brief'],
+    tokens: [
+      ['kw2', /<\?(?:php\b|=)?|\?>/],
+      ['coMULTI', highlightPatterns.blockComment],
+      ['co1', highlightPatterns.lineComment],
+      ['co2', highlightPatterns.hashComment],
+      ['st0', highlightPatterns.doubleQuoted],
+      ['st_h', /'(?:\\['\\]|[^'\\])*'?/],
+      ['re0', /\$[A-Za-z_]\w*/],
+      ['me1', /(?<=->)[A-Za-z_]\w*/],
+      ['me2', /(?<=::)[A-Za-z_]\w*/],
+      ['nu0', highlightPatterns.number],
+      ['br0', highlightPatterns.brackets],
+      ['sy0', highlightPatterns.symbols]
+    ],
+    keywords: {
+      kw1: 'as break case catch continue declare default do else elseif endfor endforeach endif endswitch endwhile finally for foreach goto if include include_once match require require_once return switch throw try while yield',
+      kw2: 'abstract array class clone const die echo empty enum exit extends false final fn function global implements instanceof interface isset list namespace new null parent print private protected public readonly self static trait true unset use var',
+      kw3: 'array_keys array_map array_merge array_values count explode file_get_contents htmlspecialchars implode in_array is_array json_decode json_encode preg_match preg_replace sprintf str_replace strlen strpos strtolower substr trim'
+    },
+    caseInsensitive: true,
+    escape: highlightPatterns.escape
+  },
+  python: {
+    aliases: ['py', 'python3'],
+    tokens: [
+      ['co1', highlightPatterns.hashComment],
+      ['st0', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/],
+      ['st0', /[rRbBuUfF]{0,2}(?:"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?)/],
+      ['nu0', highlightPatterns.number],
+      ['me1', /(?<=\.)[A-Za-z_]\w*/],
+      ['me2', /@[A-Za-z_][\w.]*/],
+      ['br0', highlightPatterns.brackets],
+      ['sy0', /[=+\-*\/%&|^!<>:;,.~]+/]
+    ],
+    keywords: {
+      kw1: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+      kw2: 'False None True self cls',
+      kw3: 'abs all any bool bytes dict enumerate filter float format getattr hasattr input int isinstance len list map max min next object open print range repr reversed round set sorted str sum super tuple type zip'
+    },
+    escape: highlightPatterns.escape
+  },
+  bash: {
+    aliases: ['sh', 'shell', 'zsh', 'console'],
+    tokens: [
+      ['co1', /(?<![^\s;&|(])#.*/],
+      ['st0', /"(?:\\[\s\S]|[^"\\])*"?/],
+      ['st_h', /'[^']*'?/],
+      ['re2', /\$(?:\{[^}\n]*\}?|\(\(?|[A-Za-z_]\w*|[\d#?$!@*-])/],
+      ['nu0', /\b\d+\b/],
+      ['br0', highlightPatterns.brackets],
+      ['sy0', /[=|&;<>!]+/]
+    ],
+    keywords: {
+      kw1: 'case do done elif else esac fi for function if in select then until while',
+      kw2: 'apt awk cat chmod chown cp curl cut diff find git grep head less ln ls make mkdir mv rm rmdir sed sort ssh sudo tail tar touch tr uniq wc wget xargs',
+      kw3: 'alias cd declare echo eval exec exit export local printf pwd read readonly return set shift source test trap unset'
+    },
+    identifier: /[A-Za-z_][\w-]*/,
+    escape: /\\[\s\S]/g
+  },
+  json: {
+    aliases: ['json5', 'jsonc'],
+    tokens: [
+      ['co1', highlightPatterns.lineComment],
+      ['coMULTI', highlightPatterns.blockComment],
+      ['re0', /"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)/],
+      ['st0', highlightPatterns.doubleQuoted],
+      ['nu0', /-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/],
+      ['br0', highlightPatterns.brackets],
+      ['sy0', /[:,]/]
+    ],
+    keywords: { kw2: 'false null true' },
+    escape: highlightPatterns.escape
+  },
+  html: {
+    aliases: ['html4strict', 'html5', 'xhtml', 'xml', 'svg', 'xslt', 'rss'],
+    tokens: [
+      ['coMULTI', /<!--[\s\S]*?(?:-->|$)/],
+      ['sc0', /<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![A-Za-z][^>]*>?|<\?[\s\S]*?(?:\?>|$)/],
+      ['sc2', /<\/?[A-Za-z][\w:.-]*(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*\s*\/?>/, markupTagLanguage],
+      ['sc1', /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z]\w*);/]
+    ],
+    keywords: {},
+    identifier: /[^<&]+/
+  },
+  css: {
+    aliases: ['less', 'scss'],
+    tokens: [
+      ['coMULTI', highlightPatterns.blockComment],
+      ['st0', highlightPatterns.doubleQuoted],
+      ['st0', highlightPatterns.singleQuoted],
+      ['kw4', /@[\w-]+/],
+      ['re3', /(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)/],
+      ['nu0', /\d+\.?\d*|\.\d+/],
+      ['re0', /#[\w-]+/],
+      ['re1', /\.[A-Za-z_-][\w-]*/],
+      ['re2', /::?[A-Za-z][\w-]*(?=[\s,{:.#[)]|$)/],
+      ['br0', highlightPatterns.brackets],
+      ['sy0', /[:;,>+~*=!]/]
+    ],
+    keywords: {
+      kw1: 'align-items background background-color border border-radius bottom box-shadow color content cursor display flex font font-family font-size font-style font-weight gap grid height justify-content left line-height list-style margin margin-bottom margin-left margin-right margin-top max-width min-width opacity overflow padding padding-bottom padding-left padding-right padding-top position right text-align text-decoration top transform transition vertical-align visibility white-space width z-index',
+      kw2: 'absolute auto block bold bolder both center collapse dashed dotted fixed flex grid hidden important inherit initial inline inline-block italic left none normal nowrap pointer relative right solid static sticky transparent underline visible',
+      kw3: 'attr calc rgb rgba hsl hsla url var'
+    },
+    identifier: /-?[A-Za-z_][\w-]*/,
+    caseInsensitive: true,
+    escape: /\\[\da-fA-F]{1,6}|\\[\s\S]/g
+  },
+  sql: {
+    aliases: ['mysql', 'postgresql', 'pgsql', 'sqlite', 'plsql', 'tsql'],
+    tokens: [
+      ['co1', /--.*/],
+      ['coMULTI', highlightPatterns.blockComment],
+      ['st0', /'(?:''|\\[\s\S]|[^'\\])*'?/],
+      ['st0', /"(?:""|[^"])*"?|`[^`]*`?/],
+      ['nu0', highlightPatterns.number],
+      ['br0', /[()]/],
+      ['sy0', /[=<>!+\-*\/%,;.|]+/]
+    ],
+    keywords: {
+      kw1: 'add all alter and as asc begin between by case check column commit constraint create cross database default delete desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left like limit not null offset on or order outer primary references rollback right select set table then transaction union unique update values view when where with',
+      kw2: 'avg cast coalesce concat count current_date current_timestamp ifnull length lower max min now nullif round substring sum trim upper',
+      kw3: 'bigint blob boolean char date datetime decimal double float int integer numeric real serial smallint text time timestamp varchar'
+    },
+    caseInsensitive: true
+  },
+  c: {
+    aliases: ['h'],
+    ...cStyleLanguage({
+      kw1: 'break case continue default do else for goto if return switch while',
+      kw2: 'NULL auto const enum extern inline register restrict sizeof static struct typedef union volatile',
+      kw3: 'calloc exit fclose fgets fopen fprintf free malloc memcpy memset printf puts realloc scanf sprintf strcmp strcpy strlen',
+      kw4: 'bool char double float int long short signed size_t unsigned void'
+    }, [['co2', /(?<![^\n])[ \t]*#[ \t]*[A-Za-z]+.*/]])
+  },
+  cpp: {
+    aliases: ['c++', 'cc', 'hpp', 'cxx'],
+    ...cStyleLanguage({
+      kw1: 'break case catch continue default do else for goto if return switch throw try while',
+      kw2: 'auto class const constexpr delete enum explicit extern false friend inline namespace new nullptr operator private protected public sizeof static struct template this true typedef typename union using virtual volatile',
+      kw3: 'cerr cin cout endl map std string unique_ptr shared_ptr vector',
+      kw4: 'bool char double float int long short signed size_t unsigned void'
+    }, [['co2', /(?<![^\n])[ \t]*#[ \t]*[A-Za-z]+.*/]])
+  },
+  java: {
+    aliases: ['java5', 'kotlin', 'csharp', 'cs', 'scala'],
+    ...cStyleLanguage({
+      kw1: 'break case catch continue default do else finally for if return switch throw try while',
+      kw2: 'abstract assert class enum extends false final implements import instanceof interface native new null package private protected public record static super synchronized this throws transient true var volatile',
+      kw3: 'ArrayList Exception HashMap Integer List Map Math Object String StringBuilder System',
+      kw4: 'boolean byte char double float int long short void'
+    }, [['me2', /@[A-Za-z_]\w*/]])
+  },
+  ini: {
+    aliases: ['conf', 'cfg', 'properties', 'desktop', 'toml'],
+    tokens: [
+      // Comments take a whole line, or follow a value after whitespace ('a = 1 ; one', not 'a = x#y')
+      ['co1', /(?<![^\n])[ \t]*[;#].*|(?<=[ \t])[;#].*/],
+      ['re0', /(?<![^\n])[ \t]*\[[^\]\n]*\]?/],
+      ['re1', /(?<![^\n])[ \t]*[^\s=;#[][^=\n]*?(?=[ \t]*=)/],
+      ['sy0', /=/],
+      ['st0', /(?<==[ \t]*)(?:"[^"\n]*"?|'[^'\n]*'?)/],
+      ['re2', /(?<==[ \t]*)[^\s"'](?:(?![ \t]+[;#])[^\n])*/]
+    ],
+    keywords: {}
+  }
+};
+
+DokuParserJS.highlightLanguages = highlightLanguages;
+
+// Keyword lookup tables of highlighter languages, keyed by the language object
+const highlightKeywordMaps = new WeakMap();
+
+/**
+ * Finds a highlighter language by name or alias.
+ *
+ * @param {string} lang - Language name from a code block (e.g., 'js', 'PHP').
+ * @returns {Object|null} - Language definition, or null if the language is unknown.
+ */
+function findHighlightLanguage(lang) {
+  const name = String(lang || '').toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(highlightLanguages, name)) return highlightLanguages[name];
+  return Object.values(highlightLanguages).find(language => (language.aliases || []).includes(name)) || null;
+}
+
+/**
+ * Escapes text for use inside highlighted HTML.
+ *
+ * @param {string} text - Source code.
+ * @returns {string} - Text with `&`, `<`, `>` and `"` escaped.
+ */
+function escapeCode(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlights source code with the built-in highlighter.
+ *
+ * @param {string} code - Source code.
+ * @param {string|Object} lang - Language name or alias, or a language definition.
+ * @returns {string|null} - Escaped HTML with GeSHi-style `<span>` tokens, or null if the language is unknown.
+ *
+ * Logic:
+ * - At each position, the language's token rules are tried in order; the first match becomes a span.
+ * - Otherwise a word matching the identifier pattern is looked up in the keyword groups.
+ * - Anything else is copied as escaped text; escape sequences in `st0` strings get class `es0`.
+ */
+function highlightSource(code, lang) {
+  const language = typeof lang === 'object' && lang ? lang : findHighlightLanguage(lang);
+  if (!language) return null;
+  let keywords = highlightKeywordMaps.get(language);
+  if (!keywords) {
+    keywords = new Map();
+    Object.entries(language.keywords || {}).forEach(([className, words]) => {
+      words.split(/\s+/).filter(Boolean).forEach(word => {
+        keywords.set(language.caseInsensitive ? word.toLowerCase() : word, className);
+      });
+    });
+    highlightKeywordMaps.set(language, keywords);
+  }
+  const identifier = stickyPattern(language.identifier || /[A-Za-z_$][\w$]*/);
+  let html = '';
+  let plain = '';
+  let pos = 0;
+  const span = (className, content) => {
+    html += `${escapeCode(plain)}<span class="${className}">${content}</span>`;
+    plain = '';
+  };
+  scan: while (pos < code.length) {
+    for (const [className, pattern, inner] of language.tokens || []) {
+      const sticky = stickyPattern(pattern);
+      sticky.lastIndex = pos;
+      const match = sticky.exec(code);
+      if (!match || !match[0]) continue;
+      let content;
+      if (inner) {
+        content = highlightSource(match[0], inner);
+      } else if (className === 'st0' && language.escape) {
+        content = match[0].split(new RegExp(`(${language.escape.source})`, language.escape.flags.replace('g', '')))
+          .map((part, i) => (i % 2 ? `<span class="es0">${escapeCode(part)}</span>` : escapeCode(part)))
+          .join('');
+      } else {
+        content = escapeCode(match[0]);
+      }
+      span(className, content);
+      pos += match[0].length;
+      continue scan;
+    }
+    identifier.lastIndex = pos;
+    const word = identifier.exec(code);
+    if (word && word[0]) {
+      const className = keywords.get(language.caseInsensitive ? word[0].toLowerCase() : word[0]);
+      if (className) span(className, escapeCode(word[0]));
+      else plain += word[0];
+      pos += word[0].length;
+    } else {
+      plain += code[pos++];
+    }
+  }
+  return html + escapeCode(plain);
+}
+
+/**
+ * Splits highlighted HTML into lines, closing open elements at each line end and reopening them on
+ * the next line.
+ *
+ * @param {string} html - Highlighted HTML with newlines (e.g., a comment span covering several lines).
+ * @returns {Array} - HTML of each line, with balanced tags.
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let line = '';
+  let last = 0;
+  const pattern = /<(\/?)([A-Za-z][\w-]*)[^>]*>|\n/g;
+  let match;
+  while ((match = pattern.exec(html))) {
+    line += html.slice(last, match.index);
+    last = pattern.lastIndex;
+    if (match[0] === '\n') {
+      lines.push(line + open.map(tag => `</${tag.name}>`).reverse().join(''));
+      line = open.map(tag => tag.html).join('');
+    } else {
+      line += match[0];
+      if (match[1]) {
+        const index = open.map(tag => tag.name).lastIndexOf(match[2].toLowerCase());
+        if (index !== -1) open.splice(index);
+      } else if (!voidElements.test(match[2].toLowerCase()) && !match[0].endsWith('/>')) {
+        open.push({ name: match[2].toLowerCase(), html: match[0] });
+      }
+    }
+  }
+  lines.push(line + html.slice(last));
+  return lines;
+}
+
+/**
+ * Parses the options of a code block (the text inside `[...]` after the language and file name).
+ *
+ * @param {string|null} text - Options (e.g., 'enable_line_numbers, highlight_lines_extra="2,3"').
+ * @returns {Object} - Option values; bare names are true, 'true'/'false' become booleans and
+ *   numbers become numbers (e.g., `{ enable_line_numbers: true, highlight_lines_extra: '2,3' }`).
+ */
+function parseCodeOptions(text) {
+  const options = {};
+  const pattern = /([A-Za-z_][\w-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s,\]]+)))?/g;
+  let match;
+  while ((match = pattern.exec(text || ''))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    if (value === undefined || value === 'true') options[match[1]] = true;
+    else if (value === 'false') options[match[1]] = false;
+    else options[match[1]] = /^-?\d+$/.test(value) ? Number(value) : value;
   }
+  return options;
 }
 
 /**
- * Table parser function for handling DokuWiki table syntax.
+ * Table parser function for handling DokuWiki table syntax, following DokuWiki's table handler.
  *
  * @param {Object} options - Table parsing options.
  * @param {Array} options.lines - Array of table lines.
- * @param {boolean} options.inCode - Whether table is in a code section (no parsing).
- * @param {Function} options.nestedParse - Function to parse cell content.
- * @returns {string} - HTML table output.
+ * @returns {Array} - Rows as `{ index, head, cells }`, where `index` is the row's position in `lines`, `head`
+ *   marks rows of the table head and cells are the visible cells `{ content, type, align, colspan,
+ *   rowspan, col, offset }` (`col` is the grid column the cell starts in).
+ *
+ * Logic:
+ * - Every `^` or `|` opens a cell that ends at the next one; text after the last delimiter is dropped.
+ *   Delimiters inside links, media, footnotes, `%%`, `<nowiki>`, `<html>`, `<php>`, `<code>` and
+ *   `<file>` belong to the cell content.
+ * - A cell without any content, not even a space, extends the previous cell (colspan); a cell with only
+ *   `:::` extends the cell above it (rowspan); without a cell above (in the first row, or the first body row
+ *   below the head) it is ordinary text, as in DokuWiki.
+ * - Two or more spaces (or a tab) before the content align right, after it left, on both sides center;
+ *   a cell holding only such whitespace aligns left.
+ * - Rows are padded with empty cells to the widest row, counting spanned cells as DokuWiki does, so
+ *   rows whose first cell is a colspan stay short.
+ * - Leading rows of header cells (at most two data cells, and at least twice as many header cells)
+ *   form the table head, unless every row does.
  */
-function tableParser({ lines = [], inCode = false, nestedParse = (text) => text }) {
+function tableParser({ lines = [] }) {
   // Handle empty or invalid input
-  if (!Array.isArray(lines) || lines.length === 0) return '';
-
-  // If in code section, return as preformatted text
-  if (inCode) {
-    return `<pre class="code">${lines.map(l => l.toString()).join('\n')}</pre>`;
-  }
+  if (!Array.isArray(lines) || lines.length === 0) return [];
 
   // Collect table lines
   const tableLines = [];
@@ -1115,169 +6877,816 @@ function tableParser({ lines = [], inCode = false, nestedParse = (text) => text
     if (!trimmed || !/^[|^]/.test(trimmed)) break;
     tableLines.push(line.toString());
   }
-  if (tableLines.length < 1) return '';
+  if (tableLines.length < 1) return [];
+
+  // Constructs whose content may contain cell delimiters, with their closing text
+  const protectedPattern = /\[\[|\{\{|\(\(|%%|<(nowiki|html|HTML|php|PHP)>|<(code|file)(?=[\s>])/y;
+  const closers = { '[[': ']]', '{{': '}}', '((': '))', '%%': '%%' };
+  // Whitespace that aligns a cell: a tab or at least two spaces (a single space is content)
+  const isAlign = space => space.length > 0 && space !== ' ';
 
   /**
    * Splits a table row into cells.
    *
    * @param {string} line - Table row input.
-   * @returns {Array} - Array of cell objects.
+   * @returns {Array} - Cells `{ raw, type, offset }` between delimiters; `offset` is the column of the
+   *   raw content in the input line.
    */
   function splitRow(line) {
-    line = line.trim();
-    if (!line) return [];
-    const rowDelim = line[0];
-    if (rowDelim !== '^' && rowDelim !== '|') return [];
+    const shift = line.length - line.trimStart().length;
+    line = line.trimStart();
     const cells = [];
-    let pos = line.indexOf(rowDelim) + 1;
-    let currentDelim = rowDelim;
+    let type = line[0] === '^' ? 'th' : 'td';
+    let start = 1;
+    let pos = 1;
     while (pos < line.length) {
-      let start = pos;
-      while (pos < line.length && line[pos] !== '^' && line[pos] !== '|') {
-        if (line.substring(pos, pos + 2) === '[[') {
-          let linkEnd = line.indexOf(']]', pos + 2);
-          if (linkEnd !== -1) {
-            pos = linkEnd + 2;
-            continue;
-          }
-        }
-        if (line.substring(pos, pos + 6) === '<code>') {
-          let codeEnd = line.indexOf('</code>', pos + 6);
-          if (codeEnd !== -1) {
-            pos = codeEnd + 7;
-            continue;
-          }
-        }
-        pos++;
+      const char = line[pos];
+      if (char === '^' || char === '|') {
+        cells.push({ raw: line.slice(start, pos), type, offset: shift + start });
+        type = char === '^' ? 'th' : 'td';
+        start = ++pos;
+        continue;
       }
-      let rawContent = line.substring(start, pos);
-      let content = rawContent.trim();
-      let align = null;
-      const leadingMatch = rawContent.match(/^\s+/);
-      const leading = leadingMatch ? leadingMatch[0].length : 0;
-      const trailingMatch = rawContent.match(/\s+$/);
-      const trailing = trailingMatch ? trailingMatch[0].length : 0;
-      if (leading >= 2 && trailing >= 2) {
-        align = 'centeralign';
-      } else if (leading >= 2) {
-        align = 'rightalign';
-      } else if (trailing >= 2) {
-        align = 'leftalign';
-      }
-      if (content.startsWith('//')) {
-        content = '';
-      }
-      const type = currentDelim === '^' ? 'th' : 'td';
-      cells.push({ content, type, align, colspan: 1, rowspan: 1 });
-      if (pos < line.length) {
-        const nextDelim = line[pos];
-        if (nextDelim === '^' || nextDelim === '|') {
-          if (nextDelim !== currentDelim) {
-            currentDelim = nextDelim;
-          }
-          pos++;
+      protectedPattern.lastIndex = pos;
+      const match = protectedPattern.exec(line);
+      if (match) {
+        const close = closers[match[0]] || `</${match[1] || match[2]}>`;
+        const end = line.indexOf(close, pos + match[0].length);
+        if (end !== -1) {
+          pos = end + close.length;
+          // `[[...]]]` ends at the last bracket, like the link pattern
+          if (close === ']]') while (line[pos] === ']') pos++;
+          continue;
         }
       }
-    }
-    if (cells.length > 0 && cells[cells.length - 1].content === '' && line.match(/\/\/.*$/)) {
-      cells.pop();
+      pos++;
     }
     return cells;
   }
 
-  // Parse rows and normalize column count
-  let rows = tableLines.map(splitRow);
-  const maxCols = Math.max(...rows.map(r => r.length || 0));
-  rows = rows.map(row => [...row, ...Array(maxCols - row.length).fill(null)]);
+  // Parse rows into cells with their spans and alignment
+  const rows = tableLines.map(line => splitRow(line).map(cell => {
+    const content = cell.raw.trim();
+    const leading = cell.raw.match(/^[\t ]*/)[0];
+    const trailing = content ? cell.raw.match(/[\t ]*$/)[0] : '';
+    let align = null;
+    if (!content) {
+      if (isAlign(cell.raw)) align = 'leftalign';
+    } else {
+      if (isAlign(leading)) align = 'rightalign';
+      if (isAlign(trailing)) align = align ? 'centeralign' : 'leftalign';
+    }
+    return {
+      kind: !cell.raw ? 'colspan' : /^[\t ]*:::[\t ]*$/.test(cell.raw) ? 'rowspan' : 'cell',
+      content,
+      type: cell.type,
+      align,
+      colspan: 1,
+      rowspan: 1,
+      offset: cell.offset + leading.length
+    };
+  }));
+  const width = Math.max(...rows.map(row => row.length));
 
-  // Handle colspans
-  rows.forEach(row => {
-    let j = 0;
-    while (j < maxCols) {
-      let cell = row[j];
-      if (!cell) {
-        j++;
-        continue;
-      }
-      if (cell.content !== '') {
-        let k = j + 1;
-        while (k < maxCols && row[k] && row[k].content === '' && !row[k].skip) {
-          k++;
-        }
-        if (k > j + 1) {
-          cell.colspan += (k - j - 1);
-          for (let m = j + 1; m < k; m++) {
-            row[m].skip = true;
-            row[m].skipWidth = 1;
-            row[m].isColspanSkip = true;
+  // Count the head rows
+  let headRows = 0;
+  while (headRows < rows.length) {
+    const th = rows[headRows].filter(cell => cell.type === 'th').length;
+    const td = rows[headRows].length - th;
+    if (!th || td > 2 || 2 * td > th) break;
+    headRows++;
+  }
+  if (headRows === rows.length) headRows = 0;
+
+  // Resolve spans; spanned cells stay in their row (they count for padding and the cells below)
+  rows.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      if (cell.kind === 'colspan') {
+        cell.colspan = false;
+        cell.hidden = true;
+        const previous = row.slice(0, c).reverse().find(other => other.colspan !== false);
+        if (previous) previous.colspan++;
+      } else if (cell.kind === 'rowspan') {
+        // A rowspan cannot reach from the first body row into the head
+        let above = null;
+        if (!headRows || r !== headRows) {
+          for (let i = r - 1; i >= 0; i--) {
+            const other = rows[i][c];
+            if (other && !other.padding && other.rowspan !== false && other.rowspan >= r - i) {
+              above = other;
+              break;
+            }
           }
         }
-        j = k;
-      } else {
-        j++;
+        if (above) {
+          above.rowspan++;
+          cell.rowspan = false;
+          cell.hidden = true;
+        }
       }
-    }
+    });
+    const end = tableLines[r].length;
+    while (row.length < width) row.push({ kind: 'cell', content: '', type: 'td', align: null, colspan: 1, rowspan: 1, offset: end, padding: true });
   });
 
-  // Handle rowspans
-  for (let c = 0; c < maxCols; c++) {
-    let openRow = -1;
-    for (let r = 0; r < rows.length; r++) {
-      let cell = rows[r][c];
-      if (!cell || cell.skip) continue;
-      if (cell.content.trim() === ':::') {
-        if (openRow !== -1) {
-          rows[openRow][c].rowspan += 1;
-          cell.skip = true;
-          cell.content = '';
-          cell.skipWidth = rows[openRow][c].colspan;
-          cell.isColspanSkip = false;
-        } else {
-          cell.content = '';
-        }
-      } else if (cell.content !== '') {
-        openRow = r;
-        cell.rowspan = 1;
-      } else {
-        openRow = -1;
+  // Collect visible cells with the grid column they start in
+  const taken = rows.map(() => []);
+  return rows.map((row, index) => {
+    const cells = [];
+    let col = 0;
+    row.filter(cell => !cell.hidden).forEach(cell => {
+      while (taken[index][col]) col++;
+      for (let k = 0; k < cell.rowspan && index + k < rows.length; k++) {
+        for (let c = 0; c < cell.colspan; c++) taken[index + k][col + c] = true;
       }
-    }
+      cells.push({ content: cell.content, type: cell.type, align: cell.align, colspan: cell.colspan, rowspan: cell.rowspan, col, offset: cell.offset });
+      col += cell.colspan;
+    });
+    return { index, head: index < headRows, cells };
+  });
+}
+
+/**
+ * Formats rows of values as CSV or TSV.
+ *
+ * @param {Array} rows - Rows as arrays of values (null for empty fields).
+ * @param {string} delimiter - Field delimiter: ',' for CSV (quoted as in RFC 4180) or '\t' for TSV.
+ * @returns {string} - One line per row, separated by '\n'.
+ */
+function formatDelimited(rows, delimiter) {
+  const field = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(field).join(delimiter)).join('\n');
+}
+
+// Sticky copies of inline rule patterns, keyed by the original RegExp
+const stickyPatterns = new WeakMap();
+
+/**
+ * Returns a sticky copy of a rule pattern for matching at a fixed position.
+ *
+ * @param {RegExp} pattern - Rule pattern.
+ * @returns {RegExp} - Cached pattern with the `y` flag and without `g`.
+ */
+function stickyPattern(pattern) {
+  let sticky = stickyPatterns.get(pattern);
+  if (!sticky) {
+    sticky = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '') + 'y');
+    stickyPatterns.set(pattern, sticky);
   }
+  return sticky;
+}
 
-  // Build HTML
-  let html = '<div class="table"><table class="inline"><thead>';
-  let tbodyStarted = false;
-  rows.forEach((row, r) => {
-    let currentCol = 0;
-    let tr = `<tr class="row${r}">`;
-    let added = false;
-    for (let c = 0; c < maxCols; c++) {
-      let cell = row[c];
-      if (!cell || cell.skip) {
-        currentCol += cell?.isColspanSkip ? 0 : (cell?.skipWidth || 1);
+// Transliterations of letters that do not decompose into a base letter and accents, like DokuWiki's deaccent
+const deaccentMap = {
+  ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss', æ: 'ae', œ: 'oe', þ: 'th', ð: 'dh',
+  ø: 'o', ł: 'l', đ: 'd', ħ: 'h', ŧ: 't', ı: 'i'
+};
+
+/**
+ * Transliterates accented Latin letters, like DokuWiki's `deaccent()` for lowercase text.
+ *
+ * @param {string} text - Lowercase text (e.g., 'überblick').
+ * @returns {string} - Text with ä → ae, ß → ss, é → e, ...; letters of other scripts are kept.
+ */
+function deaccent(text) {
+  return text
+    .replace(/[äöüßæœþðøłđħŧı]/g, char => deaccentMap[char])
+    .normalize('NFD')
+    .replace(/([a-z])[\u0300-\u036f]+/g, '$1')
+    .normalize('NFC');
+}
+
+/**
+ * Cleans a page or media ID like DokuWiki's `cleanID()`.
+ *
+ * @param {string} raw - Raw ID (e.g., ' Wiki:Über Uns ').
+ * @param {boolean} [transliterate=true] - Transliterate accented letters (DokuWiki's `deaccent` setting).
+ * @param {boolean} [useslash=false] - Take '/' as namespace separator (DokuWiki's `useslash` setting).
+ * @returns {string} - Clean ID (e.g., 'wiki:ueber_uns').
+ *
+ * Logic:
+ * - Lowercases the ID; `;` becomes ':' and '/' becomes ':' with `useslash`, otherwise '_'.
+ * - Characters other than letters, digits, combining marks, '.', '-', '_' and ':' become '_'; runs of
+ *   '_' and ':' collapse.
+ * - '.', '-', '_' and ':' are removed at both ends of the ID and next to namespace separators.
+ */
+function cleanID(raw, transliterate = true, useslash = false) {
+  let id = String(raw).trim().toLowerCase().replace(/;/g, ':').replace(/\//g, useslash ? ':' : '_');
+  if (transliterate) id = deaccent(id);
+  return id
+    .replace(/[^\p{L}\p{M}\p{Nd}._:-]/gu, '_')
+    .replace(/_+/g, '_')
+    .replace(/:+/g, ':')
+    .replace(/^[:._-]+|[:._-]+$/g, '')
+    .replace(/:[:._-]+/g, ':')
+    .replace(/[:._-]+:/g, ':');
+}
+
+/**
+ * Gets the file name of a media source, like DokuWiki's `noNS()` followed by `basename()`.
+ *
+ * @param {string} src - Media ID or URL (e.g., 'wiki:manual.pdf', 'https://example.com/files/a.zip').
+ * @returns {string} - File name (e.g., 'manual.pdf', 'a.zip').
+ */
+function mediaFileName(src) {
+  return String(src).replace(/#.*$/, '').split(/[:/]/).pop();
+}
+
+/**
+ * Formats a file size like DokuWiki's `filesize_h()`.
+ *
+ * @param {number} size - Size in bytes.
+ * @returns {string} - Size rounded to one decimal with a unit, separated by a no-break space (e.g., '1.2 MB').
+ */
+function formatFileSize(size) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${Math.round(size * 10) / 10} ${units[unit]}`;
+}
+
+/**
+ * Reads the intrinsic size of an image from its header.
+ *
+ * @param {Buffer} buffer - Start of the image file.
+ * @returns {Object} - `{ width, height }` in pixels, or an empty object for unknown formats.
+ *
+ * Logic:
+ * - PNG, GIF and WebP (lossy, lossless and extended) store the size at fixed offsets; JPEG stores it in the
+ *   first start-of-frame segment.
+ * - SVG uses the numeric `width` and `height` (px or unitless) of the root element, or else its `viewBox`.
+ */
+function readImageSize(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer.length >= 24 && ascii(1, 4) === 'PNG' && ascii(12, 16) === 'IHDR') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && ascii(0, 4) === 'GIF8') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    const chunk = ascii(12, 16);
+    if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    return {};
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let pos = 2;
+    while (pos + 9 < buffer.length && buffer[pos] === 0xff) {
+      const marker = buffer[pos + 1];
+      if (marker === 0xff) {
+        pos++;
         continue;
       }
-      let colClass = `col${currentCol} ${cell.align || ''}`.trim();
-      let tag = cell.type;
-      let attrs = ` class="${colClass}"`;
-      if (cell.colspan > 1) attrs += ` colspan="${cell.colspan}"`;
-      if (cell.rowspan > 1) attrs += ` rowspan="${cell.rowspan}"`;
-      tr += `<${tag}${attrs}>${nestedParse(cell.content)}</${tag}>`;
-      currentCol += cell.colspan;
-      added = true;
-    }
-    tr += '</tr>';
-    if (added) {
-      if (!tbodyStarted) {
-        html += tr + '</thead><tbody>';
-        tbodyStarted = true;
-      } else {
-        html += tr;
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(pos + 7), height: buffer.readUInt16BE(pos + 5) };
+      }
+      pos += 2 + buffer.readUInt16BE(pos + 2);
+    }
+    return {};
+  }
+  const svg = buffer.toString('utf8').match(/<svg\b[^>]*>/i);
+  if (!svg) return {};
+  const attr = name => (svg[0].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i')) || [])[1];
+  const length = value => (/^\s*\d+(\.\d+)?\s*(px)?\s*$/.test(value || '') ? Math.round(parseFloat(value)) : null);
+  let width = length(attr('width'));
+  let height = length(attr('height'));
+  const viewBox = (attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    if (!width && !height) [width, height] = [Math.round(viewBox[2]), Math.round(viewBox[3])];
+    else if (!height) height = Math.round((width * viewBox[3]) / viewBox[2]);
+    else if (!width) width = Math.round((height * viewBox[2]) / viewBox[3]);
+  }
+  return width && height ? { width, height } : {};
+}
+
+// Named HTML entities decoded when reading HTML
+const htmlEntities = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', times: '×',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  larr: '←', rarr: '→', harr: '↔', lArr: '⇐', rArr: '⇒', hArr: '⇔',
+  laquo: '«', raquo: '»'
+};
+
+// HTML elements converted as inline content, containers whose children are converted in place,
+// and elements dropped from the output
+const htmlInlineTags = /^(a|abbr|b|big|cite|code|del|em|font|i|img|ins|kbd|label|mark|q|s|samp|small|span|strike|strong|sub|sup|tt|u|var|br|video|audio)$/;
+const htmlContainerTags = /^(#root|html|body|main|article|section|header|footer|div|center|figure|figcaption|dd|dt|dl)$/;
+const htmlSkipTags = /^(head|title|meta|link|script|style|template|noscript)$/;
+
+// Page template used by the CLI's --full-document unless --template replaces it
+const defaultPageTemplate = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>{{title}}</title>
+</head>
+<body>
+<main class="dokuwiki" data-page-id="{{id}}">
+{{content}}
+</main>
+</body>
+</html>
+`;
+
+// Page template used by buildSite() unless the template option replaces it; links back to the index
+const defaultSiteTemplate = defaultPageTemplate.replace('<body>\n', '<body>\n<nav><a href="{{root}}index.html">Index</a></nav>\n');
+
+/**
+ * Fills the `{{name}}` placeholders of a page template.
+ *
+ * @param {string} template - Template text (e.g., an HTML page with `{{title}}` and `{{content}}`).
+ * @param {Object} values - Replacement for each placeholder name; unknown placeholders are kept.
+ * @returns {string} - Filled template.
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match));
+}
+
+// Tags and attributes kept by sanitizeHTML() unless the htmlAllowlist option replaces them
+const defaultHtmlAllowlist = {
+  '*': ['class', 'id', 'title', 'lang', 'dir'],
+  a: ['href', 'name', 'target', 'rel'],
+  abbr: [], b: [], blockquote: ['cite'], br: [], caption: [], cite: [], code: [], col: ['span'],
+  colgroup: ['span'], dd: [], del: [], details: [], div: [], dl: [], dt: [], em: [], figcaption: [],
+  figure: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [],
+  img: ['src', 'alt', 'width', 'height'], ins: [], kbd: [], li: [], mark: [], ol: ['start', 'type'],
+  p: [], pre: [], q: ['cite'], s: [], samp: [], small: [], span: [], strong: [], sub: [], summary: [],
+  sup: [], table: [], tbody: [], td: ['colspan', 'rowspan'], tfoot: [], th: ['colspan', 'rowspan', 'scope'],
+  thead: [], tr: [], tt: [], u: [], ul: [], var: []
+};
+
+// Elements removed together with their content by sanitizeHTML()
+const unsafeContentTags = /^(script|style|iframe|frame|frameset|object|embed|applet|template|noscript|textarea|select|head|title|meta|link|base|form|svg|math)$/;
+
+// Elements without content or closing tag
+const voidElements = /^(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)$/;
+
+/**
+ * Parses HTML into a lightweight element tree (no DOM required).
+ *
+ * @param {string} html - HTML input.
+ * @returns {Object} - Root element `{ tag: '#root', attrs, children, start, end }`; elements have the
+ *   same shape with `start`/`end` offsets into `html`, text nodes are `{ tag: '#text', text }` with
+ *   entities left undecoded.
+ *
+ * Logic:
+ * - Comments and doctypes are dropped; `<script>` and `<style>` content is kept as raw text.
+ * - Unclosed `<p>`, `<li>`, `<dt>`/`<dd>` and table cells or rows are closed by their next sibling.
+ * - Stray closing tags are ignored; elements still open at the end close there.
+ */
+function parseHTMLTree(html) {
+  const root = { tag: '#root', attrs: {}, children: [], start: 0, end: html.length };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+  const implicitClose = {
+    li: /^li$/,
+    dt: /^(dt|dd)$/,
+    dd: /^(dt|dd)$/,
+    tr: /^(tr|td|th)$/,
+    td: /^(td|th)$/,
+    th: /^(td|th)$/
+  };
+  const closesParagraph = /^(address|article|aside|blockquote|div|dl|fieldset|figure|footer|form|h[1-6]|header|hr|main|nav|ol|p|pre|section|table|ul)$/;
+  const close = (count, end) => {
+    for (let i = 0; i < count; i++) stack.pop().end = end;
+  };
+  let last = 0;
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    const top = stack[stack.length - 1];
+    if (match.index > last) top.children.push({ tag: '#text', text: html.slice(last, match.index) });
+    last = tagPattern.lastIndex;
+    if (match[1]) {
+      const tag = match[1].toLowerCase();
+      const index = stack.map(element => element.tag).lastIndexOf(tag);
+      if (index > 0) {
+        close(stack.length - index - 1, match.index);
+        close(1, last);
+      }
+    } else if (match[2]) {
+      const tag = match[2].toLowerCase();
+      let current = stack[stack.length - 1];
+      while (stack.length > 1 && ((implicitClose[tag] && implicitClose[tag].test(current.tag)) || (current.tag === 'p' && closesParagraph.test(tag)))) {
+        close(1, match.index);
+        current = stack[stack.length - 1];
+      }
+      const attrs = {};
+      const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+      let attr;
+      while ((attr = attrPattern.exec(match[3]))) {
+        attrs[attr[1].toLowerCase()] = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4] || '';
+      }
+      const element = { tag, attrs, children: [], start: match.index, end: last };
+      current.children.push(element);
+      if (tag === 'script' || tag === 'style') {
+        const end = html.toLowerCase().indexOf(`</${tag}`, last);
+        const contentEnd = end === -1 ? html.length : end;
+        element.children.push({ tag: '#text', text: html.slice(last, contentEnd) });
+        tagPattern.lastIndex = last = end === -1 ? html.length : html.indexOf('>', end) + 1;
+        element.end = last;
+      } else if (!match[4] && !voidElements.test(tag)) {
+        stack.push(element);
+      }
+    }
+  }
+  if (last < html.length) stack[stack.length - 1].children.push({ tag: '#text', text: html.slice(last) });
+  close(stack.length - 1, html.length);
+  return root;
+}
+
+/**
+ * Decodes HTML character references.
+ *
+ * @param {string} text - Text with entities (e.g., '&lt;b&gt; &amp; &#169;').
+ * @returns {string} - Decoded text; unknown named entities are left as they are.
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return Object.prototype.hasOwnProperty.call(htmlEntities, name) ? htmlEntities[name] : entity;
+  });
+}
+
+/**
+ * Checks whether a parsed HTML element has a class.
+ *
+ * @param {Object} element - Element from `parseHTMLTree()`.
+ * @param {string} name - Class name.
+ * @returns {boolean} - True if the class attribute lists `name`.
+ */
+function hasClass(element, name) {
+  return Boolean(element.attrs && (element.attrs.class || '').split(/\s+/).includes(name));
+}
+
+/**
+ * Finds the first descendant of a parsed HTML element that matches a predicate (depth-first).
+ *
+ * @param {Object} element - Element from `parseHTMLTree()`.
+ * @param {Function} predicate - Test called with each descendant element.
+ * @returns {Object|null} - Matching element, or null.
+ */
+function findElement(element, predicate) {
+  for (const child of element.children || []) {
+    if (child.tag === '#text') continue;
+    if (predicate(child)) return child;
+    const found = findElement(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Collects the raw text of a parsed HTML element.
+ *
+ * @param {Object} element - Element from `parseHTMLTree()`.
+ * @returns {string} - Concatenated text (entities not decoded); `<br>` becomes a newline.
+ */
+function textContent(element) {
+  if (element.tag === '#text') return element.text;
+  if (element.tag === 'br') return '\n';
+  return element.children.map(textContent).join('');
+}
+
+/**
+ * Merges adjacent text nodes.
+ *
+ * @param {Array} nodes - Inline nodes.
+ * @returns {Array} - Nodes without consecutive text nodes.
+ */
+function mergeText(nodes) {
+  return nodes.reduce((merged, node) => {
+    const previous = merged[merged.length - 1];
+    if (node.type === 'text' && previous && previous.type === 'text') {
+      merged[merged.length - 1] = { type: 'text', value: previous.value + node.value };
+    } else {
+      merged.push(node);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Removes leading and trailing whitespace from a list of inline nodes.
+ *
+ * @param {Array} nodes - Inline nodes.
+ * @returns {Array} - Nodes with the first and last text nodes trimmed (and dropped if empty).
+ */
+function trimInline(nodes) {
+  nodes = mergeText(nodes);
+  if (nodes.length && nodes[0].type === 'text') nodes[0] = { type: 'text', value: nodes[0].value.trimStart() };
+  const last = nodes.length - 1;
+  if (last >= 0 && nodes[last].type === 'text') nodes[last] = { type: 'text', value: nodes[last].value.trimEnd() };
+  return nodes.filter(node => node.type !== 'text' || node.value);
+}
+
+/**
+ * Splits a Markdown table row into cell contents.
+ *
+ * @param {string} line - Table row (e.g., '| a | b \| c |').
+ * @returns {Array} - Cell contents with escaped pipes unescaped.
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.replace(/\\\|/g, '|'));
+}
+
+/**
+ * Finds the closing delimiter run of Markdown emphasis.
+ *
+ * @param {string} text - Inline Markdown.
+ * @param {number} from - Offset just after the opening delimiter.
+ * @param {string} delimiter - Opening delimiter (e.g., '**', '_', '~~').
+ * @returns {number} - Offset of the closing run, or -1.
+ *
+ * Logic:
+ * - The closing run has the same length as the delimiter and follows a non-space character.
+ * - Escaped characters and code spans are skipped; `_` does not close inside a word.
+ */
+function findClosingDelimiter(text, from, delimiter) {
+  const char = delimiter[0];
+  let pos = from;
+  while (pos < text.length) {
+    if (text[pos] === '\\') {
+      pos += 2;
+      continue;
+    }
+    if (text[pos] === '`') {
+      const ticks = text.slice(pos).match(/^`+/)[0];
+      const end = text.indexOf(ticks, pos + ticks.length);
+      pos = end === -1 ? pos + ticks.length : end + ticks.length;
+      continue;
+    }
+    if (text[pos] !== char) {
+      pos++;
+      continue;
+    }
+    let end = pos;
+    while (text[end] === char) end++;
+    if (end - pos === delimiter.length && pos > from && !/\s/.test(text[pos - 1]) && !(char === '_' && /\w/.test(text[end] || ''))) {
+      return pos;
+    }
+    pos = end;
+  }
+  return -1;
+}
+
+// Help text of the command line interface
+const cliUsage = `Usage: node dokuparserjs.js [options] [files or globs...]
+       node dokuparserjs.js build [outDir] [--config file] [--template file]
+
+Converts DokuWiki pages (or stdin) to HTML, Markdown, plain text or a JSON document tree.
+'build' renders the pages directory to a static site (default outDir: site).
+
+Options:
+  -o, --output <path>      Output file, or directory for several inputs (default: stdout)
+  -n, --namespace <ns>     Namespace for relative links (default: from the file's path below
+                           data/pages, otherwise 'wiki')
+  -f, --format <format>    html, markdown, json-ast or text (default: html)
+      --fragment           HTML without the <div class="page group"> wrapper
+      --full-document      Wrap the output in an HTML page template
+      --template <file>    Page template with {{title}}, {{content}}, {{id}}, {{namespace}} and
+                           {{root}} placeholders (implies --full-document)
+  -c, --config <file>      JSON or JavaScript file with parser options (e.g., interwikiMap, toc,
+                           htmlok, typography) and build options (pagesDir, mediaDir, baseUrl)
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 conversion failed, 2 usage error, 3 input, config or template not readable.`;
+
+// Output formats of the CLI with the extension of their files
+const cliFormats = {
+  html: '.html',
+  markdown: '.md',
+  'json-ast': '.json',
+  text: '.txt'
+};
+
+// Environment variables read by the CLI, with the option each one sets
+const cliEnvironment = {
+  DOKU_NAMESPACE: 'currentNamespace',
+  DOKU_USE_TXT_EXTENSION: 'useTxtExtension',
+  DOKU_PAGES_BASE_PATH: 'pagesBasePath',
+  DOKU_MEDIA_BASE_PATH: 'mediaBasePath',
+  DOKU_SMILEY_BASE_PATH: 'smileyBasePath',
+  DOKU_USE_EMOJI: 'useEmoji',
+  DOKU_TOC: 'toc',
+  DOKU_RENDERER: 'renderer',
+  DOKU_PAGES_DIR: 'pagesDir',
+  DOKU_MEDIA_DIR: 'mediaDir',
+  DOKU_OUT_DIR: 'outDir',
+  DOKU_BASE_URL: 'baseUrl'
+};
+
+/**
+ * Creates an error that ends the CLI with a given exit code.
+ *
+ * @param {string} message - Error message.
+ * @param {number} exitCode - Exit code (2 for usage errors, 3 for unreadable files).
+ * @returns {Error} - Error with an `exitCode` property.
+ */
+function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+/**
+ * Parses the command line arguments of the CLI.
+ *
+ * @param {Array} argv - Arguments without the node and script paths.
+ * @returns {Object} - `{ command, inputs, output, namespace, format, fragment, fullDocument, template, config, help }`;
+ *   `command` is 'build' when the first argument is `build`, otherwise 'convert'.
+ * @throws {Error} - With `exitCode` 2 for unknown options, missing values or an unknown format.
+ *
+ * Logic:
+ * - Values follow their option (`-o out.html`) or an equals sign (`--output=out.html`).
+ * - Arguments after `--` are inputs even if they start with '-'.
+ */
+function parseCLIArgs(argv) {
+  const args = {
+    command: argv[0] === 'build' ? 'build' : 'convert',
+    inputs: [],
+    output: null,
+    namespace: null,
+    format: null,
+    fragment: false,
+    fullDocument: false,
+    template: null,
+    config: null,
+    help: false
+  };
+  const valueOptions = {
+    '-o': 'output', '--output': 'output',
+    '-n': 'namespace', '--namespace': 'namespace',
+    '-f': 'format', '--format': 'format',
+    '-c': 'config', '--config': 'config',
+    '--template': 'template'
+  };
+  const flags = { '-h': 'help', '--help': 'help', '--fragment': 'fragment', '--full-document': 'fullDocument' };
+  let onlyInputs = false;
+  for (let i = args.command === 'build' ? 1 : 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    if (onlyInputs || arg === '-' || !arg.startsWith('-')) {
+      args.inputs.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      onlyInputs = true;
+      continue;
+    }
+    if (arg.startsWith('--') && arg.includes('=')) {
+      value = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+    if (valueOptions[arg]) {
+      if (value === undefined) {
+        if (i + 1 >= argv.length) throw cliError(`Missing value for ${arg}`, 2);
+        value = argv[++i];
       }
+      args[valueOptions[arg]] = value;
+    } else if (flags[arg] && value === undefined) {
+      args[flags[arg]] = true;
+    } else {
+      throw cliError(`Unknown option: ${arg}`, 2);
+    }
+  }
+  if (args.format && !cliFormats[args.format]) throw cliError(`Unknown format: ${args.format}`, 2);
+  if (args.template) args.fullDocument = true;
+  if (args.fragment && args.fullDocument) throw cliError('--fragment cannot be combined with --full-document', 2);
+  if (args.command === 'build' && args.inputs.length > 1) throw cliError('build takes a single output directory', 2);
+  return args;
+}
+
+/**
+ * Reads the options set by `DOKU_*` environment variables.
+ *
+ * @param {Object} env - Environment (e.g., `process.env`).
+ * @returns {Object} - Options for the variables that are set; 'true' and 'false' become booleans.
+ */
+function cliEnvironmentOptions(env) {
+  const options = {};
+  Object.entries(cliEnvironment).forEach(([name, option]) => {
+    if (env[name] === undefined || env[name] === '') return;
+    options[option] = env[name] === 'true' ? true : env[name] === 'false' ? false : env[name];
+  });
+  return options;
+}
+
+/**
+ * Loads a CLI config file.
+ *
+ * @param {string|null} file - JSON file, or JavaScript file (.js/.cjs) exporting the options object.
+ * @param {Function} readFile - Reads a file as text, throwing a CLI error if it cannot.
+ * @returns {Object} - Options from the file (empty without a file).
+ * @throws {Error} - With `exitCode` 3 if the file cannot be read or parsed.
+ */
+function loadCLIConfig(file, readFile) {
+  if (!file) return {};
+  const path = require('path');
+  let config;
+  if (/\.c?js$/.test(file)) {
+    try {
+      config = require(path.resolve(file));
+    } catch (e) {
+      throw cliError(`Cannot load config ${file}: ${e.message}`, 3);
+    }
+  } else {
+    try {
+      config = JSON.parse(readFile(file, 'config'));
+    } catch (e) {
+      throw e.exitCode ? e : cliError(`Invalid config ${file}: ${e.message}`, 3);
+    }
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw cliError(`Config ${file} must contain an object`, 3);
+  return config;
+}
+
+/**
+ * Lists the files matching a glob pattern.
+ *
+ * @param {string} pattern - File path or glob with `*`, `?` and `**` (any number of directories).
+ * @returns {Array} - Sorted matching file paths; a path without wildcards is returned if it exists.
+ */
+function expandGlob(pattern) {
+  const fs = require('fs');
+  const path = require('path');
+  if (!/[*?]/.test(pattern)) return fs.existsSync(pattern) && fs.statSync(pattern).isFile() ? [pattern] : [];
+  const segments = pattern.replace(/\\/g, '/').split('/');
+  const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+  const base = segments.slice(0, firstWildcard).join('/') || (firstWildcard === 1 ? '/' : '.');
+  const rest = segments.slice(firstWildcard).join('/');
+  let source = '';
+  for (let i = 0; i < rest.length; i++) {
+    if (rest.startsWith('**/', i)) {
+      source += '(?:[^/]+/)*';
+      i += 2;
+    } else if (rest.startsWith('**', i)) {
+      source += '.*';
+      i++;
+    } else if (rest[i] === '*') {
+      source += '[^/]*';
+    } else if (rest[i] === '?') {
+      source += '[^/]';
+    } else {
+      source += rest[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const matcher = new RegExp(`^${source}$`);
+  // Without '**' the pattern cannot match below its own depth
+  const maxDepth = rest.includes('**') ? Infinity : rest.split('/').length;
+  const matches = [];
+  const walk = (dir, relative, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
     }
+    entries.forEach(entry => {
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (depth + 1 < maxDepth) walk(path.join(dir, entry.name), entryPath, depth + 1);
+      } else if (matcher.test(entryPath)) {
+        matches.push(base === '.' && !pattern.startsWith('./') ? entryPath : `${base.replace(/\/$/, '')}/${entryPath}`);
+      }
+    });
+  };
+  walk(base, '', 0);
+  return matches.sort();
+}
+
+/**
+ * Finds the deepest directory containing all given files.
+ *
+ * @param {Array} files - Absolute file paths.
+ * @returns {string} - Common directory.
+ */
+function commonDirectory(files) {
+  const path = require('path');
+  const dirs = files.map(file => path.dirname(file).split(path.sep));
+  const common = dirs[0].slice();
+  dirs.slice(1).forEach(parts => {
+    let i = 0;
+    while (i < common.length && parts[i] === common[i]) i++;
+    common.length = i;
   });
-  html += '</tbody></table></div>';
-  return html;
+  return common.join(path.sep) || path.sep;
 }
 
 // Node.js module export and browser initialization
@@ -0,0 +1,568 @@
+/**
+ * Tests for DokuParserJS, run with `node --test` (Node.js 18 or later).
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const script = path.join(__dirname, '..', 'dokuparserjs.js');
+
+/**
+ * Runs the CLI with stdin in the repository root.
+ *
+ * @param {Array} args - Command line arguments.
+ * @param {string} [input=''] - Text piped to stdin.
+ * @returns {Object} - `spawnSync()` result with `stdout` and `stderr` as strings.
+ */
+function runCLI(args, input = '') {
+  return spawnSync(process.execPath, [script, ...args], { cwd: path.join(__dirname, '..'), input, encoding: 'utf8', timeout: 30000 });
+}
+
+/**
+ * Creates a temporary pages directory.
+ *
+ * @param {Object} pages - Page contents by page ID (e.g., `{ 'wiki:start': '...' }`).
+ * @returns {string} - Directory with a `pages/` directory holding the pages; remove it after the test.
+ */
+function writePages(pages) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dokuparserjs-'));
+  Object.entries(pages).forEach(([id, text]) => {
+    const file = path.join(dir, 'pages', ...id.split(':')) + '.txt';
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+  });
+  return dir;
+}
+
+
+describe('table of contents', () => {
+  const page = '====== One ======\nx\n===== Two =====\ny\n==== Three ====\nz\n';
+
+  it('needs tocMinHeadings headings', () => {
+    assert.doesNotMatch(new DokuParserJS({ toc: true }).parse(page), /class="toc"/);
+    assert.match(new DokuParserJS({ toc: true, tocMinHeadings: 3 }).parse(page), /class="toc"/);
+  });
+
+  it('shows a TOC for any page with headings when tocMinHeadings is 0', () => {
+    const parser = new DokuParserJS({ toc: true, tocMinHeadings: 0 });
+    assert.match(parser.parse('====== One ======\nx\n'), /<div class="toc">[\s\S]*<a href="#one">One<\/a>/);
+    assert.doesNotMatch(parser.parse('No headings'), /class="toc"/);
+  });
+
+  it('lists headings up to tocMaxLevel', () => {
+    const html = new DokuParserJS({ toc: true, tocMinHeadings: 0, tocMaxLevel: 2 }).parse(page);
+    assert.match(html, /<li class="level2"><a href="#two">Two<\/a>/);
+    assert.doesNotMatch(html, /<li class="level3">/);
+  });
+
+  it('leaves out the TOC with ~~NOTOC~~', () => {
+    const html = new DokuParserJS({ toc: true, tocMinHeadings: 0 }).parse('~~NOTOC~~\n' + page);
+    assert.doesNotMatch(html, /class="toc"|NOTOC/);
+  });
+});
+
+describe('parseToAST()', () => {
+  const ast = new DokuParserJS().parseToAST('====== Title ======\n\nSome **bold** text\n  * item [[wiki:x|X]]\n');
+  const [heading, paragraph, list] = ast.children[0].children;
+  const at = (node) => [node.position.start.line, node.position.start.column, node.position.end.line, node.position.end.column];
+
+  it('gives block nodes the lines and columns of their source', () => {
+    assert.equal(ast.type, 'document');
+    assert.equal(heading.type, 'heading');
+    assert.deepEqual(at(heading), [1, 1, 1, 20]);
+    assert.deepEqual(at(paragraph), [3, 1, 3, 19]);
+    assert.equal(list.type, 'list');
+    assert.equal(list.position.start.line, 4);
+  });
+
+  it('gives inline nodes the columns of their markup and content', () => {
+    assert.deepEqual(at(heading.children[0]), [1, 8, 1, 13]);
+    const [, strong, text] = paragraph.children;
+    assert.deepEqual(at(strong), [3, 6, 3, 14]);
+    assert.deepEqual(at(strong.children[0]), [3, 8, 3, 12]);
+    assert.deepEqual(at(text), [3, 14, 3, 19]);
+    const link = list.children[0].children.find(node => node.type === 'link');
+    assert.deepEqual(at(link), [4, 10, 4, 22]);
+    assert.deepEqual(at(link.children[0]), [4, 19, 4, 20]);
+  });
+});
+
+describe('inline PHP', () => {
+  it('renders as <code> inside the paragraph', () => {
+    const html = new DokuParserJS().parse('Run <php>echo "<b>";</php> now');
+    assert.match(html, /<p>Run <code class="code php">.*&quot;&lt;b&gt;&quot;.*<\/code> now<\/p>/);
+    assert.doesNotMatch(html, /<pre/);
+  });
+
+  it('keeps <PHP> blocks as <pre>', () => {
+    assert.match(new DokuParserJS().parse('<PHP>\necho 1;\n</PHP>'), /<pre class="code php">.*echo.*1.*<\/pre>/);
+  });
+});
+
+describe('link titles', () => {
+  it('keeps markup next to an image title', () => {
+    const html = new DokuParserJS().parse('[[a|{{b.png}} **b** x\\\\ ((n))]]');
+    assert.match(html, /<img src="\/data\/media\/b.png"[^>]*\/><strong>b<\/strong> x<br \/><sup>/);
+  });
+});
+
+describe('Markdown renderer', () => {
+  const markdown = new DokuParserJS({ renderer: 'markdown' });
+
+  it('renders headings, inline markup, lists, tables, code and quotes as GFM', () => {
+    const md = markdown.parse('====== Title ======\n\nSome **bold**, //italic// and \'\'mono\'\'.\n\n  * one\n    * two\n  - first\n\n^ A ^ B ^\n| 1 | 2 |\n\n<code js>\nx();\n</code>\n\n> quote\n');
+    assert.equal(md, '# Title\n\nSome **bold**, *italic* and `mono`.\n\n- one\n  - two\n\n1. first\n\n| A | B |\n| --- | --- |\n| 1 | 2 |\n\n```js\nx();\n```\n\n> quote\n');
+  });
+
+  it('renders links, images and footnotes', () => {
+    const md = markdown.parse('[[https://example.com|Ex]] [[wiki:syntax|Syntax]]((Note))\n\n{{wiki:logo.png|Logo}}\n');
+    assert.match(md, /^\[Ex\]\(https:\/\/example\.com\) \[Syntax\]\([^)]*syntax\.md\)\[\^1\]\n/);
+    assert.match(md, /\n!\[Logo\]\([^)]*logo\.png\)\n/);
+    assert.match(md, /\n\[\^1\]: Note\n$/);
+  });
+
+  it('renders the same tree as render(ast, \'markdown\')', () => {
+    const parser = new DokuParserJS();
+    const ast = parser.parseToAST('a <php>x</php> **b**');
+    assert.equal(parser.renderMarkdown(ast), 'a `x` **b**\n');
+    assert.equal(parser.render(ast, 'markdown'), parser.renderMarkdown(ast));
+  });
+});
+
+describe('DokuSerializer', () => {
+  ['syntax', 'dokuwiki', 'welcome'].forEach(page => {
+    it(`gives back markup that renders ${page}.txt to the same HTML`, () => {
+      const text = fs.readFileSync(path.join(__dirname, '..', 'data', 'pages', 'wiki', `${page}.txt`), 'utf8');
+      const html = new DokuParserJS().parse(text);
+      assert.equal(new DokuParserJS().parse(DokuParserJS.stringify(html)), html);
+    });
+  });
+
+  it('writes inline PHP back as <php>', () => {
+    const html = new DokuParserJS().parse('a <php>echo "<b>";</php> b');
+    assert.equal(DokuParserJS.stringify(html), 'a <php>echo "<b>";</php> b\n');
+  });
+});
+
+describe('safe mode', () => {
+  const safe = new DokuParserJS({ safeMode: true });
+  const unsafeUrl = /(?:href|src)="\s*(?:javascript|vbscript|data):/i;
+
+  it('renders links and media with disallowed schemes as text', () => {
+    ['[[javascript://%0aalert(1)|x]]', '[[JaVaScRiPt://%0aalert(1)|x]]', '[[vbscript://x|x]]', '[[data://text/html|x]]'].forEach(text => {
+      assert.equal(safe.parse(text), '<div class="page group"><p>x</p></div>', text);
+    });
+    assert.equal(safe.parse('{{javascript://%0aalert(1)|x}}'), '<div class="page group"><p>x</p></div>');
+    assert.match(safe.parse('[[https://example.com|ok]]'), /<a href="https:\/\/example\.com"/);
+  });
+
+  it('does not turn schemes hidden with entities or tabs into URLs', () => {
+    ['[[java&#115;cript://%0aalert(1)|x]]', '[[java\tscript://%0aalert(1)|x]]', '[[javascript&colon;alert(1)|x]]', '[[ javascript:alert(1)|x]]'].forEach(text => {
+      assert.doesNotMatch(safe.parse(text), unsafeUrl, text);
+      assert.doesNotMatch(new DokuParserJS().parse(text), unsafeUrl, text);
+    });
+  });
+
+  it('escapes quotes in image alt and title text', () => {
+    const html = new DokuParserJS().parse('{{wiki:a.png|say "hi" onerror="x" <b>}}');
+    assert.match(html, /alt="say &quot;hi&quot; onerror=&quot;x&quot; &lt;b&gt;"/);
+    assert.doesNotMatch(html, /onerror="/);
+    assert.doesNotMatch(new DokuParserJS().parse('[[https://example.com/"onmouseover="x|t]]'), /onmouseover="/);
+  });
+
+  it('drops scripts, SVG and event handlers from <html> blocks', () => {
+    assert.equal(safe.parse('<html><script>alert(1)</script><b>ok</b></html>'), '<div class="page group"><p><b>ok</b></p></div>');
+    assert.equal(safe.parse('<html><svg onload=alert(1)><circle/></svg>x</html>'), '<div class="page group"><p>x</p></div>');
+    const block = safe.parse('<HTML>\n<script>x</script><p onmouseover="x">p</p><img src="a.png" onerror=alert(1)>\n</HTML>');
+    assert.doesNotMatch(block, /script|svg|onmouseover|onerror/i);
+    assert.match(block, /<img src="a\.png" \/>/);
+  });
+
+  it('removes javascript: from href and src of allowed tags', () => {
+    ['<a href="javascript:alert(1)">a</a>', '<a href="JaVaScript:alert(1)">a</a>', '<a href="jav&#x09;ascript:alert(1)">a</a>', '<a href="java\tscript:alert(1)">a</a>', '<a href="&#106;avascript:alert(1)">a</a>'].forEach(html => {
+      assert.equal(safe.sanitizeHTML(html), '<a>a</a>', html);
+    });
+    assert.equal(safe.sanitizeHTML('<img src="  JAVASCRIPT:alert(1)">'), '<img />');
+    assert.equal(safe.sanitizeHTML('<a href="https://example.com" onclick="x">a</a>'), '<a href="https://example.com">a</a>');
+  });
+});
+
+describe('buildSite()', () => {
+  const build = (dir, options = {}) => DokuParserJS.buildSite({
+    pagesDir: path.join(dir, 'pages'),
+    mediaDir: path.join(dir, 'media'),
+    outDir: path.join(dir, 'site'),
+    ...options
+  });
+
+  it('writes sitemap.xml with absolute URLs when baseUrl is set', t => {
+    const dir = writePages({ start: 'Home', 'wiki:syntax': 'Syntax' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    assert.equal(build(dir, { baseUrl: 'https://wiki.example.com/' }).sitemap, true);
+    const locs = [...fs.readFileSync(path.join(dir, 'site', 'sitemap.xml'), 'utf8').matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+    assert.deepEqual(locs, ['https://wiki.example.com/start.html', 'https://wiki.example.com/wiki/syntax.html']);
+  });
+
+  it('writes no sitemap.xml without baseUrl', t => {
+    const dir = writePages({ start: 'Home' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    assert.equal(build(dir).sitemap, false);
+    assert.ok(fs.existsSync(path.join(dir, 'site', 'start.html')));
+    assert.ok(!fs.existsSync(path.join(dir, 'site', 'sitemap.xml')));
+  });
+
+  it('rejects a relative baseUrl', t => {
+    const dir = writePages({ start: 'Home' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    assert.throws(() => build(dir, { baseUrl: '/wiki/' }), /absolute URL/);
+    assert.ok(!fs.existsSync(path.join(dir, 'site')));
+  });
+});
+
+describe('ini highlighting', () => {
+  const parser = new DokuParserJS();
+
+  it('highlights comments after values', () => {
+    const html = parser.parse('<code ini>\nport = 8080 ; http\nname = "a;b" # q\n</code>');
+    assert.match(html, /<span class="re2">8080<\/span> <span class="co1">; http<\/span>/);
+    assert.match(html, /<span class="st0">&quot;a;b&quot;<\/span> <span class="co1"># q<\/span>/);
+  });
+
+  it('keeps ; and # inside values', () => {
+    assert.match(parser.parse('<code ini>\nurl = http://x/#top\nk=a;b\n</code>'), /<span class="re2">http:\/\/x\/#top<\/span>[\s\S]*<span class="re2">a;b<\/span>/);
+  });
+});
+
+describe('codeDownload', () => {
+  const page = text => `<file js a.js>\n${text}\n</file>\n\n<file js b.js>\nb();\n</file>\n`;
+  const hrefs = html => [...html.matchAll(/<dt><a href="([^"]*)"/g)].map(match => match[1]);
+
+  it('links file names to data: URLs with a file type class', () => {
+    const html = new DokuParserJS().parse('<file txt notes.TXT>\nhi\n</file>');
+    assert.match(html, /<dt><a href="data:text\/plain;charset=utf-8,hi" title="Download Snippet" class="mediafile mf_txt" download="notes.TXT">notes.TXT<\/a><\/dt>/);
+  });
+
+  it('gives file names without an extension no file type class', () => {
+    assert.match(new DokuParserJS().parse('<file make Makefile>\nall:\n</file>'), /class="mediafile" download="Makefile"/);
+  });
+
+  it('fills in endpoint templates', () => {
+    const html = new DokuParserJS({ codeDownload: '/doku.php?do=export_code&id={id}&codeblock={codeblock}', pageId: 'wiki:a b' }).parse(page('a();'));
+    assert.deepEqual(hrefs(html), ['/doku.php?do=export_code&amp;id=wiki%3Aa%20b&amp;codeblock=0', '/doku.php?do=export_code&amp;id=wiki%3Aa%20b&amp;codeblock=1']);
+  });
+
+  it('falls back to data: URLs with \'blob\' outside a browser document', () => {
+    const html = new DokuParserJS({ codeDownload: 'blob' }).parse(page('a();'));
+    assert.ok(hrefs(html).every(href => href.startsWith('data:text/plain')));
+  });
+
+  it('reuses the Blob URL of unchanged blocks and revokes replaced ones', t => {
+    globalThis.document = {};
+    const revoked = [];
+    t.mock.method(URL, 'revokeObjectURL', url => revoked.push(url));
+    try {
+      const parser = new DokuParserJS({ codeDownload: 'blob' });
+      const [first, second] = hrefs(parser.parse(page('a();')));
+      assert.match(first, /^blob:/);
+      assert.deepEqual(hrefs(parser.parse(page('a();'))), [first, second]);
+      const updated = hrefs(parser.parse(page('a(1);')));
+      assert.notEqual(updated[0], first);
+      assert.equal(updated[1], second);
+      assert.deepEqual(revoked, [first]);
+      parser.parse('<file js a.js>\na(1);\n</file>\n');
+      assert.deepEqual(revoked, [first, second]);
+    } finally {
+      delete globalThis.document;
+    }
+  });
+});
+
+describe('createDocument()', () => {
+  const text = fs.readFileSync(path.join(__dirname, '..', 'data', 'pages', 'wiki', 'syntax.txt'), 'utf8');
+  const apply = (units, patch) => {
+    const html = units.map(unit => unit.html);
+    patch.changes.forEach(({ index, remove, units: added }) => html.splice(index, remove, ...added.map(unit => unit.html)));
+    return html;
+  };
+  const edits = [
+    { from: 0, to: 0, text: '====== New first heading ======\n\n' },
+    { from: 200, to: 200, text: '**bold** ' },
+    { from: 500, to: 540, text: '' },
+    { from: 1000, to: 1000, text: '\n<nowiki>\n' },
+    { from: 1000, to: 1000, text: '((new footnote))' },
+    { from: 3000, to: 3000, text: '\n  * item\n  * item\n' }
+  ];
+
+  it('gives the same HTML and tree as parse() after each update', () => {
+    const options = { sectionEdit: true, toc: true };
+    const doc = new DokuParserJS(options).createDocument(text);
+    assert.equal(doc.html, new DokuParserJS(options).parse(text));
+    edits.forEach(edit => {
+      doc.update(edit);
+      assert.equal(doc.html, new DokuParserJS(options).parse(doc.text), JSON.stringify(edit));
+      assert.deepEqual(doc.ast, new DokuParserJS(options).parseToAST(doc.text), JSON.stringify(edit));
+    });
+  });
+
+  it('returns patches that turn the previous units into the new ones', () => {
+    const doc = new DokuParserJS({ sectionEdit: true }).createDocument(text);
+    edits.forEach(edit => {
+      const before = doc.units.slice();
+      const patch = doc.update(edit);
+      assert.deepEqual(apply(before, patch), doc.units.map(unit => unit.html), JSON.stringify(edit));
+    });
+  });
+
+  it('accepts the whole new text and keeps unchanged units', () => {
+    const doc = new DokuParserJS().createDocument('====== A ======\n\nOne\n\nTwo\n');
+    const [, one] = doc.units;
+    doc.update('====== A ======\n\nOne\n\nTwo **2**\n');
+    assert.equal(doc.units[1], one);
+    assert.equal(doc.html, new DokuParserJS().parse(doc.text));
+  });
+
+  it('reuses the Blob URLs of unchanged code blocks and revokes replaced ones', t => {
+    const page = code => `<file js a.js>\n${code}\n</file>\n\n<file js b.js>\nb();\n</file>\n`;
+    const hrefs = html => [...html.matchAll(/<dt><a href="([^"]*)"/g)].map(match => match[1]);
+    globalThis.document = {};
+    const revoked = [];
+    t.mock.method(URL, 'revokeObjectURL', url => revoked.push(url));
+    try {
+      const doc = new DokuParserJS({ codeDownload: 'blob' }).createDocument(page('a();'));
+      const [first, second] = hrefs(doc.html);
+      assert.match(first, /^blob:/);
+      doc.update(page('a(1);'));
+      const updated = hrefs(doc.html);
+      assert.notEqual(updated[0], first);
+      assert.equal(updated[1], second);
+      assert.deepEqual(revoked, [first]);
+      doc.update('<file js a.js>\na(1);\n</file>\n');
+      assert.deepEqual(revoked, [first, second]);
+    } finally {
+      delete globalThis.document;
+    }
+  });
+});
+
+describe('streaming', () => {
+  const text = fs.readFileSync(path.join(__dirname, '..', 'data', 'pages', 'wiki', 'syntax.txt'), 'utf8');
+  const chunks = (size) => {
+    const parts = [];
+    for (let i = 0; i < text.length; i += size) parts.push(text.slice(i, i + size));
+    return parts;
+  };
+
+  [1, 7, 100, 4096].forEach(size => {
+    it(`gives the same HTML as parse() with DokuStream in ${size}-character chunks`, () => {
+      const options = { currentNamespace: 'wiki', sectionEdit: true };
+      const stream = new DokuParserJS.DokuStream(new DokuParserJS(options));
+      const html = chunks(size).map(chunk => stream.write(chunk)).join('') + stream.end();
+      assert.equal(html, new DokuParserJS(options).parse(text));
+    });
+  });
+
+  it('puts the TOC at its placeholder', () => {
+    const options = { toc: true, tocMinHeadings: 1 };
+    const stream = new DokuParserJS.DokuStream(new DokuParserJS(options));
+    const html = chunks(50).map(chunk => stream.write(chunk)).join('') + stream.end();
+    assert.ok(stream.toc);
+    assert.equal(html.replace(stream.tocPlaceholder, stream.toc), new DokuParserJS(options).parse(text));
+  });
+
+  it('gives the same HTML as parse() with createStream()', async () => {
+    const { Readable } = require('stream');
+    let html = '';
+    for await (const piece of Readable.from(chunks(300).map(chunk => Buffer.from(chunk))).pipe(DokuParserJS.createStream({ currentNamespace: 'wiki' }))) {
+      html += piece;
+    }
+    assert.equal(html, new DokuParserJS({ currentNamespace: 'wiki' }).parse(text));
+  });
+
+  it('gives the same HTML as parse() with parseStream()', async () => {
+    let html = '';
+    for await (const piece of DokuParserJS.parseStream(chunks(300), { currentNamespace: 'wiki' })) html += piece;
+    assert.equal(html, new DokuParserJS({ currentNamespace: 'wiki' }).parse(text));
+  });
+});
+
+describe('CLI', () => {
+  it('streams HTML from stdin', () => {
+    const result = runCLI([], '====== Title ======\n**bold**\n');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /<strong>bold<\/strong>/);
+  });
+
+  it('prints the document tree of stdin with --format json-ast', () => {
+    const result = runCLI(['--format', 'json-ast'], '====== Title ======\n**bold**\n');
+    assert.equal(result.status, 0, result.stderr);
+    const ast = JSON.parse(result.stdout);
+    assert.equal(ast.type, 'document');
+    assert.equal(ast.children[0].type, 'section');
+  });
+});
+
+describe('tables', () => {
+  const parser = new DokuParserJS();
+
+  it('keeps ::: without a cell above as text', () => {
+    assert.match(parser.parse('| ::: | a |\n| b | c |'), /<td class="col0">:::<\/td>/);
+    assert.match(parser.parse('^ h ^ h2 ^\n| ::: | a |'), /<td class="col0">:::<\/td>/);
+  });
+
+  it('joins ::: to the cell above', () => {
+    assert.match(parser.parse('| x | y |\n| ::: | a |'), /<td class="col0" rowspan="2">x<\/td>/);
+  });
+
+  it('writes ::: text cells back so they stay text', () => {
+    const html = parser.parse('| ::: | a |\n| b | c |');
+    assert.equal(parser.parse(DokuParserJS.stringify(html)), html);
+    assert.equal(DokuParserJS.stringify('<table><tr><td>a</td></tr><tr><td>:::</td></tr></table>'), '| a |\n| %%:::%% |\n');
+  });
+});
+
+describe('tableFromRows()', () => {
+  const parser = new DokuParserJS();
+  const source = '^ A ^ B ^ C ^\n| a long spanning value || c |\n| x | y | z |\n| | q | ::: |\n| all |||\n';
+
+  it('writes tables back so they parse to the same HTML', () => {
+    const [table] = parser.extractTables(source);
+    const markup = parser.tableFromRows(table.rows, { spans: table.spans, align: table.align });
+    assert.equal(parser.parse(markup), parser.parse(source));
+    const [back] = parser.extractTables(markup);
+    assert.deepEqual(back.rows, table.rows);
+    assert.deepEqual(back.spans, table.spans);
+    assert.deepEqual(back.align, table.align);
+  });
+
+  it('keeps cells of unaligned columns unaligned', () => {
+    const markup = parser.tableFromRows([['Name', 'Qty'], ['apple', '3'], ['banana split', '12']], { align: [null, 'right'] });
+    assert.equal(markup, '^ Name ^  Qty ^\n| apple |    3 |\n| banana split |   12 |');
+    assert.doesNotMatch(parser.parse(markup), /leftalign/);
+    assert.deepEqual(parser.extractTables(markup)[0].align, [null, 'right']);
+  });
+
+  it('keeps rows aligned around spanning cells wider than their columns', () => {
+    const [table] = parser.extractTables('^ A ^ B ^ C ^\n| a long spanning value || c |\n| x | y | z |\n| all |||\n');
+    const align = ['left', 'center', 'right'];
+    const markup = parser.tableFromRows(table.rows, { spans: table.spans, align });
+    const lines = markup.split('\n');
+    assert.ok(lines.every(line => line.length === lines[0].length), markup);
+    const [back] = parser.extractTables(markup);
+    assert.deepEqual(back.rows, table.rows);
+    assert.deepEqual(back.spans, table.spans);
+    assert.deepEqual(back.align, align);
+    assert.match(parser.parse(markup), /<td class="col0 leftalign">x<\/td><td class="col1 centeralign">y<\/td><td class="col2 rightalign">z<\/td>/);
+  });
+
+  it('takes rowspan and colspan as 1 when a span leaves them out', () => {
+    assert.equal(parser.tableFromRows([['a', 'b'], ['c', 'd']], { spans: [{ row: 0, col: 0, rowspan: 2 }] }), '^ a ^ b ^\n| ::: | d |');
+    assert.equal(parser.tableFromRows([['a', 'b'], ['c', 'd']], { head: 0, spans: [{ row: 0, col: 0, colspan: 2 }] }), '| a ||\n| c | d |');
+  });
+});
+
+describe('extractTables()', () => {
+  it('rejects unknown spans and content options', () => {
+    const parser = new DokuParserJS();
+    assert.throws(() => parser.extractTables('| a |', { spans: 'preserve' }), /Unknown spans option: preserve/);
+    assert.throws(() => parser.extractTables('| a |', { content: 'html' }), /Unknown content option: html/);
+    assert.deepEqual(parser.extractTables('| a || b |', { spans: 'keep' })[0].rows, [['a', null, 'b']]);
+  });
+});
+
+describe('buildLinkIndex()', () => {
+  it('resolves ~ links against the page being indexed', t => {
+    const dir = writePages({
+      'wiki:start': 'See [[~details]] and [[~missing]].',
+      'wiki:start:details': 'Details',
+      'wiki:details': 'Not linked'
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { backlinks, orphans, deadLinks } = DokuParserJS.buildLinkIndex(path.join(dir, 'pages'));
+    assert.deepEqual(backlinks['wiki:start:details'], [{ from: 'wiki:start', line: 1 }]);
+    assert.equal(backlinks['wiki:details'], undefined);
+    assert.ok(!orphans.includes('wiki:start:details'));
+    assert.ok(orphans.includes('wiki:details'));
+    assert.deepEqual(deadLinks, [{ from: 'wiki:start', line: 1, id: 'wiki:start:missing' }]);
+  });
+});
+
+describe('resolvePageId()', () => {
+  const parser = new DokuParserJS({ currentNamespace: 'wiki:sub', pageId: 'wiki:sub:page' });
+
+  it('resolves relative IDs like resolve_id', () => {
+    assert.equal(parser.resolvePageId('.:a'), 'wiki:sub:a');
+    assert.equal(parser.resolvePageId('..:b'), 'wiki:b');
+    assert.equal(parser.resolvePageId('..:..:x'), 'x');
+    assert.equal(parser.resolvePageId('~c'), 'wiki:sub:page:c');
+  });
+
+  it('cleans IDs like cleanID', () => {
+    assert.equal(parser.resolvePageId('Über Uns'), 'wiki:sub:ueber_uns');
+    assert.equal(parser.resolvePageId('a;b'), 'a:b');
+    assert.equal(parser.resolvePageId(':wiki/syntax'), 'wiki_syntax');
+    assert.equal(new DokuParserJS({ deaccent: false }).resolvePageId('Über'), 'über');
+  });
+
+  it('links namespaces to their first existing start page', () => {
+    const known = new DokuParserJS({ knownPages: ['team:team'] });
+    assert.equal(known.resolvePageId('team:'), 'team:team');
+    assert.equal(known.resolvePageId('ops:'), 'ops:start');
+  });
+});
+
+describe('useslash', () => {
+  it('takes / as namespace separator in page and media IDs', () => {
+    const parser = new DokuParserJS({ currentNamespace: 'ns', useslash: true });
+    assert.equal(parser.resolvePageId(':wiki/syntax'), 'wiki:syntax');
+    assert.equal(parser.resolvePageId('sub/page'), 'ns:sub:page');
+    assert.equal(parser.mediaNode(':wiki/logo.png').id, 'wiki:logo.png');
+  });
+});
+
+describe('resolveInterwiki()', () => {
+  const parser = new DokuParserJS({
+    interwikiMap: {
+      mixed: 'https://example.com/{NAME}?from={URL}',
+      parts: '{SCHEME}://{HOST}/go?to={URL}&path={PATH}',
+      plain: 'https://example.com/search?q='
+    }
+  });
+
+  it('replaces {NAME} and {URL} in the same template', () => {
+    assert.equal(parser.resolveInterwiki('mixed', 'Foo Bar').url, 'https://example.com/Foo Bar?from=Foo%20Bar');
+  });
+
+  it('replaces URL parts together with {URL}', () => {
+    assert.equal(
+      parser.resolveInterwiki('parts', 'https://wiki.example.org/a/b?x=1').url,
+      'https://wiki.example.org/go?to=https%3A%2F%2Fwiki.example.org%2Fa%2Fb%3Fx%3D1&path=/a/b'
+    );
+  });
+
+  it('does not replace placeholders inserted by the reference', () => {
+    assert.equal(parser.resolveInterwiki('mixed', '{URL}').url, 'https://example.com/%7BURL%7D?from=%7BURL%7D');
+  });
+
+  it('appends the encoded reference to templates without placeholders', () => {
+    assert.equal(parser.resolveInterwiki('plain', 'a b').url, 'https://example.com/search?q=a%20b');
+  });
+});
+
+describe('media files', () => {
+  const parser = new DokuParserJS();
+
+  it('gives download links the file type class of their extension', () => {
+    assert.match(parser.parse('{{wiki:manual.pdf}}'), /<a href="\/data\/media\/wiki\/manual\.pdf" class="media mediafile mf_pdf"/);
+  });
+
+  it('gives files without an extension no file type class', () => {
+    const html = parser.parse('{{https://host/watch?v=x}} {{wiki:README}}');
+    assert.doesNotMatch(html, /mf_/);
+    assert.match(html, /<a href="https:\/\/host\/watch" class="media mediafile"/);
+    assert.match(html, /<a href="\/data\/media\/wiki\/readme" class="media mediafile"/);
+  });
+});